@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const entitlementService = require('../services/entitlementService');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -99,34 +100,27 @@ const requireAdminOrSupport = async (req, res, next) => {
   }
 };
 
-// Check if user has active subscription or is in free tier
+// Check if user has active subscription or is in free tier with calls and minutes left
 const requireActiveSubscription = async (req, res, next) => {
   try {
     const user = req.user;
     
-    // Reset monthly usage if needed
-    const resetNeeded = user.resetMonthlyUsage();
-    if (resetNeeded) {
-      await user.save();
-    }
-    
-    // Allow free tier users with remaining calls
-    if (user.subscription.status === 'free') {
-      if (user.usage.monthlyCallsUsed >= 10) {
-        return res.status(403).json({
-          success: false,
-          message: 'Free tier monthly limit exceeded. Please upgrade to continue.',
-          code: 'FREE_LIMIT_EXCEEDED'
-        });
-      }
-    } else if (!user.hasActiveSubscription()) {
+    // Same check the routes rely on, so the two cannot disagree
+    const check = await entitlementService.checkCall(user);
+    if (!check.allowed) {
       return res.status(403).json({
         success: false,
-        message: 'Active subscription required',
-        code: 'SUBSCRIPTION_REQUIRED'
+        message: check.message,
+        code: check.code,
+        usage: {
+          calls: check.entitlements.calls,
+          minutes: check.entitlements.minutes
+        }
       });
     }
     
+    req.entitlements = check.entitlements;
+    req.maxCallDurationMinutes = check.maxDurationMinutes;
     next();
   } catch (error) {
     return res.status(500).json({
@@ -160,7 +154,8 @@ const optionalAuth = async (req, res, next) => {
 };
 
 // Rate limiting for sensitive operations
-const createRateLimit = (windowMs, max, message) => {
+// Per-IP by default; pass options.keyGenerator to limit per user instead
+const createRateLimit = (windowMs, max, message, options = {}) => {
   const rateLimit = require('express-rate-limit');
   return rateLimit({
     windowMs,
@@ -170,7 +165,8 @@ const createRateLimit = (windowMs, max, message) => {
       message
     },
     standardHeaders: true,
-    legacyHeaders: false
+    legacyHeaders: false,
+    ...options
   });
 };
 
@@ -200,6 +196,7 @@ module.exports = {
   requireAdminOrSupport,
   requireActiveSubscription,
   optionalAuth,
+  createRateLimit,
   loginRateLimit,
   registerRateLimit,
   callRateLimit
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// Allowed call status transitions
+const STATUS_TRANSITIONS = {
+  initiated: ['connected', 'completed', 'failed', 'abandoned'],
+  connected: ['completed', 'failed', 'abandoned'],
+  completed: [],
+  failed: [],
+  abandoned: []
+};
+
 const callSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -25,6 +34,41 @@ const callSchema = new mongoose.Schema({
     enum: ['animal_health', 'crop_guidance', 'nutrition', 'emergency', 'general'],
     required: true
   },
+  channel: {
+    type: String,
+    enum: ['voice', 'chat'],
+    default: 'voice'
+  },
+  // Multi-turn thread for chat sessions
+  messages: [{
+    role: {
+      type: String,
+      enum: ['farmer', 'assistant'],
+      required: true
+    },
+    text: {
+      type: String,
+      maxlength: 5000
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'completed'
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    tokens: {
+      input: Number,
+      output: Number
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   query: {
     text: String,
     audioUrl: String,
@@ -49,12 +93,40 @@ const callSchema = new mongoose.Schema({
       type: Number, // in seconds
       default: 0
     },
+    // Plan minutes left when the call was initiated; the call is cut off at this length (null = no limit)
+    maxDurationMinutes: {
+      type: Number,
+      default: null
+    },
+    connectedAt: Date,
+    // Minutes already counted against the user's plan quota
+    billedMinutes: {
+      type: Number,
+      default: 0
+    },
     status: {
       type: String,
       enum: ['initiated', 'connected', 'completed', 'failed', 'abandoned'],
       default: 'initiated'
     }
   },
+  telephony: {
+    provider: String,
+    callSid: String,
+    from: String,
+    to: String,
+    recordingUrl: String,
+    providerDuration: Number, // in seconds, as reported by the provider
+    lastEventAt: Date,
+    events: [{
+      status: String,
+      providerStatus: String,
+      receivedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   aiMetadata: {
     model: String,
     version: String,
@@ -81,12 +153,39 @@ const callSchema = new mongoose.Schema({
     },
     sentAt: Date,
     messageId: String,
+    provider: String,
     summary: String,
+    // Billed parts (70 characters each for Hindi/Telugu, 160 for plain English)
+    segments: Number,
+    // Summaries accepted by the provider, including resends
+    sendCount: {
+      type: Number,
+      default: 0
+    },
+    // Updated from provider delivery reports
     deliveryStatus: {
       type: String,
       enum: ['pending', 'sent', 'delivered', 'failed'],
       default: 'pending'
-    }
+    },
+    deliveredAt: Date,
+    failureReason: String
+  },
+  whatsapp: {
+    sent: {
+      type: Boolean,
+      default: false
+    },
+    sentAt: Date,
+    messageId: String,
+    deliveryStatus: {
+      type: String,
+      enum: ['pending', 'sent', 'delivered', 'read', 'failed'],
+      default: 'pending'
+    },
+    deliveredAt: Date,
+    readAt: Date,
+    failureReason: String
   },
   location: {
     state: String,
@@ -129,6 +228,10 @@ callSchema.index({ callId: 1 });
 callSchema.index({ phoneNumber: 1, createdAt: -1 });
 callSchema.index({ queryType: 1, createdAt: -1 });
 callSchema.index({ language: 1 });
+callSchema.index({ userId: 1, channel: 1, createdAt: -1 });
+callSchema.index({ 'telephony.callSid': 1 });
+callSchema.index({ 'sms.messageId': 1 }, { sparse: true });
+callSchema.index({ 'whatsapp.messageId': 1 }, { sparse: true });
 callSchema.index({ 'callDetails.status': 1 });
 callSchema.index({ isEmergency: 1, createdAt: -1 });
 
@@ -137,6 +240,47 @@ callSchema.virtual('durationInMinutes').get(function() {
   return Math.ceil(this.callDetails.duration / 60);
 });
 
+// Method to check if the call can move to a new status
+callSchema.methods.canTransitionTo = function(status) {
+  const current = this.callDetails.status;
+  return current === status || (STATUS_TRANSITIONS[current] || []).includes(status);
+};
+
+// Method to move the call to a new status; returns false for illegal transitions
+callSchema.methods.transitionTo = function(status) {
+  if (!this.canTransitionTo(status)) {
+    return false;
+  }
+
+  this.callDetails.status = status;
+  if (status === 'connected' && !this.callDetails.connectedAt) {
+    this.callDetails.connectedAt = new Date();
+  }
+  if (['completed', 'failed', 'abandoned'].includes(status) && !this.callDetails.endTime) {
+    this.callDetails.endTime = new Date();
+  }
+
+  return true;
+};
+
+// Method to get the seconds the call may still run on its minutes allowance (null = no limit)
+callSchema.methods.getRemainingSeconds = function(now = new Date()) {
+  const { maxDurationMinutes, connectedAt } = this.callDetails;
+  if (maxDurationMinutes === null || maxDurationMinutes === undefined) {
+    return null;
+  }
+
+  const elapsed = connectedAt ? Math.max(0, (now - connectedAt) / 1000) : 0;
+  return Math.max(0, Math.floor(maxDurationMinutes * 60 - elapsed));
+};
+
+// Method to get chat history in the shape the advisory service expects
+callSchema.methods.getChatHistory = function() {
+  return this.messages
+    .filter(message => message.status === 'completed' && message.text)
+    .map(message => ({ role: message.role, text: message.text }));
+};
+
 // Method to generate call summary for SMS
 callSchema.methods.generateSMSSummary = function() {
   const queryTypeMap = {
@@ -237,4 +381,6 @@ callSchema.pre('save', function(next) {
   next();
 });
 
+callSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Call', callSchema);
@@ -156,6 +156,18 @@ const contentSchema = new mongoose.Schema({
   }],
   publishedAt: Date,
   scheduledAt: Date,
+  // When a published announcement finished going out to farmers' in-app inboxes
+  announcedAt: Date,
+  // Fan-out progress, so an interrupted announcement resumes after the last farmer reached
+  announcementProgress: {
+    startedAt: Date,
+    lockedAt: Date,
+    lastUserId: mongoose.Schema.Types.ObjectId,
+    recipients: {
+      type: Number,
+      default: 0
+    }
+  },
   isPublic: {
     type: Boolean,
     default: true
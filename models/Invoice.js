@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const taxLineSchema = {
+  rate: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  }
+};
+
+const addressSchema = {
+  line1: String,
+  line2: String,
+  district: String,
+  city: String,
+  state: String,
+  pincode: String,
+  country: {
+    type: String,
+    default: 'IN'
+  }
+};
+
+// GST tax invoice, issued once per paid payment
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Indian financial year (April - March), e.g. "2024-25"
+  financialYear: {
+    type: String,
+    required: true
+  },
+  // Gap-free sequence within the financial year
+  sequence: {
+    type: Number,
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invoiceDate: {
+    type: Date,
+    required: true
+  },
+  seller: {
+    name: String,
+    gstin: String,
+    address: addressSchema,
+    stateCode: String
+  },
+  buyer: {
+    name: String,
+    email: String,
+    phoneNumber: String,
+    gstin: String,
+    address: addressSchema
+  },
+  placeOfSupply: String,
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    required: true
+  },
+  lineItems: [{
+    description: String,
+    sac: String,
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitPrice: Number,
+    discount: {
+      type: Number,
+      default: 0
+    },
+    taxableValue: Number
+  }],
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  cgst: taxLineSchema,
+  sgst: taxLineSchema,
+  igst: taxLineSchema,
+  totalTax: {
+    type: Number,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  emailedAt: Date
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ userId: 1, invoiceDate: -1 });
+
+// Static method to get the last issued sequence in a financial year
+invoiceSchema.statics.getLastSequence = async function(financialYear) {
+  const last = await this.findOne({ financialYear })
+    .sort({ sequence: -1 })
+    .select('sequence');
+
+  return last ? last.sequence : 0;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown to the user in the app
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: String,
+  // Ids the app can link to (callId, paymentId, invoiceId, ...)
+  data: mongoose.Schema.Types.Mixed,
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+// One inbox entry per farmer and announcement, also when an interrupted fan-out is resumed
+notificationSchema.index(
+  { userId: 1, 'data.contentId': 1 },
+  { unique: true, partialFilterExpression: { event: 'content.announcement' } }
+);
+
+notificationSchema.statics.unreadCount = function(userId) {
+  return this.countDocuments({ userId, readAt: { $exists: false } });
+};
+
+notificationSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    event: this.event,
+    title: this.title,
+    body: this.body,
+    data: this.data,
+    read: Boolean(this.readAt),
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One notification event sent to one user on one channel, with every attempt logged so
+// support can see what was sent, skipped or failed
+const notificationDeliverySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // e.g. payment.success, call.completed (see notificationService EVENTS)
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'whatsapp', 'in_app'],
+    required: true
+  },
+  // queued: waiting for its next attempt; skipped: not sent by preference or because it
+  // cannot be sent (e.g. SMS limit reached)
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'skipped'],
+    default: 'queued'
+  },
+  language: String,
+  // Event payload; ids are re-read on each attempt
+  data: mongoose.Schema.Types.Mixed,
+  attempts: [{
+    attemptedAt: Date,
+    success: Boolean,
+    code: String,
+    error: String,
+    provider: String,
+    messageId: String,
+    durationMs: Number
+  }],
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 4
+  },
+  nextAttemptAt: Date,
+  // Set while an attempt is in progress, to recover deliveries left behind by a crash
+  lockedAt: Date,
+  sentAt: Date,
+  skipReason: String,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ userId: 1, createdAt: -1 });
+notificationDeliverySchema.index({ event: 1, createdAt: -1 });
+
+notificationDeliverySchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    userId: this.userId,
+    event: this.event,
+    channel: this.channel,
+    status: this.status,
+    language: this.language,
+    attemptCount: this.attemptCount,
+    maxAttempts: this.maxAttempts,
+    nextAttemptAt: this.status === 'queued' ? this.nextAttemptAt : undefined,
+    sentAt: this.sentAt,
+    skipReason: this.skipReason,
+    lastError: this.lastError,
+    attempts: this.attempts,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One-time password sent by SMS. Only an HMAC of the code is stored.
+const otpSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  // login: passwordless sign-in; register: prove the number before creating the account;
+  // verify_phone: confirm the number of an existing account
+  purpose: {
+    type: String,
+    enum: ['login', 'register', 'verify_phone'],
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set once the code was verified, or when a newer code replaced it
+  consumedAt: Date,
+  verifiedAt: Date,
+  sms: {
+    provider: String,
+    messageId: String,
+    error: String
+  },
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+otpSchema.index({ phoneNumber: 1, purpose: 1, createdAt: -1 });
+// Codes are kept for a day after expiry for rate limiting and support, then removed
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Otp', otpSchema);
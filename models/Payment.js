@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 
+// Allowed payment status changes; webhooks arriving out of order cannot move a payment backwards
+const STATUS_TRANSITIONS = {
+  created: ['pending', 'paid', 'failed', 'cancelled'],
+  pending: ['paid', 'failed', 'cancelled'],
+  failed: ['pending', 'paid'], // a later attempt on the same order can still succeed
+  paid: ['refunded'],
+  refunded: [],
+  cancelled: ['paid'] // an order closed as abandoned can still be captured late
+};
+
 const paymentSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,12 +26,16 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Not set for orders paid entirely by a voucher or collected offline
   razorpayOrderId: {
     type: String,
-    required: true
+    required: function() {
+      return !['voucher', 'offline'].includes(this.paymentMethod);
+    }
   },
   razorpayPaymentId: String,
   razorpaySignature: String,
+  razorpaySubscriptionId: String,
   amount: {
     type: Number,
     required: true,
@@ -43,11 +57,20 @@ const paymentSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['card', 'netbanking', 'wallet', 'upi', 'emi'],
+    enum: ['card', 'netbanking', 'wallet', 'upi', 'emi', 'voucher', 'offline'],
     default: 'upi'
   },
   discounts: {
     couponCode: String,
+    voucherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Voucher'
+    },
+    // Campaign of a bulk-generated voucher, for per-campaign revenue reporting
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VoucherCampaign'
+    },
     discountAmount: {
       type: Number,
       default: 0
@@ -55,6 +78,15 @@ const paymentSchema = new mongoose.Schema({
     discountPercentage: {
       type: Number,
       default: 0
+    },
+    // Set when the order was paid after its voucher reservation lapsed and the voucher had
+    // no use left, so the discount was given without counting a use
+    voucherReview: {
+      reason: {
+        type: String,
+        enum: ['VOUCHER_LIMIT_REACHED', 'VOUCHER_NOT_FOUND']
+      },
+      flaggedAt: Date
     }
   },
   taxes: {
@@ -65,6 +97,16 @@ const paymentSchema = new mongoose.Schema({
     totalTax: {
       type: Number,
       default: 0
+    },
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    rate: Number,
+    taxableAmount: Number,
+    // Plan prices include GST, so the tax is part of amount rather than added on top
+    inclusive: {
+      type: Boolean,
+      default: false
     }
   },
   subscription: {
@@ -73,6 +115,30 @@ const paymentSchema = new mongoose.Schema({
     autoRenewal: {
       type: Boolean,
       default: false
+    },
+    // Set once the payment has been applied to the user's subscription
+    appliedAt: Date
+  },
+  // Set when an active subscriber moves to another plan or billing cycle
+  planChange: {
+    kind: {
+      type: String,
+      enum: ['upgrade', 'downgrade']
+    },
+    fromPlanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan'
+    },
+    fromBillingCycle: String,
+    // Payment whose unused window was credited
+    fromPaymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    // Unused value of the current period, taken off the new plan's price (as discounts.discountAmount)
+    credit: {
+      type: Number,
+      default: 0
     }
   },
   customerDetails: {
@@ -91,11 +157,46 @@ const paymentSchema = new mongoose.Schema({
       }
     }
   },
+  // Cash / cheque / bank transfer collected by a field agent (paymentMethod 'offline').
+  // Stays pending until an admin other than the collector approves it (maker-checker).
+  offline: {
+    mode: {
+      type: String,
+      enum: ['cash', 'cheque', 'bank_transfer']
+    },
+    // Number on the paper receipt handed to the farmer
+    receiptNumber: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    // Cheque number or bank transfer UTR
+    reference: String,
+    collectedAt: Date,
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    agentNote: String,
+    review: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected']
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      note: String
+    }
+  },
   invoiceDetails: {
     invoiceNumber: String,
     invoiceDate: Date,
     invoiceUrl: String
   },
+  // Refund request lifecycle: requested -> rejected, or approved -> pending (Razorpay) -> processed / failed
   refund: {
     refundId: String,
     refundAmount: Number,
@@ -103,7 +204,28 @@ const paymentSchema = new mongoose.Schema({
     refundReason: String,
     refundStatus: {
       type: String,
-      enum: ['pending', 'processed', 'failed']
+      enum: ['requested', 'rejected', 'pending', 'processed', 'failed']
+    },
+    requestedAmount: Number,
+    requestedAt: Date,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: String,
+    processedAt: Date,
+    failureReason: String,
+    // How the refunded share of the period was taken off the subscription
+    subscriptionAdjustment: {
+      previousEndDate: Date,
+      newEndDate: Date,
+      cancelled: Boolean,
+      appliedAt: Date
     }
   },
   metadata: {
@@ -116,6 +238,21 @@ const paymentSchema = new mongoose.Schema({
       default: 'web'
     }
   },
+  // Last check of an unresolved order against Razorpay (reconciliation job)
+  reconciliation: {
+    checkedAt: Date,
+    checks: {
+      type: Number,
+      default: 0
+    },
+    outcome: {
+      type: String,
+      enum: ['paid', 'pending', 'failed', 'abandoned', 'amount_mismatch', 'error']
+    },
+    razorpayStatus: String,
+    note: String,
+    resolvedAt: Date
+  },
   webhookEvents: [{
     eventType: String,
     eventData: mongoose.Schema.Types.Mixed,
@@ -142,27 +279,24 @@ paymentSchema.index({ userId: 1, createdAt: -1 });
 paymentSchema.index({ orderId: 1 });
 paymentSchema.index({ razorpayOrderId: 1 });
 paymentSchema.index({ razorpayPaymentId: 1 });
+paymentSchema.index({ razorpaySubscriptionId: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ 'subscription.endDate': 1 });
+paymentSchema.index({ 'reconciliation.resolvedAt': -1 });
+paymentSchema.index({ 'refund.refundStatus': 1, 'refund.requestedAt': -1 });
+paymentSchema.index({ 'refund.refundId': 1 });
+paymentSchema.index({ 'offline.receiptNumber': 1 }, { unique: true, sparse: true });
+paymentSchema.index({ 'offline.review.status': 1, createdAt: -1 });
+paymentSchema.index({ 'discounts.voucherReview.flaggedAt': -1 }, { sparse: true });
 
 // Virtual for final amount after discounts and taxes
 paymentSchema.virtual('finalAmount').get(function() {
   const baseAmount = this.amount;
   const discount = this.discounts.discountAmount || 0;
-  const tax = this.taxes.totalTax || 0;
+  const tax = this.taxes.inclusive ? 0 : (this.taxes.totalTax || 0);
   return baseAmount - discount + tax;
 });
 
-// Method to generate invoice number
-paymentSchema.methods.generateInvoiceNumber = function() {
-  const date = new Date();
-  const year = date.getFullYear().toString().substr(-2);
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const sequence = this._id.toString().substr(-6).toUpperCase();
-  
-  return `PM${year}${month}${sequence}`;
-};
-
 // Method to calculate subscription dates
 paymentSchema.methods.calculateSubscriptionDates = function() {
   const startDate = new Date();
@@ -180,6 +314,21 @@ paymentSchema.methods.calculateSubscriptionDates = function() {
   return { startDate, endDate };
 };
 
+// Method to check if the payment may move to a status (same status is allowed)
+paymentSchema.methods.canTransitionTo = function(status) {
+  return this.status === status || (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the payment to a new status; returns false for illegal transitions
+paymentSchema.methods.transitionTo = function(status) {
+  if (!this.canTransitionTo(status)) {
+    return false;
+  }
+
+  this.status = status;
+  return true;
+};
+
 // Method to check if payment is successful
 paymentSchema.methods.isSuccessful = function() {
   return this.status === 'paid' && this.razorpayPaymentId;
@@ -251,13 +400,11 @@ paymentSchema.statics.getAnalytics = function(startDate, endDate) {
 paymentSchema.pre('save', function(next) {
   this.updatedAt = new Date();
   
-  // Generate invoice number if payment is successful and invoice number doesn't exist
-  if (this.status === 'paid' && !this.invoiceDetails.invoiceNumber) {
-    this.invoiceDetails.invoiceNumber = this.generateInvoiceNumber();
-    this.invoiceDetails.invoiceDate = new Date();
-  }
+  // Invoice numbers are allocated by invoiceService once the payment is paid
   
   next();
 });
 
+paymentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Payment', paymentSchema);
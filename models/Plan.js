@@ -63,6 +63,11 @@ const planSchema = new mongoose.Schema({
     enum: ['free', 'basic', 'premium', 'enterprise'],
     required: true
   },
+  // Razorpay plan IDs used for auto-renewing subscriptions, created lazily per billing cycle
+  razorpayPlanIds: {
+    monthly: String,
+    yearly: String
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// A sign-up made with another farmer's referral code, and the reward it earned
+const referralSchema = new mongoose.Schema({
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refereeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  // Kept after account deletion so a number cannot be referred twice
+  refereePhone: {
+    type: String,
+    required: true
+  },
+  signup: {
+    deviceId: String,
+    ipAddress: String,
+    userAgent: String
+  },
+  // pending until the referee's first paid payment; rejected referrals never earn a reward
+  status: {
+    type: String,
+    enum: ['pending', 'qualified', 'rewarded', 'rejected'],
+    default: 'pending'
+  },
+  rejectionReason: {
+    type: String,
+    enum: [
+      'self_referral',
+      'device_reused',
+      'same_device_as_referrer',
+      'phone_already_referred',
+      'sequential_phone_numbers',
+      'referrer_limit_reached',
+      'referrer_inactive'
+    ]
+  },
+  qualifyingPaymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  qualifiedAt: Date,
+  reward: {
+    type: {
+      type: String,
+      enum: ['voucher', 'bonus_calls']
+    },
+    voucherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Voucher'
+    },
+    voucherCode: String,
+    bonusCalls: Number,
+    issuedAt: Date,
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+referralSchema.index({ refereeId: 1 }, { unique: true });
+referralSchema.index({ referrerId: 1, createdAt: -1 });
+referralSchema.index({ refereePhone: 1 });
+referralSchema.index({ 'signup.deviceId': 1 });
+referralSchema.index({ status: 1, createdAt: -1 });
+
+// Method to get referral data for the referrer (referee identified by name only)
+referralSchema.methods.getSummary = function() {
+  const referee = this.populated('refereeId') ? this.refereeId : null;
+
+  return {
+    id: this._id,
+    referee: referee ? { name: referee.name } : undefined,
+    status: this.status,
+    qualifiedAt: this.qualifiedAt,
+    reward: this.reward?.type ? {
+      type: this.reward.type,
+      voucherCode: this.reward.voucherCode,
+      bonusCalls: this.reward.bonusCalls,
+      issuedAt: this.reward.issuedAt
+    } : null,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Referral', referralSchema);
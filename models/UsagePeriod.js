@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// One record per user per usage period (monthly, anchored to subscription.startDate)
+const usagePeriodSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  },
+  tier: {
+    type: String,
+    enum: ['free', 'paid'],
+    required: true
+  },
+  // Plan limits in force when the period opened (-1 = unlimited)
+  limits: {
+    callLimit: Number,
+    callDurationLimit: Number,
+    smsLimit: Number
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  usage: {
+    calls: {
+      type: Number,
+      default: 0
+    },
+    minutes: {
+      type: Number,
+      default: 0
+    },
+    sms: {
+      type: Number,
+      default: 0
+    }
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedAt: Date,
+  closeReason: {
+    type: String,
+    enum: ['period_end', 'plan_change', 'renewal']
+  }
+}, {
+  timestamps: true
+});
+
+usagePeriodSchema.index({ userId: 1, periodStart: -1 }, { unique: true });
+usagePeriodSchema.index({ status: 1, periodEnd: 1 });
+
+// Method to get period data for API responses
+usagePeriodSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    plan: this.planId,
+    tier: this.tier,
+    limits: this.limits,
+    periodStart: this.periodStart,
+    periodEnd: this.periodEnd,
+    usage: this.usage,
+    status: this.status,
+    closedAt: this.closedAt,
+    closeReason: this.closeReason
+  };
+};
+
+module.exports = mongoose.model('UsagePeriod', usagePeriodSchema);
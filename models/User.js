@@ -75,6 +75,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when the farmer proved they own phoneNumber with an SMS code
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
   // 0: pending, 1: approved, 2: rejected
   approvalStatus: {
     type: Number,
@@ -108,8 +114,61 @@ const userSchema = new mongoose.Schema({
     autoRenewal: {
       type: Boolean,
       default: false
-    }
+    },
+    billingCycle: {
+      type: String,
+      enum: ['monthly', 'yearly']
+    },
+    razorpaySubscriptionId: String,
+    // Prepaid downgrade / billing cycle change that starts when the current period ends
+    scheduledChange: {
+      planId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Plan'
+      },
+      billingCycle: {
+        type: String,
+        enum: ['monthly', 'yearly']
+      },
+      effectiveAt: Date,
+      endDate: Date,
+      paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+      }
+    },
+    // Expiry reminders already sent for the current endDate
+    remindersSent: [{
+      daysBefore: Number,
+      endDate: Date,
+      sentAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
+  subscriptionHistory: [{
+    event: {
+      type: String,
+      enum: ['activated', 'renewed', 'expired', 'cancelled', 'downgraded', 'upgraded', 'change_scheduled', 'refunded', 'admin_update']
+    },
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan'
+    },
+    status: String,
+    startDate: Date,
+    endDate: Date,
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   usage: {
     totalCalls: {
       type: Number,
@@ -119,11 +178,29 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    monthlyMinutesUsed: {
+      type: Number,
+      default: 0
+    },
+    monthlySmsUsed: {
+      type: Number,
+      default: 0
+    },
     lastCallDate: Date,
+    // Extra calls on top of the plan's monthly limit (e.g. referral rewards); used up calls
+    // beyond the limit are deducted when the period closes
+    bonusCalls: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     lastResetDate: {
       type: Date,
       default: Date.now
-    }
+    },
+    // Current usage period (monthly, anchored to subscription.startDate)
+    periodStart: Date,
+    periodEnd: Date
   },
   profile: {
     avatar: String,
@@ -157,6 +234,20 @@ const userSchema = new mongoose.Schema({
       default: 'Asia/Kolkata'
     }
   },
+  // WhatsApp Business opt-in; template messages are only sent while optedIn is set
+  whatsapp: {
+    optedIn: {
+      type: Boolean,
+      default: false
+    },
+    optedInAt: Date,
+    optedOutAt: Date,
+    optInSource: {
+      type: String,
+      enum: ['app', 'whatsapp', 'admin']
+    },
+    lastInboundAt: Date
+  },
   // Password reset fields
   passwordReset: {
     token: String,
@@ -175,6 +266,22 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   },
+  referral: {
+    // Code this farmer shares with others
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Device the account was registered from (X-Device-Id), for referral abuse checks
+    signupDeviceId: String
+  },
+  // Razorpay customer created at first purchase; saved cards/UPI (tokens) belong to it
+  razorpayCustomerId: String,
   isActive: {
     type: Boolean,
     default: true
@@ -195,8 +302,13 @@ const userSchema = new mongoose.Schema({
 // Index for efficient queries
 userSchema.index({ phoneNumber: 1 });
 userSchema.index({ 'subscription.status': 1 });
+userSchema.index({ 'subscription.razorpaySubscriptionId': 1 });
+userSchema.index({ 'subscription.status': 1, 'subscription.endDate': 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ approvalStatus: 1 });
+userSchema.index({ 'referral.code': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'referral.signupDeviceId': 1 });
+userSchema.index({ razorpayCustomerId: 1 }, { sparse: true });
 
 // Add verification status index
 userSchema.index({ 'verification.status': 1 });
@@ -214,33 +326,107 @@ userSchema.methods.hasActiveSubscription = function() {
          this.subscription.endDate > new Date();
 };
 
-// Method to check monthly call limit
-userSchema.methods.canMakeCall = function(plan) {
-  if (this.subscription.status === 'free') {
-    return this.usage.monthlyCallsUsed < 10; // Free tier limit
-  }
-  
-  if (!this.hasActiveSubscription()) {
-    return false;
-  }
-  
-  return plan ? this.usage.monthlyCallsUsed < plan.callLimit : true;
+// Method to check if user falls back to free tier limits (free, expired or cancelled)
+userSchema.methods.isOnFreeTier = function() {
+  return this.subscription.status === 'free' || !this.hasActiveSubscription();
 };
 
-// Method to reset monthly usage
-userSchema.methods.resetMonthlyUsage = function() {
-  const now = new Date();
-  const lastReset = this.usage.lastResetDate;
-  
-  if (!lastReset || 
-      now.getMonth() !== lastReset.getMonth() || 
-      now.getFullYear() !== lastReset.getFullYear()) {
-    this.usage.monthlyCallsUsed = 0;
-    this.usage.lastResetDate = now;
-    return true;
+// Method to get used/remaining quota for plan limits (a limit of -1 means unlimited)
+userSchema.methods.getQuota = function(limits = {}) {
+  const quota = (limit, used) => {
+    const unlimited = limit === -1 || limit === undefined || limit === null;
+    return {
+      limit: unlimited ? null : limit,
+      used,
+      remaining: unlimited ? null : Math.max(0, limit - used),
+      unlimited
+    };
+  };
+
+  const bonusCalls = this.usage.bonusCalls || 0;
+  const callLimit = limits.callLimit === -1 || limits.callLimit === undefined || limits.callLimit === null ?
+    limits.callLimit : limits.callLimit + bonusCalls;
+
+  return {
+    calls: { ...quota(callLimit, this.usage.monthlyCallsUsed), bonus: bonusCalls },
+    minutes: quota(limits.callDurationLimit, this.usage.monthlyMinutesUsed || 0),
+    sms: quota(limits.smsLimit, this.usage.monthlySmsUsed || 0)
+  };
+};
+
+// Method to check monthly call and minute limits (see services/entitlementService for resolving limits)
+userSchema.methods.canMakeCall = function(limits) {
+  const { calls, minutes } = this.getQuota(limits);
+  return calls.remaining !== 0 && minutes.remaining !== 0;
+};
+
+// Method to count a call (voice or chat session) against usage
+userSchema.methods.recordCallUsage = function() {
+  this.usage.totalCalls += 1;
+  this.usage.monthlyCallsUsed += 1;
+  this.usage.lastCallDate = new Date();
+};
+
+// Method to give back a call that failed before the farmer was helped
+userSchema.methods.refundCallUsage = function() {
+  this.usage.monthlyCallsUsed = Math.max(0, this.usage.monthlyCallsUsed - 1);
+  this.usage.totalCalls = Math.max(0, this.usage.totalCalls - 1);
+};
+
+// Method to record a subscription change
+userSchema.methods.addSubscriptionHistory = function(event, details = {}) {
+  this.subscriptionHistory.push({
+    event,
+    planId: this.subscription.planId,
+    status: this.subscription.status,
+    startDate: this.subscription.startDate,
+    endDate: this.subscription.endDate,
+    ...details
+  });
+};
+
+// Add months to a date, clamping to the last day of shorter months (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Method to get the monthly usage period containing `now`
+userSchema.methods.getUsagePeriod = function(now = new Date()) {
+  // Paid plans anchor to the subscription start; free tier continues from the last period
+  const anchor = !this.isOnFreeTier() && this.subscription.startDate ?
+    this.subscription.startDate :
+    (this.usage.periodEnd || this.createdAt || now);
+
+  let months = (now.getFullYear() - anchor.getFullYear()) * 12 + (now.getMonth() - anchor.getMonth());
+  if (addMonths(anchor, months) > now) {
+    months -= 1;
   }
-  
-  return false;
+
+  return {
+    start: addMonths(anchor, months),
+    end: addMonths(anchor, months + 1)
+  };
+};
+
+// Method to check if the current usage period has ended
+userSchema.methods.isUsagePeriodOver = function(now = new Date()) {
+  return !this.usage.periodEnd || now >= this.usage.periodEnd;
+};
+
+// Method to start a new usage period with zeroed counters
+userSchema.methods.startUsagePeriod = function(start, end) {
+  this.usage.monthlyCallsUsed = 0;
+  this.usage.monthlyMinutesUsed = 0;
+  this.usage.monthlySmsUsed = 0;
+  this.usage.periodStart = start;
+  this.usage.periodEnd = end;
+  this.usage.lastResetDate = new Date();
 };
 
 // Method to generate password reset token
@@ -78,8 +78,26 @@ const voucherSchema = new mongoose.Schema({
         default: 0
       },
       lastUsed: Date
+    }],
+    // Uses held by unpaid orders; committed on payment, released on failure or expiry
+    reservations: [{
+      paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reservedAt: {
+        type: Date,
+        default: Date.now
+      },
+      expiresAt: Date
     }]
   },
+  // Trial length in days for free_trial vouchers; for other types, the default length of
+  // the redemption window when validUntil is not given
   validity: {
     type: Number,
     required: true,
@@ -87,6 +105,14 @@ const voucherSchema = new mongoose.Schema({
     max: 365,
     default: 30
   },
+  // Redemption window; seasonal and festival campaigns can be scheduled ahead
+  validFrom: {
+    type: Date,
+    default: function() {
+      return this.createdAt || Date.now();
+    }
+  },
+  validUntil: Date,
   conditions: {
     firstTimeUser: {
       type: Boolean,
@@ -109,6 +135,12 @@ const voucherSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when the voucher is switched off (by the expiry job or an admin)
+  deactivatedAt: Date,
+  deactivationReason: {
+    type: String,
+    enum: ['expired', 'admin']
+  },
   isPublic: {
     type: Boolean,
     default: false
@@ -118,6 +150,16 @@ const voucherSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Personal vouchers (e.g. referral rewards) can only be used by this farmer
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set on single-use codes generated in bulk for a campaign
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VoucherCampaign'
+  },
   metadata: {
     campaign: String,
     source: String,
@@ -147,43 +189,80 @@ voucherSchema.index({ code: 1 });
 voucherSchema.index({ isActive: 1, usageLimit: 1 });
 voucherSchema.index({ 'usage.totalUsed': 1, 'usage.totalLimit': 1 });
 voucherSchema.index({ createdAt: -1 });
+voucherSchema.index({ 'usage.reservations.paymentId': 1 });
+voucherSchema.index({ 'usage.reservations.expiresAt': 1 });
+voucherSchema.index({ isActive: 1, validUntil: 1 });
+voucherSchema.index({ validFrom: 1 });
+voucherSchema.index({ campaignId: 1, code: 1 });
+voucherSchema.index({ assignedTo: 1 });
+
+// Virtual for uses committed or held by unpaid orders
+voucherSchema.virtual('claimedUsage').get(function() {
+  return this.usage.totalUsed + (this.usage.reservations?.length || 0);
+});
+
+// Method to check if a date falls inside the voucher's validity window
+voucherSchema.methods.isWithinValidity = function(date = new Date()) {
+  return (!this.validFrom || this.validFrom <= date) &&
+    (!this.validUntil || this.validUntil > date);
+};
 
 // Virtual for checking if voucher is currently valid
 voucherSchema.virtual('isCurrentlyValid').get(function() {
-  return this.isActive && this.usage.totalUsed < this.usageLimit;
+  return this.isActive && this.isWithinValidity() && this.claimedUsage < this.usageLimit;
+});
+
+// Virtual for where the voucher is in its lifecycle (admin listings)
+voucherSchema.virtual('validityStatus').get(function() {
+  const now = new Date();
+  if (this.validUntil && this.validUntil <= now) return 'expired';
+  if (!this.isActive) return 'inactive';
+  if (this.validFrom && this.validFrom > now) return 'upcoming';
+  return 'active';
 });
 
 // Virtual for remaining usage
 voucherSchema.virtual('remainingUsage').get(function() {
-  return Math.max(0, this.usageLimit - this.usage.totalUsed);
+  return Math.max(0, this.usageLimit - this.claimedUsage);
 });
 
 // Method to check if user can use this voucher
 voucherSchema.methods.canUserUse = function(userId, user) {
   // Check if voucher is active and valid
   if (!this.isCurrentlyValid) {
-    return { canUse: false, reason: 'Voucher is not currently valid' };
+    const status = this.validityStatus;
+    if (status === 'upcoming') {
+      return { canUse: false, code: 'VOUCHER_NOT_STARTED', reason: 'Voucher is not valid yet' };
+    }
+    if (status === 'expired') {
+      return { canUse: false, code: 'VOUCHER_EXPIRED', reason: 'Voucher has expired' };
+    }
+    if (this.isActive && this.claimedUsage >= this.usageLimit) {
+      return { canUse: false, code: 'VOUCHER_LIMIT_EXCEEDED', reason: 'Voucher usage limit exceeded' };
+    }
+    return { canUse: false, code: 'VOUCHER_INVALID', reason: 'Voucher is not currently valid' };
   }
   
-  // Check total usage limit
-  if (this.usage.totalUsed >= this.usageLimit) {
-    return { canUse: false, reason: 'Voucher usage limit exceeded' };
+  if (this.assignedTo && this.assignedTo.toString() !== userId.toString()) {
+    return { canUse: false, code: 'VOUCHER_ASSIGNED_TO_OTHER_USER', reason: 'Voucher belongs to another user' };
   }
-  
-  // Check per user limit
+
+  // Check per user limit (including this farmer's unpaid orders)
   const userUsage = this.usage.userUsage.find(u => u.userId.toString() === userId.toString());
-  if (userUsage && userUsage.usedCount >= this.usage.perUserLimit) {
-    return { canUse: false, reason: 'User has reached usage limit for this voucher' };
+  const userReserved = (this.usage.reservations || [])
+    .filter(reservation => reservation.userId.toString() === userId.toString()).length;
+  if ((userUsage ? userUsage.usedCount : 0) + userReserved >= this.usage.perUserLimit) {
+    return { canUse: false, code: 'VOUCHER_USER_LIMIT_REACHED', reason: 'User has reached usage limit for this voucher' };
   }
   
   // Check user type conditions
   if (this.conditions.userTypes.length > 0 && !this.conditions.userTypes.includes(user.role)) {
-    return { canUse: false, reason: 'Voucher not applicable for your user type' };
+    return { canUse: false, code: 'VOUCHER_USER_TYPE_NOT_ELIGIBLE', reason: 'Voucher not applicable for your user type' };
   }
   
   // Check first time user condition
   if (this.conditions.firstTimeUser && user.subscription.status !== 'free') {
-    return { canUse: false, reason: 'Voucher only for first-time users' };
+    return { canUse: false, code: 'VOUCHER_FIRST_TIME_ONLY', reason: 'Voucher only for first-time users' };
   }
   
   // Check location conditions
@@ -198,7 +277,7 @@ voucherSchema.methods.canUserUse = function(userId, user) {
     });
     
     if (!locationMatch) {
-      return { canUse: false, reason: 'Voucher not applicable for your location' };
+      return { canUse: false, code: 'VOUCHER_LOCATION_NOT_ELIGIBLE', reason: 'Voucher not applicable for your location' };
     }
   }
   
@@ -210,7 +289,7 @@ voucherSchema.methods.canUserUse = function(userId, user) {
     );
     
     if (!hasMatchingType) {
-      return { canUse: false, reason: 'Voucher not applicable for your farming type' };
+      return { canUse: false, code: 'VOUCHER_FARMING_TYPE_NOT_ELIGIBLE', reason: 'Voucher not applicable for your farming type' };
     }
   }
   
@@ -221,12 +300,12 @@ voucherSchema.methods.canUserUse = function(userId, user) {
 voucherSchema.methods.calculateDiscount = function(orderAmount, billingCycle) {
   // Check minimum order amount
   if (orderAmount < this.minOrderAmount) {
-    return { discount: 0, error: 'Order amount below minimum required' };
+    return { discount: 0, code: 'VOUCHER_MIN_ORDER_NOT_MET', error: 'Order amount below minimum required' };
   }
   
   // Check billing cycle applicability
   if (this.billingCycles.length > 0 && !this.billingCycles.includes(billingCycle)) {
-    return { discount: 0, error: 'Voucher not applicable for this billing cycle' };
+    return { discount: 0, code: 'VOUCHER_BILLING_CYCLE_NOT_ELIGIBLE', error: 'Voucher not applicable for this billing cycle' };
   }
   
   let discount = 0;
@@ -245,6 +324,58 @@ voucherSchema.methods.calculateDiscount = function(orderAmount, billingCycle) {
   return { discount: Math.round(discount * 100) / 100 };
 };
 
+// Method to check if voucher applies to a plan (empty or 'all' means every plan)
+voucherSchema.methods.isApplicableToPlan = function(plan) {
+  return this.applicablePlans.length === 0 ||
+    this.applicablePlans.includes('all') ||
+    this.applicablePlans.includes(plan.planType);
+};
+
+// Method to run every check for a user, plan and billing cycle without using the voucher
+voucherSchema.methods.checkEligibility = function(user, plan, billingCycle) {
+  const canUse = this.canUserUse(user._id, user);
+  if (!canUse.canUse) {
+    return { valid: false, code: canUse.code, reason: canUse.reason };
+  }
+
+  if (!this.isApplicableToPlan(plan)) {
+    return { valid: false, code: 'VOUCHER_PLAN_NOT_ELIGIBLE', reason: 'Voucher not applicable to this plan' };
+  }
+
+  const amount = billingCycle === 'yearly' ? plan.price.yearly : plan.price.monthly;
+  const discountResult = this.calculateDiscount(amount, billingCycle);
+  if (discountResult.error) {
+    return { valid: false, code: discountResult.code, reason: discountResult.error };
+  }
+
+  return {
+    valid: true,
+    amount,
+    discount: discountResult.discount,
+    finalAmount: Math.max(0, amount - discountResult.discount)
+  };
+};
+
+// Method to get localized voucher details for farmers
+voucherSchema.methods.getLocalizedDetails = function(language = 'en') {
+  const langCode = language === 'hindi' ? 'hi' : 
+                   language === 'telugu' ? 'te' : 'en';
+
+  return {
+    code: this.code,
+    name: this.name,
+    description: this.description?.[langCode] || this.description?.en || '',
+    type: this.type,
+    value: this.value,
+    maxDiscount: this.maxDiscount,
+    minOrderAmount: this.minOrderAmount,
+    applicablePlans: this.applicablePlans,
+    billingCycles: this.billingCycles,
+    category: this.metadata?.category,
+    validUntil: this.validUntil
+  };
+};
+
 // Method to apply voucher usage
 voucherSchema.methods.applyUsage = function(userId) {
   this.usage.totalUsed += 1;
@@ -267,22 +398,80 @@ voucherSchema.methods.applyUsage = function(userId) {
   return this.save();
 };
 
-// Static method to find applicable vouchers for user
-voucherSchema.statics.findApplicableVouchers = function(userId, user, planType, billingCycle) {
-  return this.find({
-    isActive: true,
-    $or: [
-      { 'applicablePlans': 'all' },
-      { 'applicablePlans': planType }
-    ]
-  }).then(vouchers => {
-    return vouchers.filter(voucher => {
-      const canUse = voucher.canUserUse(userId, user);
-      return canUse.canUse;
+// Static method to find applicable vouchers for user (planType / billingCycle optional)
+voucherSchema.statics.findApplicableVouchers = function(userId, user, planType, billingCycle, options = {}) {
+  const conditions = [{ isActive: true }, ...this.validityConditions()];
+
+  if (planType) {
+    conditions.push({
+      $or: [
+        { applicablePlans: { $size: 0 } },
+        { applicablePlans: { $in: ['all', planType] } }
+      ]
+    });
+  }
+  if (billingCycle) {
+    conditions.push({
+      $or: [
+        { billingCycles: { $size: 0 } },
+        { billingCycles: billingCycle }
+      ]
     });
-  });
+  }
+  if (options.publicOnly) {
+    conditions.push({ isPublic: true });
+  }
+
+  return this.find({ $and: conditions })
+    .sort({ 'metadata.priority': -1, createdAt: -1 })
+    .then(vouchers => {
+      return vouchers.filter(voucher => {
+        const canUse = voucher.canUserUse(userId, user);
+        return canUse.canUse;
+      });
+    });
+};
+
+// Static method to build query conditions for vouchers redeemable at a date
+// (vouchers created before validity windows existed have no validFrom/validUntil)
+voucherSchema.statics.validityConditions = function(date = new Date()) {
+  return [
+    { $or: [{ validFrom: { $exists: false } }, { validFrom: null }, { validFrom: { $lte: date } }] },
+    { $or: [{ validUntil: { $exists: false } }, { validUntil: null }, { validUntil: { $gt: date } }] }
+  ];
+};
+
+// Static method to build a filter for an admin validity status
+voucherSchema.statics.validityStatusFilter = function(status, date = new Date()) {
+  switch (status) {
+    case 'active':
+      return { isActive: true, $and: this.validityConditions(date) };
+    case 'upcoming':
+      return { isActive: true, validFrom: { $gt: date } };
+    case 'expired':
+      return { validUntil: { $lte: date } };
+    case 'inactive':
+      return {
+        isActive: false,
+        $or: [{ validUntil: { $exists: false } }, { validUntil: null }, { validUntil: { $gt: date } }]
+      };
+    default:
+      return {};
+  }
 };
 
+// Pre-validate middleware: derive the end of a new voucher's window from `validity` days
+// (older vouchers and free trials without validUntil stay open-ended until an admin sets one)
+voucherSchema.pre('validate', function(next) {
+  if (this.isNew && !this.validUntil && this.validFrom && this.type !== 'free_trial') {
+    this.validUntil = new Date(this.validFrom.getTime() + this.validity * 24 * 60 * 60 * 1000);
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
 // Pre-save middleware
 voucherSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+// A batch of single-use voucher codes issued from one template, e.g. for an NGO or
+// dairy-cooperative partnership. The codes themselves are Voucher documents with campaignId set.
+const voucherCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  partner: {
+    name: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['ngo', 'dairy_cooperative', 'fpo', 'government', 'corporate', 'other'],
+      default: 'other'
+    }
+  },
+  // Every generated code starts with this prefix (e.g. "KDC" gives codes like KDC7K3M9QX2)
+  codePrefix: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 8,
+    match: /^[A-Z0-9]+$/
+  },
+  // Settings copied to every generated voucher
+  template: {
+    description: {
+      en: String,
+      hi: String,
+      te: String
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed', 'free_trial'],
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    maxDiscount: {
+      type: Number,
+      min: 0
+    },
+    // Trial length in days, copied to each free_trial voucher's validity
+    trialDays: {
+      type: Number,
+      min: 1,
+      max: 365,
+      required: function() {
+        return this.template?.type === 'free_trial';
+      }
+    },
+    minOrderAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    applicablePlans: [{
+      type: String,
+      enum: ['all', 'basic', 'premium', 'enterprise']
+    }],
+    billingCycles: [{
+      type: String,
+      enum: ['monthly', 'yearly']
+    }],
+    conditions: {
+      firstTimeUser: {
+        type: Boolean,
+        default: false
+      },
+      locations: [{
+        state: String,
+        districts: [String]
+      }],
+      farmingTypes: [{
+        type: String,
+        enum: ['crops', 'dairy', 'poultry', 'goats', 'sheep', 'fishery', 'mixed']
+      }]
+    },
+    category: {
+      type: String,
+      enum: ['welcome', 'seasonal', 'loyalty', 'referral', 'festival', 'special']
+    }
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  issuedCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+voucherCampaignSchema.index({ createdAt: -1 });
+voucherCampaignSchema.index({ 'partner.name': 1 });
+
+voucherCampaignSchema.pre('validate', function(next) {
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+// Method to build the voucher document for one generated code
+voucherCampaignSchema.methods.buildVoucher = function(code) {
+  const template = this.toObject().template;
+
+  return {
+    code,
+    name: this.name,
+    description: template.description || {},
+    type: template.type,
+    value: template.value,
+    maxDiscount: template.maxDiscount,
+    minOrderAmount: template.minOrderAmount,
+    applicablePlans: template.applicablePlans?.length ? template.applicablePlans : ['all'],
+    billingCycles: template.billingCycles,
+    usageLimit: 1,
+    usage: { perUserLimit: 1 },
+    // The redemption window is validFrom/validUntil; validity only matters as a trial length
+    ...(template.type === 'free_trial' && { validity: template.trialDays }),
+    validFrom: this.validFrom,
+    validUntil: this.validUntil,
+    conditions: template.conditions,
+    isActive: true,
+    isPublic: false,
+    createdBy: this.createdBy,
+    campaignId: this._id,
+    metadata: {
+      campaign: this.name,
+      source: this.partner?.name,
+      category: template.category
+    }
+  };
+};
+
+// Method to get campaign data for admin listings
+voucherCampaignSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    partner: this.partner,
+    codePrefix: this.codePrefix,
+    type: this.template.type,
+    value: this.template.value,
+    trialDays: this.template.trialDays,
+    applicablePlans: this.template.applicablePlans,
+    validFrom: this.validFrom,
+    validUntil: this.validUntil,
+    issuedCount: this.issuedCount,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('VoucherCampaign', voucherCampaignSchema);
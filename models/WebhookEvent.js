@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Received provider webhook events, used for de-duplication, auditing and dead-letter replay
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  // Provider event ID (X-Razorpay-Event-Id), or a hash of the body when absent
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  // Order / payment / subscription the event is about
+  entityId: String,
+  payload: mongoose.Schema.Types.Mixed,
+  // Provider timestamp of the event
+  eventCreatedAt: Date,
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed', 'dead_letter'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the current processing attempt claimed the event
+  lockedAt: Date,
+  lastError: String,
+  // Why an event was ignored (unknown entity, out-of-order transition, ...)
+  outcome: String,
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  processedAt: Date,
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ entityId: 1 });
+
+// Method to get event data for admin listings
+webhookEventSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    provider: this.provider,
+    eventId: this.eventId,
+    eventType: this.eventType,
+    entityId: this.entityId,
+    status: this.status,
+    attempts: this.attempts,
+    lockedAt: this.lockedAt,
+    deliveries: this.deliveries,
+    lastError: this.lastError,
+    outcome: this.outcome,
+    eventCreatedAt: this.eventCreatedAt,
+    processedAt: this.processedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
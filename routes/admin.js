@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Call = require('../models/Call');
@@ -7,6 +8,16 @@ const Voucher = require('../models/Voucher');
 const Plan = require('../models/Plan');
 const Content = require('../models/Content');
 const { authenticateToken, requireAdmin, requireAdminOrSupport } = require('../middleware/auth');
+const entitlementService = require('../services/entitlementService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const reconciliationService = require('../services/reconciliationService');
+const voucherCampaignService = require('../services/voucherCampaignService');
+const referralService = require('../services/referralService');
+const refundService = require('../services/refundService');
+const offlinePaymentService = require('../services/offlinePaymentService');
+const VoucherCampaign = require('../models/VoucherCampaign');
+const NotificationDelivery = require('../models/NotificationDelivery');
 // SMS notifications removed - using password-based authentication
 const router = express.Router();
 
@@ -179,7 +190,8 @@ router.get('/dashboard', authenticateToken, requireAdminOrSupport, async (req, r
     // Get payment statistics
     const [totalRevenue, recentPayments, successfulPayments] = await Promise.all([
       Payment.aggregate([
-        { $match: { status: 'paid' } },
+        // Orders a voucher paid in full brought in no revenue
+        { $match: { status: 'paid', paymentMethod: { $ne: 'voucher' } } },
         { $group: { _id: null, total: { $sum: '$amount' } } }
       ]),
       Payment.countDocuments({ createdAt: { $gte: startDate } }),
@@ -443,7 +455,9 @@ router.post('/vouchers', authenticateToken, requireAdmin, [
   body('name').trim().notEmpty(),
   body('type').isIn(['percentage', 'fixed', 'free_trial']),
   body('value').isFloat({ min: 0 }),
-  body('validity').isInt({ min: 1, max: 365 }),
+  body('validity').optional().isInt({ min: 1, max: 365 }),
+  body('validFrom').optional().isISO8601(),
+  body('validUntil').optional().isISO8601(),
   body('usageLimit').isInt({ min: 1 }),
   body('applicablePlans').optional().isArray(),
   body('isActive').optional().isBoolean(),
@@ -466,6 +480,9 @@ router.post('/vouchers', authenticateToken, requireAdmin, [
 
     res.status(201).json({ success: true, message: 'Voucher created successfully', data: { voucher } });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Create voucher error:', error);
     res.status(500).json({ success: false, message: 'Failed to create voucher' });
   }
@@ -489,8 +506,17 @@ router.post('/vouchers/dev', [
     .isFloat({ min: 0 })
     .withMessage('Value must be a positive number'),
   body('validity')
+    .optional()
     .isInt({ min: 1, max: 365 })
     .withMessage('Validity must be between 1 and 365 days'),
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('validFrom must be a valid date'),
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('validUntil must be a valid date'),
   body('usageLimit')
     .isInt({ min: 1 })
     .withMessage('Usage limit must be a positive integer'),
@@ -569,7 +595,7 @@ router.get('/vouchers', authenticateToken, requireAdminOrSupport, [
     .withMessage('Limit must be between 1 and 100'),
   query('status')
     .optional()
-    .isIn(['active', 'inactive', 'expired'])
+    .isIn(['active', 'upcoming', 'expired', 'inactive'])
     .withMessage('Invalid status'),
   query('type')
     .optional()
@@ -587,32 +613,23 @@ router.get('/vouchers', authenticateToken, requireAdminOrSupport, [
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter
-    const filter = {};
-    
-    if (status === 'active') {
-      filter.isActive = true;
-      filter['validity.startDate'] = { $lte: new Date() };
-      filter['validity.endDate'] = { $gte: new Date() };
-    } else if (status === 'inactive') {
-      filter.isActive = false;
-    } else if (status === 'expired') {
-      filter['validity.endDate'] = { $lt: new Date() };
-    }
+    // Build filter (active / upcoming / expired by validity window)
+    const filter = { $and: [Voucher.validityStatusFilter(status)] };
     
     if (type) filter.type = type;
     
     if (search) {
-      filter.$or = [
-        { code: { $regex: search, $options: 'i' } },
-        { name: { $regex: search, $options: 'i' } }
-      ];
+      filter.$and.push({
+        $or: [
+          { code: { $regex: search, $options: 'i' } },
+          { name: { $regex: search, $options: 'i' } }
+        ]
+      });
     }
 
     // Get vouchers with pagination
     const vouchers = await Voucher.find(filter)
       .populate('createdBy', 'name')
-      .populate('applicablePlans', 'name displayName')
       .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
       .skip((parseInt(page) - 1) * parseInt(limit))
       .limit(parseInt(limit));
@@ -625,6 +642,7 @@ router.get('/vouchers', authenticateToken, requireAdminOrSupport, [
     const enrichedVouchers = vouchers.map(voucher => ({
       ...voucher.toObject(),
       isCurrentlyValid: voucher.isCurrentlyValid,
+      validityStatus: voucher.validityStatus,
       remainingUsage: voucher.remainingUsage,
       usagePercentage: voucher.usage.totalLimit ? 
         Math.round((voucher.usage.totalUsed / voucher.usage.totalLimit) * 100) : 0
@@ -670,12 +688,35 @@ router.put('/vouchers/:voucherId', authenticateToken, requireAdmin, [
   body('usage.totalLimit')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Total limit must be a positive integer')
+    .withMessage('Total limit must be a positive integer'),
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('validFrom must be a valid date'),
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('validUntil must be a valid date')
 ], handleValidationErrors, async (req, res) => {
   try {
     const { voucherId } = req.params;
     const updates = req.body;
 
+    if (updates.validFrom && updates.validUntil && new Date(updates.validUntil) <= new Date(updates.validFrom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'validUntil must be after validFrom'
+      });
+    }
+
+    if (updates.isActive === false) {
+      updates.deactivatedAt = new Date();
+      updates.deactivationReason = 'admin';
+    } else if (updates.isActive === true) {
+      updates.deactivatedAt = undefined;
+      updates.deactivationReason = undefined;
+    }
+
     const voucher = await Voucher.findByIdAndUpdate(
       voucherId,
       { $set: updates },
@@ -704,6 +745,346 @@ router.put('/vouchers/:voucherId', authenticateToken, requireAdmin, [
   }
 });
 
+// Largest number of codes generated in one request
+const MAX_CAMPAIGN_CODES = 10000;
+
+const findCampaign = (campaignId) => (
+  mongoose.isValidObjectId(campaignId) ? VoucherCampaign.findById(campaignId) : null
+);
+
+// @route   POST /api/admin/voucher-campaigns
+// @desc    Create a partner campaign and generate its single-use voucher codes
+// @access  Private/Admin
+router.post('/voucher-campaigns', authenticateToken, requireAdmin, [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Campaign name is required'),
+  body('partner.name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Partner name cannot be empty'),
+  body('partner.type')
+    .optional()
+    .isIn(['ngo', 'dairy_cooperative', 'fpo', 'government', 'corporate', 'other'])
+    .withMessage('Invalid partner type'),
+  body('codePrefix')
+    .trim()
+    .isLength({ min: 2, max: 8 })
+    .isAlphanumeric()
+    .withMessage('Code prefix must be 2-8 alphanumeric characters'),
+  body('count')
+    .isInt({ min: 1, max: MAX_CAMPAIGN_CODES })
+    .withMessage(`Count must be between 1 and ${MAX_CAMPAIGN_CODES}`),
+  body('template.type')
+    .isIn(['percentage', 'fixed', 'free_trial'])
+    .withMessage('Invalid voucher type'),
+  body('template.value')
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a positive number'),
+  body('template.trialDays')
+    .if(body('template.type').equals('free_trial'))
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Trial length must be between 1 and 365 days'),
+  body('template.applicablePlans')
+    .optional()
+    .isArray()
+    .withMessage('Applicable plans must be an array'),
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('validFrom must be a valid date'),
+  body('validUntil')
+    .isISO8601()
+    .withMessage('validUntil must be a valid date')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { count, ...campaignData } = req.body;
+
+    const campaign = new VoucherCampaign({
+      ...campaignData,
+      codePrefix: campaignData.codePrefix.toUpperCase(),
+      issuedCount: 0,
+      createdBy: req.userId
+    });
+    await campaign.save();
+
+    const issued = await voucherCampaignService.generateCodes(campaign, parseInt(count));
+
+    res.status(201).json({
+      success: true,
+      message: `Campaign created with ${issued} voucher codes`,
+      data: {
+        campaign: campaign.getSummary(),
+        requested: parseInt(count),
+        issued
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create voucher campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create voucher campaign'
+    });
+  }
+});
+
+// @route   GET /api/admin/voucher-campaigns
+// @desc    List voucher campaigns
+// @access  Private/Admin
+router.get('/voucher-campaigns', authenticateToken, requireAdminOrSupport, [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = {};
+    if (req.query.partner) {
+      filter['partner.name'] = { $regex: req.query.partner, $options: 'i' };
+    }
+
+    const [campaigns, total] = await Promise.all([
+      VoucherCampaign.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      VoucherCampaign.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        campaigns: campaigns.map(campaign => campaign.getSummary()),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCampaigns: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get voucher campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch voucher campaigns'
+    });
+  }
+});
+
+// @route   GET /api/admin/voucher-campaigns/:campaignId
+// @desc    Campaign details with redemption stats (issued vs redeemed vs revenue)
+// @access  Private/Admin
+router.get('/voucher-campaigns/:campaignId', authenticateToken, requireAdminOrSupport, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const stats = await voucherCampaignService.getStats(campaign);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        campaign: campaign.getSummary(),
+        stats
+      }
+    });
+
+  } catch (error) {
+    console.error('Get voucher campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch voucher campaign'
+    });
+  }
+});
+
+// @route   POST /api/admin/voucher-campaigns/:campaignId/codes
+// @desc    Generate more codes for an existing campaign
+// @access  Private/Admin
+router.post('/voucher-campaigns/:campaignId/codes', authenticateToken, requireAdmin, [
+  body('count')
+    .isInt({ min: 1, max: MAX_CAMPAIGN_CODES })
+    .withMessage(`Count must be between 1 and ${MAX_CAMPAIGN_CODES}`)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (campaign.validUntil <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Campaign has ended',
+        code: 'CAMPAIGN_ENDED'
+      });
+    }
+
+    const count = parseInt(req.body.count);
+    const issued = await voucherCampaignService.generateCodes(campaign, count);
+
+    res.status(201).json({
+      success: true,
+      message: `${issued} voucher codes generated`,
+      data: {
+        campaign: campaign.getSummary(),
+        requested: count,
+        issued
+      }
+    });
+
+  } catch (error) {
+    console.error('Generate campaign codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate voucher codes'
+    });
+  }
+});
+
+// @route   GET /api/admin/voucher-campaigns/:campaignId/export
+// @desc    Export a campaign's codes as CSV (?status=unused|redeemed)
+// @access  Private/Admin
+router.get('/voucher-campaigns/:campaignId/export', authenticateToken, requireAdmin, [
+  query('status')
+    .optional()
+    .isIn(['unused', 'redeemed'])
+    .withMessage('Status must be unused or redeemed')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const rows = await voucherCampaignService.exportRows(campaign, { status: req.query.status });
+    const filename = `voucher-campaign-${campaign.codePrefix.toLowerCase()}-${campaign._id}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(rows.length ? convertToCSV(rows) : 'code,status,redeemedAt,validFrom,validUntil');
+
+  } catch (error) {
+    console.error('Export voucher campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export voucher codes'
+    });
+  }
+});
+
+// @route   GET /api/admin/referrals
+// @desc    List referrals (e.g. ?status=rejected to review abuse checks)
+// @access  Private/Admin
+router.get('/referrals', authenticateToken, requireAdminOrSupport, [
+  query('status')
+    .optional()
+    .isIn(['pending', 'qualified', 'rewarded', 'rejected'])
+    .withMessage('Invalid referral status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { referrals, total, rejections } = await referralService.listReferrals({
+      status: req.query.status,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        referrals,
+        rejections: rejections.reduce((acc, group) => {
+          acc[group._id] = group.count;
+          return acc;
+        }, {}),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalReferrals: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referrals'
+    });
+  }
+});
+
+// @route   POST /api/admin/referrals/:referralId/reward
+// @desc    Retry the reward of a qualified referral whose reward failed
+// @access  Private/Admin
+router.post('/referrals/:referralId/reward', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.referralId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Referral not found'
+      });
+    }
+
+    const referral = await referralService.retryReward(req.params.referralId);
+    if (!referral) {
+      return res.status(409).json({
+        success: false,
+        message: 'Referral is not awaiting a reward',
+        code: 'REFERRAL_NOT_REWARDABLE'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Referral reward issued',
+      data: { referral }
+    });
+
+  } catch (error) {
+    console.error('Retry referral reward error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue referral reward'
+    });
+  }
+});
+
 // @route   PUT /api/admin/users/:userId/subscription
 // @desc    Update user subscription (Admin only)
 // @access  Private/Admin
@@ -750,9 +1131,18 @@ router.put('/users/:userId/subscription', authenticateToken, requireAdmin, [
       user.subscription.planId = planId;
     }
 
+    const wasOnFreeTier = user.isOnFreeTier();
+
     if (status) user.subscription.status = status;
     if (endDate) user.subscription.endDate = new Date(endDate);
 
+    // Activating a subscription starts a new usage period anchored to today
+    if (wasOnFreeTier && !user.isOnFreeTier()) {
+      user.subscription.startDate = new Date();
+      await entitlementService.startPlanPeriod(user);
+    }
+
+    user.addSubscriptionHistory('admin_update', { reason, changedBy: req.userId });
     await user.save();
 
     // Send notification to user
@@ -793,6 +1183,60 @@ router.put('/users/:userId/subscription', authenticateToken, requireAdmin, [
   }
 });
 
+// @route   GET /api/admin/users/:userId/usage-periods
+// @desc    Get a user's usage per billing period (Admin/Support only)
+// @access  Private/Admin
+router.get('/users/:userId/usage-periods', authenticateToken, requireAdminOrSupport, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { periods, total } = await entitlementService.getUsageHistory(user._id, { page, limit });
+
+    const current = periods.find(period => period.status === 'open');
+    if (current) {
+      current.usage = {
+        calls: user.usage.monthlyCallsUsed,
+        minutes: user.usage.monthlyMinutesUsed,
+        sms: user.usage.monthlySmsUsed
+      };
+    }
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: user._id,
+        periods,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalPeriods: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get usage periods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch usage periods'
+    });
+  }
+});
+
 // @route   PUT /api/admin/users/:userId/status
 // @desc    Update user status (Admin only)
 // @access  Private/Admin
@@ -1207,18 +1651,7 @@ router.put('/verifications/:userId/approve', authenticateToken, requireAdmin, [
     
     await user.save();
 
-    // Send approval notification email
-    try {
-      const emailService = require('../services/emailService');
-      await emailService.sendVerificationApprovalEmail({
-        to: user.email,
-        name: user.name,
-        language: user.preferredLanguage || 'english'
-      });
-    } catch (emailError) {
-      console.error('Verification approval email error:', emailError);
-      // Don't fail the request if email fails
-    }
+    await notificationService.dispatch('verification.approved', user);
 
     console.log(`✅ Verification approved for user: ${user.name} (${user.email}) by admin: ${req.user.name}`);
 
@@ -1287,19 +1720,7 @@ router.put('/verifications/:userId/reject', authenticateToken, requireAdmin, [
     
     await user.save();
 
-    // Send rejection notification email
-    try {
-      const emailService = require('../services/emailService');
-      await emailService.sendVerificationRejectionEmail({
-        to: user.email,
-        name: user.name,
-        rejectionReason: rejectionReason,
-        language: user.preferredLanguage || 'english'
-      });
-    } catch (emailError) {
-      console.error('Verification rejection email error:', emailError);
-      // Don't fail the request if email fails
-    }
+    await notificationService.dispatch('verification.rejected', user, { reason: rejectionReason });
 
     console.log(`❌ Verification rejected for user: ${user.name} (${user.email}) by admin: ${req.user.name}`);
 
@@ -1800,4 +2221,767 @@ router.post('/farmers/:id/reject', authenticateToken, requireAdminOrSupport, asy
   }
 });
 
+// @route   GET /api/admin/payments/reconciliation
+// @desc    Payment reconciliation report (unresolved orders and recent outcomes)
+// @access  Private/Admin
+router.get('/payments/reconciliation', authenticateToken, requireAdminOrSupport, [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be between 1 and 90')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const schedulerService = require('../services/schedulerService');
+    const days = parseInt(req.query.days) || 7;
+
+    const report = await reconciliationService.getReport({ days });
+    const lastRun = schedulerService.getStatus().find(job => job.name === 'payment-reconciliation');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...report,
+        lastRun: lastRun ? {
+          at: lastRun.lastRunAt,
+          result: lastRun.lastResult,
+          error: lastRun.lastError
+        } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation report'
+    });
+  }
+});
+
+// @route   POST /api/admin/payments/:paymentId/reconcile
+// @desc    Check one unresolved payment against Razorpay now
+// @access  Private/Admin
+router.post('/payments/:paymentId/reconcile', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const payment = mongoose.isValidObjectId(req.params.paymentId) ?
+      await Payment.findById(req.params.paymentId) : null;
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!['created', 'pending'].includes(payment.status) || !payment.razorpayOrderId) {
+      return res.status(409).json({
+        success: false,
+        message: payment.razorpayOrderId ? `Payment is already ${payment.status}` : 'Payment has no Razorpay order to reconcile',
+        code: 'PAYMENT_ALREADY_SETTLED'
+      });
+    }
+
+    const outcome = await reconciliationService.reconcilePayment(payment);
+
+    res.status(200).json({
+      success: true,
+      message: `Payment reconciled: ${outcome}`,
+      data: {
+        paymentId: payment._id,
+        orderId: payment.orderId,
+        status: payment.status,
+        reconciliation: payment.reconciliation
+      }
+    });
+
+  } catch (error) {
+    console.error('Reconcile payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile payment'
+    });
+  }
+});
+
+// @route   POST /api/admin/offline-payments
+// @desc    Record a cash / cheque / bank transfer payment collected from a farmer (awaits admin approval)
+// @access  Private/Admin or Support
+router.post('/offline-payments', authenticateToken, requireAdminOrSupport, [
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid farmer ID is required'),
+  body('phoneNumber')
+    .optional()
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage('Valid Indian phone number is required'),
+  body('planId')
+    .isMongoId()
+    .withMessage('Valid plan ID is required'),
+  body('billingCycle')
+    .isIn(['monthly', 'yearly'])
+    .withMessage('Billing cycle must be monthly or yearly'),
+  body('mode')
+    .isIn(['cash', 'cheque', 'bank_transfer'])
+    .withMessage('Mode must be cash, cheque or bank_transfer'),
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount collected is required'),
+  body('receiptNumber')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Receipt number is required'),
+  body('reference')
+    .if(body('mode').isIn(['cheque', 'bank_transfer']))
+    .trim()
+    .notEmpty()
+    .withMessage('Cheque number or bank transfer reference is required'),
+  body('collectedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Collected date must be a valid date'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { userId, phoneNumber, planId, billingCycle, mode, amount, receiptNumber, reference, collectedAt, note } = req.body;
+
+    if (!userId && !phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Farmer ID or phone number is required'
+      });
+    }
+
+    const farmer = userId ? await User.findById(userId) : await User.findOne({ phoneNumber });
+    if (!farmer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Farmer not found'
+      });
+    }
+
+    const plan = await Plan.findById(planId);
+    if (!plan || !plan.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found or not available'
+      });
+    }
+
+    const collected = collectedAt ? new Date(collectedAt) : undefined;
+    if (collected && collected > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collected date cannot be in the future'
+      });
+    }
+
+    const result = await offlinePaymentService.record(req.user, farmer, plan, {
+      billingCycle,
+      mode,
+      receiptNumber,
+      reference,
+      amount: parseFloat(amount),
+      collectedAt: collected,
+      note
+    }, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      source: 'offline'
+    });
+
+    if (!result.success) {
+      const status = { USE_PLAN_CHANGE: 409, OFFLINE_PAYMENT_PENDING: 409, DUPLICATE_RECEIPT: 409 }[result.code] || 400;
+      return res.status(status).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Offline payment recorded. It will be activated once an admin approves it.',
+      data: {
+        paymentId: result.payment._id,
+        orderId: result.payment.orderId,
+        amount: result.payment.amount,
+        billingCycle,
+        status: result.payment.status,
+        offline: result.payment.offline
+      }
+    });
+
+  } catch (error) {
+    console.error('Record offline payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record offline payment'
+    });
+  }
+});
+
+// @route   GET /api/admin/offline-payments
+// @desc    List offline payments (e.g. ?status=pending for the approval queue); support sees their own
+// @access  Private/Admin or Support
+router.get('/offline-payments', authenticateToken, requireAdminOrSupport, [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved or rejected'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { payments, total } = await offlinePaymentService.list({
+      status: req.query.status,
+      collectedBy: req.user.role === 'support' ? req.user._id : undefined,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalPayments: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get offline payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offline payments'
+    });
+  }
+});
+
+// @route   POST /api/admin/offline-payments/:paymentId/approve
+// @desc    Approve an offline payment and activate the farmer's subscription (not by the recorder)
+// @access  Private/Admin
+router.post('/offline-payments/:paymentId/approve', authenticateToken, requireAdmin, [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const payment = mongoose.isValidObjectId(req.params.paymentId) ?
+      await Payment.findOne({ _id: req.params.paymentId, paymentMethod: 'offline' }) : null;
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offline payment not found'
+      });
+    }
+
+    const result = await offlinePaymentService.approve(payment, req.user, req.body.note);
+
+    if (!result.success) {
+      return res.status(result.code === 'MAKER_CHECKER_VIOLATION' ? 403 : 409).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Offline payment approved and subscription activated',
+      data: {
+        paymentId: result.payment._id,
+        orderId: result.payment.orderId,
+        status: result.payment.status,
+        offline: result.payment.offline,
+        subscription: result.subscription
+      }
+    });
+
+  } catch (error) {
+    console.error('Approve offline payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve offline payment'
+    });
+  }
+});
+
+// @route   POST /api/admin/offline-payments/:paymentId/reject
+// @desc    Reject an offline payment (e.g. cash not deposited, cheque bounced)
+// @access  Private/Admin
+router.post('/offline-payments/:paymentId/reject', authenticateToken, requireAdmin, [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Reason must be between 5 and 200 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const payment = mongoose.isValidObjectId(req.params.paymentId) ?
+      await Payment.findOne({ _id: req.params.paymentId, paymentMethod: 'offline' }) : null;
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offline payment not found'
+      });
+    }
+
+    const result = await offlinePaymentService.reject(payment, req.user, req.body.reason);
+
+    if (!result.success) {
+      return res.status(result.code === 'MAKER_CHECKER_VIOLATION' ? 403 : 409).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Offline payment rejected',
+      data: {
+        paymentId: result.payment._id,
+        orderId: result.payment.orderId,
+        status: result.payment.status,
+        offline: result.payment.offline
+      }
+    });
+
+  } catch (error) {
+    console.error('Reject offline payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject offline payment'
+    });
+  }
+});
+
+// @route   GET /api/admin/refunds
+// @desc    List refund requests and refunds (e.g. ?status=requested for the review queue)
+// @access  Private/Admin
+router.get('/refunds', authenticateToken, requireAdminOrSupport, [
+  query('status')
+    .optional()
+    .isIn(['requested', 'rejected', 'pending', 'processed', 'failed'])
+    .withMessage('Invalid refund status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { payments, total } = await refundService.listRefunds({ status: req.query.status, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        refunds: payments.map(payment => ({
+          ...refundService.getSummary(payment),
+          user: payment.userId,
+          plan: payment.planId,
+          billingCycle: payment.billingCycle,
+          subscription: payment.subscription
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRefunds: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds'
+    });
+  }
+});
+
+// @route   POST /api/admin/refunds/:paymentId/approve
+// @desc    Approve a refund request (optionally for a different amount) and refund via Razorpay; also retries failed refunds
+// @access  Private/Admin
+router.post('/refunds/:paymentId/approve', authenticateToken, requireAdmin, [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount must be greater than 0'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const payment = mongoose.isValidObjectId(req.params.paymentId) ?
+      await Payment.findById(req.params.paymentId) : null;
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!['requested', 'failed'].includes(payment.refund?.refundStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: 'No refund request awaiting review',
+        code: 'REFUND_NOT_PENDING_REVIEW'
+      });
+    }
+
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined;
+    const result = await refundService.approve(payment, req.user, { amount, note: req.body.note });
+
+    if (!result.success) {
+      const status = { REFUND_ALREADY_EXISTS: 409, RAZORPAY_ERROR: 500 }[result.code] || 400;
+      return res.status(status).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund approved',
+      data: refundService.getSummary(result.payment)
+    });
+
+  } catch (error) {
+    console.error('Approve refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve refund'
+    });
+  }
+});
+
+// @route   POST /api/admin/refunds/:paymentId/reject
+// @desc    Reject a refund request (the farmer is emailed the reason)
+// @access  Private/Admin
+router.post('/refunds/:paymentId/reject', authenticateToken, requireAdmin, [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Reason must be between 5 and 200 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const payment = mongoose.isValidObjectId(req.params.paymentId) ?
+      await Payment.findById(req.params.paymentId) : null;
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const result = await refundService.reject(payment, req.user, req.body.reason);
+
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund request rejected',
+      data: refundService.getSummary(result.payment)
+    });
+
+  } catch (error) {
+    console.error('Reject refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject refund'
+    });
+  }
+});
+
+// @route   GET /api/admin/webhooks
+// @desc    List received payment webhook events (e.g. ?status=dead_letter)
+// @access  Private/Admin
+router.get('/webhooks', authenticateToken, requireAdminOrSupport, [
+  query('status')
+    .optional()
+    .isIn(['received', 'processing', 'processed', 'ignored', 'failed', 'dead_letter'])
+    .withMessage('Invalid webhook status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { events, total } = await webhookService.listEvents({
+      status: req.query.status,
+      eventType: req.query.eventType,
+      page,
+      limit
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEvents: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook events'
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks/:eventId/replay
+// @desc    Re-process a failed or dead-lettered webhook event
+// @access  Private/Admin
+router.post('/webhooks/:eventId/replay', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await webhookService.replay(req.params.eventId, req.userId);
+
+    if (result.code) {
+      return res.status(result.code === 'EVENT_NOT_FOUND' ? 404 : 409).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(200).json({
+      success: result.success,
+      message: result.success ? 'Webhook event replayed' : 'Webhook event failed again',
+      data: { event: result.event.getSummary() }
+    });
+
+  } catch (error) {
+    console.error('Replay webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay webhook event'
+    });
+  }
+});
+
+// @route   GET /api/admin/notifications
+// @desc    Notification delivery log (every channel attempt), e.g. ?userId=...&status=failed
+// @access  Private/Admin or Support
+router.get('/notifications', authenticateToken, requireAdminOrSupport, [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('event')
+    .optional()
+    .isIn(notificationService.getEvents())
+    .withMessage('Unknown notification event'),
+  query('channel')
+    .optional()
+    .isIn(['email', 'sms', 'whatsapp', 'in_app'])
+    .withMessage('Channel must be email, sms, whatsapp or in_app'),
+  query('status')
+    .optional()
+    .isIn(['queued', 'sending', 'sent', 'failed', 'skipped'])
+    .withMessage('Invalid delivery status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { deliveries, total } = await notificationService.list({
+      userId: req.query.userId,
+      event: req.query.event,
+      channel: req.query.channel,
+      status: req.query.status,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(delivery => delivery.getSummary()),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalDeliveries: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification deliveries'
+    });
+  }
+});
+
+// @route   POST /api/admin/notifications/:deliveryId/retry
+// @desc    Attempt a failed notification delivery once more
+// @access  Private/Admin or Support
+router.post('/notifications/:deliveryId/retry', authenticateToken, requireAdminOrSupport, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delivery ID'
+      });
+    }
+
+    const delivery = await NotificationDelivery.findById(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification delivery not found',
+        code: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+
+    const result = await notificationService.retry(delivery);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    console.log(`🔁 Notification ${delivery._id} retried by ${req.user.name}: ${result.delivery.status}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Notification ${result.delivery.status}`,
+      data: {
+        delivery: result.delivery.getSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('Retry notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry notification'
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    Get background job status
+// @access  Private/Admin
+router.get('/jobs', authenticateToken, requireAdminOrSupport, (req, res) => {
+  try {
+    const schedulerService = require('../services/schedulerService');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        started: schedulerService.started,
+        timezone: schedulerService.timezone,
+        jobs: schedulerService.getStatus()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job status'
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Run a background job immediately
+// @access  Private/Admin
+router.post('/jobs/:name/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const schedulerService = require('../services/schedulerService');
+    const { name } = req.params;
+
+    if (!schedulerService.jobs.has(name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const result = await schedulerService.runJob(name);
+
+    res.status(200).json({
+      success: true,
+      message: `Job ${name} completed`,
+      data: { result }
+    });
+
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
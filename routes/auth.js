@@ -1,11 +1,33 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, loginRateLimit, registerRateLimit, authenticateToken, requireAdmin } = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const { generateToken, loginRateLimit, registerRateLimit, createRateLimit, authenticateToken, requireAdmin } = require('../middleware/auth');
 const router = express.Router();
 const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const entitlementService = require('../services/entitlementService');
+const referralService = require('../services/referralService');
+const otpService = require('../services/otpService');
 const crypto = require('crypto');
 
+// Registration must carry a phoneVerificationToken from a register OTP
+const PHONE_VERIFICATION_REQUIRED = process.env.PHONE_VERIFICATION_REQUIRED === 'true';
+
+// OTP login is for farmers only; staff accounts keep password login
+const PASSWORD_LOGIN_REQUIRED = {
+  success: false,
+  message: 'This account must sign in with a password',
+  code: 'PASSWORD_LOGIN_REQUIRED'
+};
+
+// Per-IP limit on OTP requests, on top of the per-number limits in otpService
+const otpRateLimit = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  20,
+  'Too many OTP requests. Please try again later.'
+);
+
 // Validation middleware
 const validatePhoneNumber = [
   body('phoneNumber')
@@ -122,6 +144,20 @@ const validateRegistration = [
     .isIn(['crops', 'dairy', 'poultry', 'goats', 'sheep', 'fishery', 'mixed'])
     .withMessage('Invalid farming type. Must be one of: crops, dairy, poultry, goats, sheep, fishery, mixed'),
   
+  // Proof from POST /api/auth/otp/verify (purpose register) that the caller owns phoneNumber
+  body('phoneVerificationToken')
+    .optional({ checkFalsy: true })
+    .isJWT()
+    .withMessage('Invalid phone verification token'),
+  
+  // Referral code of the farmer who invited this user
+  body('referralCode')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isAlphanumeric()
+    .isLength({ min: 4, max: 12 })
+    .withMessage('Invalid referral code format'),
+  
   // Custom validation for required fields
   body()
     .custom((value, { req }) => {
@@ -188,7 +224,8 @@ const handleValidationErrors = (req, res, next) => {
 //           - FarmingTypes: Max 5 types from predefined list (optional)
 router.post('/register', registerRateLimit, validateRegistration, handleValidationErrors, async (req, res) => {
   try {
-    const { phoneNumber, password, name, preferredLanguage, location, farmingTypes, email, role } = req.body;
+    const { phoneNumber, password, name, preferredLanguage, location, farmingTypes, email, role, referralCode, phoneVerificationToken } = req.body;
+    const deviceId = req.headers['x-device-id'] || req.body.deviceId;
 
     // Normalize and validate phone number
     const phone = phoneNumber.replace(/\D/g, '');
@@ -275,6 +312,24 @@ router.post('/register', registerRateLimit, validateRegistration, handleValidati
       }
     }
 
+    // Phone ownership proven with a register OTP
+    const phoneVerified = phoneVerificationToken ? otpService.checkPhoneToken(phoneVerificationToken, phone) : false;
+    if (phoneVerificationToken && !phoneVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone verification has expired or is for another number. Please verify your number again.',
+        code: 'INVALID_PHONE_VERIFICATION'
+      });
+    }
+
+    if (PHONE_VERIFICATION_REQUIRED && !phoneVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please verify your phone number with the SMS code first',
+        code: 'PHONE_NOT_VERIFIED'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ phoneNumber: phone });
     if (existingUser) {
@@ -297,6 +352,19 @@ router.post('/register', registerRateLimit, validateRegistration, handleValidati
       }
     }
 
+    // Referral codes are only for farmers signing up
+    let referrer = null;
+    if (referralCode && userRole === 'farmer') {
+      referrer = await referralService.findReferrer(referralCode);
+      if (!referrer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid referral code',
+          code: 'INVALID_REFERRAL_CODE'
+        });
+      }
+    }
+
     // Create new user with sanitized data
     const userData = {
       phoneNumber: phone,
@@ -308,7 +376,13 @@ router.post('/register', registerRateLimit, validateRegistration, handleValidati
       farmingType: farmingTypes || [], // Map farmingTypes to farmingType for database
       role: userRole, // Set the role
       isVerified: userRole === 'admin',
+      phoneVerified,
+      phoneVerifiedAt: phoneVerified ? new Date() : undefined,
       approvalStatus: userRole === 'admin' ? 1 : 0,
+      referral: {
+        referredBy: referrer ? referrer._id : undefined,
+        signupDeviceId: deviceId ? String(deviceId).slice(0, 128) : undefined
+      },
       lastLogin: new Date()
     };
 
@@ -325,23 +399,28 @@ router.post('/register', registerRateLimit, validateRegistration, handleValidati
     const user = new User(userData);
     await user.save();
 
+    // Referral code for the new farmer, and credit for the farmer who invited them.
+    // Neither may fail the registration.
+    if (userRole === 'farmer') {
+      try {
+        await referralService.ensureCode(user);
+        if (referrer) {
+          await referralService.recordSignup(referrer, user, {
+            deviceId: user.referral.signupDeviceId,
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+          });
+        }
+      } catch (error) {
+        console.error(`❌ Referral error for ${user.phoneNumber}:`, error);
+      }
+    }
+
     // Generate JWT token
     const token = generateToken(user._id);
 
-    // Send welcome email (non-blocking)
-    if (user.email) {
-      emailService.sendWelcomeEmail({
-        name: user.name,
-        email: user.email,
-        phoneNumber: user.phoneNumber,
-        preferredLanguage: user.preferredLanguage,
-        role: user.role
-      }).then(result => {
-        // Email sent
-      }).catch(error => {
-        console.error(`❌ Welcome email error for ${user.email}:`, error);
-      });
-    }
+    // Welcome email (if the user wants email) and in-app message
+    await notificationService.dispatch('account.welcome', user);
 
     // Prepare response data (exclude password)
     const responseUser = {
@@ -356,6 +435,8 @@ router.post('/register', registerRateLimit, validateRegistration, handleValidati
       usage: user.usage,
       role: user.role,
       isVerified: user.isVerified,
+      phoneVerified: user.phoneVerified,
+      referralCode: user.referral?.code,
       createdAt: user.createdAt
     };
 
@@ -453,8 +534,8 @@ router.post('/login', loginRateLimit, validateLogin, handleValidationErrors, asy
     // Update last login
     user.lastLogin = new Date();
     
-    // Reset monthly usage if needed
-    const resetNeeded = user.resetMonthlyUsage();
+    // Start a new usage period if needed
+    const resetNeeded = await entitlementService.refreshPeriod(user);
     await user.save();
 
     // Generate JWT token
@@ -473,6 +554,7 @@ router.post('/login', loginRateLimit, validateLogin, handleValidationErrors, asy
       usage: user.usage,
       role: user.role,
       isVerified: user.isVerified,
+      phoneVerified: user.phoneVerified,
       lastLogin: user.lastLogin,
       profile: user.profile,
       preferences: user.preferences
@@ -480,23 +562,12 @@ router.post('/login', loginRateLimit, validateLogin, handleValidationErrors, asy
 
     console.log(`✅ User logged in: ${user.name} (${searchField}: ${searchValue})`);
 
-    // Send login success email (if user has email)
-    if (user.email) {
-      try {
-        await emailService.sendLoginSuccessEmail({
-          to: user.email,
-          name: user.name,
-          language: user.preferredLanguage || 'english',
-          loginTime: new Date(),
-          deviceInfo: req.headers['user-agent'] || 'Unknown device',
-          ipAddress: req.ip || req.connection.remoteAddress || 'Unknown IP'
-        });
-        console.log(`📧 Login success email sent to: ${user.email}`);
-      } catch (emailError) {
-        console.error('Failed to send login success email:', emailError);
-        // Don't fail login if email fails
-      }
-    }
+    // Login alert email (if the user wants email)
+    await notificationService.dispatch('auth.login', user, {
+      loginTime: new Date(),
+      deviceInfo: req.headers['user-agent'] || 'Unknown device',
+      ipAddress: req.ip || req.connection.remoteAddress || 'Unknown IP'
+    });
 
     res.status(200).json({
       success: true,
@@ -519,6 +590,288 @@ router.post('/login', loginRateLimit, validateLogin, handleValidationErrors, asy
   }
 });
 
+// @route   POST /api/auth/otp/request
+// @desc    Send an SMS code for passwordless login or to verify the number before registering
+// @access  Public
+router.post('/otp/request', otpRateLimit, [
+  ...validatePhoneNumber,
+  body('purpose')
+    .isIn(['login', 'register'])
+    .withMessage('Purpose must be login or register'),
+  body('language')
+    .optional()
+    .isIn(['english', 'hindi', 'telugu'])
+    .withMessage('Language must be english, hindi, or telugu')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { phoneNumber, purpose } = req.body;
+    const user = await User.findOne({ phoneNumber }).select('isActive preferredLanguage role');
+
+    if (purpose === 'login' && !user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account found with this phone number',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (purpose === 'login' && !user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    if (purpose === 'login' && user.role !== 'farmer') {
+      return res.status(403).json(PASSWORD_LOGIN_REQUIRED);
+    }
+
+    if (purpose === 'register' && user) {
+      return res.status(409).json({
+        success: false,
+        message: 'User already exists with this phone number',
+        code: 'USER_EXISTS'
+      });
+    }
+
+    const result = await otpService.requestOtp({
+      phoneNumber,
+      purpose,
+      language: req.body.language || user?.preferredLanguage,
+      ipAddress: req.ip
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'SMS_FAILED' ? 502 : 429).json({
+        success: false,
+        message: result.error,
+        code: result.code,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent',
+      data: {
+        phoneNumber,
+        purpose,
+        expiresAt: result.expiresAt,
+        resendAfter: result.resendAfter
+      }
+    });
+
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
+// @route   POST /api/auth/otp/verify
+// @desc    Check an SMS code: logs in (purpose login) or returns a phoneVerificationToken for registration
+// @access  Public
+router.post('/otp/verify', loginRateLimit, [
+  ...validatePhoneNumber,
+  body('purpose')
+    .isIn(['login', 'register'])
+    .withMessage('Purpose must be login or register'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { phoneNumber, purpose, code } = req.body;
+
+    const result = await otpService.verifyOtp({ phoneNumber, purpose, code });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        code: result.code,
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    if (purpose === 'register') {
+      return res.status(200).json({
+        success: true,
+        message: 'Phone number verified',
+        data: {
+          phoneNumber,
+          phoneVerificationToken: otpService.issuePhoneToken(phoneNumber)
+        }
+      });
+    }
+
+    const user = await User.findOne({ phoneNumber });
+    if (!user || !user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    if (user.role !== 'farmer') {
+      return res.status(403).json(PASSWORD_LOGIN_REQUIRED);
+    }
+
+    // Receiving the code proves the farmer owns the number
+    user.lastLogin = new Date();
+    if (!user.phoneVerified) {
+      user.phoneVerified = true;
+      user.phoneVerifiedAt = new Date();
+    }
+
+    const resetNeeded = await entitlementService.refreshPeriod(user);
+    await user.save();
+
+    const token = generateToken(user._id);
+
+    const responseUser = {
+      id: user._id,
+      phoneNumber: user.phoneNumber,
+      name: user.name,
+      email: user.email,
+      preferredLanguage: user.preferredLanguage,
+      location: user.location,
+      farmingType: user.farmingType,
+      subscription: user.subscription,
+      usage: user.usage,
+      role: user.role,
+      isVerified: user.isVerified,
+      phoneVerified: user.phoneVerified,
+      lastLogin: user.lastLogin,
+      profile: user.profile,
+      preferences: user.preferences
+    };
+
+    console.log(`✅ User logged in with OTP: ${user.name} (${phoneNumber})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: responseUser,
+        token,
+        tokenType: 'Bearer',
+        usageReset: resetNeeded
+      }
+    });
+
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify code'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-phone/request
+// @desc    Send an SMS code to confirm the logged-in user's phone number
+// @access  Private
+router.post('/verify-phone/request', authenticateToken, otpRateLimit, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.phoneVerified) {
+      return res.status(409).json({
+        success: false,
+        message: 'Phone number is already verified',
+        code: 'PHONE_ALREADY_VERIFIED'
+      });
+    }
+
+    const result = await otpService.requestOtp({
+      phoneNumber: user.phoneNumber,
+      purpose: 'verify_phone',
+      language: user.preferredLanguage,
+      ipAddress: req.ip
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'SMS_FAILED' ? 502 : 429).json({
+        success: false,
+        message: result.error,
+        code: result.code,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent',
+      data: {
+        phoneNumber: user.phoneNumber,
+        expiresAt: result.expiresAt,
+        resendAfter: result.resendAfter
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify phone request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-phone
+// @desc    Confirm the logged-in user's phone number with the SMS code
+// @access  Private
+router.post('/verify-phone', authenticateToken, [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = req.user;
+
+    const result = await otpService.verifyOtp({
+      phoneNumber: user.phoneNumber,
+      purpose: 'verify_phone',
+      code: req.body.code
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        code: result.code,
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified',
+      data: {
+        phoneNumber: user.phoneNumber,
+        phoneVerified: true,
+        phoneVerifiedAt: user.phoneVerifiedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify phone number'
+    });
+  }
+});
+
 // @route   GET /api/auth/check-phone
 // @desc    Check if phone number is registered
 // @access  Public
@@ -576,9 +929,12 @@ router.get('/profile', require('../middleware/auth').authenticateToken, async (r
       usage: user.usage,
       role: user.role,
       isVerified: user.isVerified,
+      phoneVerified: user.phoneVerified,
       lastLogin: user.lastLogin,
       profile: user.profile,
       preferences: user.preferences,
+      referralCode: user.referral?.code,
+      unreadNotifications: await Notification.unreadCount(user._id),
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
     };
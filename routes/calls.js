@@ -4,7 +4,10 @@ const User = require('../models/User');
 const Call = require('../models/Call');
 const Plan = require('../models/Plan');
 const { authenticateToken, requireActiveSubscription, requireAdminOrSupport, callRateLimit } = require('../middleware/auth');
-// SMS services removed - using password-based authentication
+const advisoryService = require('../services/advisoryService');
+const entitlementService = require('../services/entitlementService');
+const smsService = require('../services/smsService');
+const notificationService = require('../services/notificationService');
 const router = express.Router();
 
 // Helper function to handle validation errors
@@ -56,35 +59,7 @@ router.post('/initiate', callRateLimit, authenticateToken, requireActiveSubscrip
     const user = req.user;
     const { phoneNumber, language, queryType, location, isEmergency } = req.body;
 
-    // Get user's plan
-    let plan = null;
-    if (user.subscription.planId) {
-      plan = await Plan.findById(user.subscription.planId);
-    }
-
-    // Check if user can make a call
-    if (!user.canMakeCall(plan)) {
-      let message = 'Call limit exceeded';
-      let code = 'CALL_LIMIT_EXCEEDED';
-      
-      if (user.subscription.status === 'free') {
-        message = 'Free tier monthly limit exceeded. Please upgrade to continue.';
-        code = 'FREE_LIMIT_EXCEEDED';
-      } else if (!user.hasActiveSubscription()) {
-        message = 'Active subscription required';
-        code = 'SUBSCRIPTION_REQUIRED';
-      }
-      
-      return res.status(403).json({
-        success: false,
-        message,
-        code,
-        usage: {
-          monthlyCallsUsed: user.usage.monthlyCallsUsed,
-          limit: user.subscription.status === 'free' ? 10 : plan?.limits.callLimit
-        }
-      });
-    }
+    // Quota already checked by requireActiveSubscription (entitlementService)
 
     // Generate call ID
     const callId = generateCallId();
@@ -100,16 +75,15 @@ router.post('/initiate', callRateLimit, authenticateToken, requireActiveSubscrip
       isEmergency: isEmergency || false,
       callDetails: {
         startTime: new Date(),
-        status: 'initiated'
+        status: 'initiated',
+        maxDurationMinutes: req.maxCallDurationMinutes ?? null
       }
     });
 
     await call.save();
 
     // Update user usage
-    user.usage.totalCalls += 1;
-    user.usage.monthlyCallsUsed += 1;
-    user.usage.lastCallDate = new Date();
+    user.recordCallUsage();
     await user.save();
 
     // Prepare response
@@ -122,6 +96,7 @@ router.post('/initiate', callRateLimit, authenticateToken, requireActiveSubscrip
       isEmergency: call.isEmergency,
       status: call.callDetails.status,
       startTime: call.callDetails.startTime,
+      maxDurationMinutes: call.callDetails.maxDurationMinutes,
       tollFreeNumber: process.env.TOLL_FREE_NUMBER || '1800-123-4567',
       instructions: {
         en: 'Call the toll-free number and follow the voice prompts to connect with our AI assistant.',
@@ -173,7 +148,14 @@ router.put('/:callId/connect', authenticateToken, [
     }
 
     // Update call status
-    call.callDetails.status = 'connected';
+    if (!call.transitionTo('connected')) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot connect a ${call.callDetails.status} call`,
+        code: 'ILLEGAL_STATUS_TRANSITION'
+      });
+    }
+
     if (actualPhoneNumber) {
       call.phoneNumber = actualPhoneNumber;
     }
@@ -185,7 +167,8 @@ router.put('/:callId/connect', authenticateToken, [
       message: 'Call connected',
       data: {
         callId: call.callId,
-        status: call.callDetails.status
+        status: call.callDetails.status,
+        maxDurationSeconds: call.getRemainingSeconds()
       }
     });
 
@@ -199,7 +182,7 @@ router.put('/:callId/connect', authenticateToken, [
 });
 
 // @route   PUT /api/calls/:callId/complete
-// @desc    Complete call with AI response
+// @desc    Complete call with AI response (generated by the advisory service when response.text is omitted)
 // @access  Private/System
 router.put('/:callId/complete', authenticateToken, [
   body('query.text')
@@ -213,10 +196,10 @@ router.put('/:callId/complete', authenticateToken, [
     .isLength({ max: 2000 })
     .withMessage('Transcription too long'),
   body('response.text')
+    .optional()
     .trim()
-    .notEmpty()
     .isLength({ max: 5000 })
-    .withMessage('Response text is required and must not exceed 5000 characters'),
+    .withMessage('Response text must not exceed 5000 characters'),
   body('response.confidence')
     .optional()
     .isFloat({ min: 0, max: 1 })
@@ -253,6 +236,14 @@ router.put('/:callId/complete', authenticateToken, [
       });
     }
 
+    if (!call.canTransitionTo('completed')) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot complete a ${call.callDetails.status} call`,
+        code: 'ILLEGAL_STATUS_TRANSITION'
+      });
+    }
+
     // Update call with response data
     call.query = {
       text: query?.text || '',
@@ -260,28 +251,54 @@ router.put('/:callId/complete', authenticateToken, [
       audioUrl: query?.audioUrl || ''
     };
 
-    call.response = {
-      text: response.text,
-      confidence: response.confidence || 0.8,
-      audioUrl: response.audioUrl || ''
-    };
+    if (response?.text) {
+      call.response = {
+        text: response.text,
+        confidence: response.confidence || 0.8,
+        audioUrl: response.audioUrl || ''
+      };
 
-    call.callDetails.endTime = new Date();
-    call.callDetails.status = 'completed';
+      if (aiMetadata) {
+        call.aiMetadata = {
+          model: aiMetadata.model || 'unknown',
+          version: aiMetadata.version || '1.0',
+          processingTime: aiMetadata.processingTime || 0,
+          tokens: aiMetadata.tokens || {}
+        };
+      }
+    } else {
+      if (!call.query.transcription && !call.query.text) {
+        return res.status(400).json({
+          success: false,
+          message: 'Either response text or query text/transcription is required'
+        });
+      }
 
-    if (aiMetadata) {
-      call.aiMetadata = {
-        model: aiMetadata.model || 'unknown',
-        version: aiMetadata.version || '1.0',
-        processingTime: aiMetadata.processingTime || 0,
-        tokens: aiMetadata.tokens || {}
-      };
+      // Generate the answer in-process
+      const advice = await advisoryService.answerCall(call, call.userId);
+      if (!advice.success) {
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to generate advisory response',
+          code: 'ADVISORY_FAILED'
+        });
+      }
+
+      if (response?.audioUrl) {
+        call.response.audioUrl = response.audioUrl;
+      }
     }
 
+    call.transitionTo('completed');
+
     if (tags && Array.isArray(tags)) {
       call.tags = tags;
     }
 
+    // Count the call's minutes against the plan quota
+    entitlementService.recordCallMinutes(call.userId, call);
+    await call.userId.save();
+
     // Calculate cost if applicable
     if (call.userId.subscription.planId) {
       const plan = await Plan.findById(call.userId.subscription.planId);
@@ -290,9 +307,12 @@ router.put('/:callId/complete', authenticateToken, [
 
     await call.save();
 
-    // SMS summary removed - call completed successfully
     console.log(`✅ Call completed for user ${call.phoneNumber}`);
 
+    // SMS/WhatsApp summary and in-app notice; the farmer can ask for an SMS resend
+    const deliveries = await notificationService.dispatch('call.completed', call.userId, { callId: call._id });
+    const notifications = Object.fromEntries(deliveries.map(delivery => [delivery.channel, delivery.status]));
+
     // Handle emergency cases
     if (call.isEmergency) {
       // Emergency alerts removed - logging emergency completion
@@ -307,7 +327,12 @@ router.put('/:callId/complete', authenticateToken, [
         status: call.callDetails.status,
         duration: call.callDetails.duration,
         durationInMinutes: call.durationInMinutes,
-        smsStatus: call.sms?.sent ? 'sent' : 'failed'
+        response: {
+          text: call.response.text,
+          confidence: call.response.confidence
+        },
+        smsStatus: notifications.sms || 'skipped',
+        notifications
       }
     });
 
@@ -353,9 +378,25 @@ router.put('/:callId/fail', authenticateToken, [
       });
     }
 
+    if (call.callDetails.status === 'failed') {
+      return res.status(200).json({
+        success: true,
+        message: 'Call already marked as failed',
+        data: {
+          callId: call.callId,
+          status: call.callDetails.status
+        }
+      });
+    }
+
     // Update call status
-    call.callDetails.status = 'failed';
-    call.callDetails.endTime = new Date();
+    if (!call.transitionTo('failed')) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot fail a ${call.callDetails.status} call`,
+        code: 'ILLEGAL_STATUS_TRANSITION'
+      });
+    }
     
     if (reason || errorCode) {
       call.tags = call.tags || [];
@@ -368,8 +409,7 @@ router.put('/:callId/fail', authenticateToken, [
     // Refund the call usage for failed calls
     const user = await User.findById(call.userId);
     if (user) {
-      user.usage.monthlyCallsUsed = Math.max(0, user.usage.monthlyCallsUsed - 1);
-      user.usage.totalCalls = Math.max(0, user.usage.totalCalls - 1);
+      user.refundCallUsage();
       await user.save();
     }
 
@@ -466,15 +506,33 @@ router.post('/:callId/resend-sms', authenticateToken, async (req, res) => {
       });
     }
 
-    // SMS functionality removed - call summary available in response
-    console.log(`📱 SMS resend requested for call ${call._id} - functionality removed`);
+    const result = await smsService.sendCallSummary(call, req.user, { requested: true });
+
+    if (!result.success) {
+      const statusCode = {
+        SMS_LIMIT_EXCEEDED: 403,
+        NO_SUMMARY: 400
+      }[result.code] || 502;
+
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error,
+        code: result.code,
+        ...(result.entitlements && { usage: { sms: result.entitlements.sms } })
+      });
+    }
 
     res.status(200).json({
-      success: false,
-      message: 'SMS functionality has been removed - using password-based authentication',
+      success: true,
+      message: 'Call summary sent by SMS',
       data: {
-        callId: call._id,
-        summary: call.generateSMSSummary()
+        callId: call.callId,
+        sms: {
+          messageId: result.sms.messageId,
+          deliveryStatus: result.sms.deliveryStatus,
+          segments: result.sms.segments,
+          sentAt: result.sms.sentAt
+        }
       }
     });
 
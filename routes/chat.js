@@ -0,0 +1,434 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Call = require('../models/Call');
+const { authenticateToken, requireActiveSubscription, createRateLimit } = require('../middleware/auth');
+const advisoryService = require('../services/advisoryService');
+const router = express.Router();
+
+// Maximum farmer messages in one chat session (a session counts as one call)
+const MAX_CHAT_TURNS = 20;
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Helper function to generate unique chat session ID
+const generateChatId = () => {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  return `CHAT_${timestamp}_${random}`.toUpperCase();
+};
+
+const chatMessageRateLimit = createRateLimit(
+  60 * 1000, // 1 minute
+  10, // 10 messages per minute
+  'Too many chat messages. Please wait before sending another message.'
+);
+
+const formatMessage = (message) => ({
+  id: message._id,
+  role: message.role,
+  text: message.text,
+  status: message.status,
+  confidence: message.confidence,
+  createdAt: message.createdAt
+});
+
+const formatSession = (session, { includeMessages = false } = {}) => ({
+  id: session._id,
+  sessionId: session.callId,
+  language: session.language,
+  queryType: session.queryType,
+  status: session.callDetails.status,
+  startTime: session.callDetails.startTime,
+  endTime: session.callDetails.endTime,
+  messageCount: session.messages.length,
+  lastMessage: session.messages.length > 0 ?
+    formatMessage(session.messages[session.messages.length - 1]) : null,
+  ...(includeMessages && { messages: session.messages.map(formatMessage) }),
+  createdAt: session.createdAt
+});
+
+// Sessions are addressed by their CHAT_… callId or their document id
+const findSession = (sessionId, userId) => Call.findOne({
+  channel: 'chat',
+  userId,
+  ...(mongoose.isValidObjectId(sessionId) ?
+    { $or: [{ _id: sessionId }, { callId: sessionId }] } :
+    { callId: sessionId })
+});
+
+// Generate the assistant reply for a pending message and store it on the session
+const generateReply = async (session, user, question, replyId) => {
+  const history = session.getChatHistory().slice(0, -1); // current question is passed separately
+
+  const result = await advisoryService.generateAdvice({
+    queryType: session.queryType,
+    language: session.language,
+    question,
+    farmingType: user.farmingType || [],
+    location: session.location?.state ? session.location : (user.location || {}),
+    history
+  });
+
+  const update = result.success ? {
+    'messages.$.text': result.advice.text,
+    'messages.$.status': 'completed',
+    'messages.$.confidence': result.advice.confidence,
+    'messages.$.tokens': result.advice.tokens,
+    'response.text': result.advice.text,
+    'response.confidence': result.advice.confidence,
+    'aiMetadata.model': result.advice.model,
+    'aiMetadata.version': result.advice.version,
+    'aiMetadata.processingTime': result.advice.processingTime
+  } : {
+    'messages.$.status': 'failed'
+  };
+
+  const inc = result.success ? {
+    'aiMetadata.tokens.input': result.advice.tokens.input || 0,
+    'aiMetadata.tokens.output': result.advice.tokens.output || 0
+  } : {};
+
+  await Call.updateOne(
+    { _id: session._id, 'messages._id': replyId },
+    { $set: { ...update, updatedAt: new Date() }, ...(result.success && { $inc: inc }) }
+  );
+
+  return result;
+};
+
+// Append a farmer message plus a pending assistant reply; returns both subdocuments
+const appendTurn = async (session, text) => {
+  session.messages.push({ role: 'farmer', text, status: 'completed' });
+  session.messages.push({ role: 'assistant', status: 'pending' });
+
+  if (!session.query.text) {
+    session.query.text = text;
+  }
+
+  await session.save();
+
+  return {
+    farmerMessage: session.messages[session.messages.length - 2],
+    reply: session.messages[session.messages.length - 1]
+  };
+};
+
+// @route   POST /api/chat/sessions
+// @desc    Start a chat session (counts as one call against the monthly quota)
+// @access  Private
+router.post('/sessions', authenticateToken, requireActiveSubscription, [
+  body('language')
+    .optional()
+    .isIn(['english', 'hindi', 'telugu'])
+    .withMessage('Language must be english, hindi, or telugu'),
+  body('queryType')
+    .optional()
+    .isIn(['animal_health', 'crop_guidance', 'nutrition', 'emergency', 'general'])
+    .withMessage('Invalid query type'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = req.user;
+    const { language, queryType, message } = req.body;
+
+    // Quota already checked by requireActiveSubscription (same check as voice calls)
+
+    const session = new Call({
+      userId: user._id,
+      callId: generateChatId(),
+      phoneNumber: user.phoneNumber,
+      channel: 'chat',
+      language: language || user.preferredLanguage || 'english',
+      queryType: queryType || 'general',
+      location: user.location || {},
+      isEmergency: queryType === 'emergency',
+      callDetails: {
+        startTime: new Date(),
+        status: 'connected'
+      }
+    });
+
+    await session.save();
+
+    user.recordCallUsage();
+    await user.save();
+
+    let reply = null;
+    if (message) {
+      const turn = await appendTurn(session, message);
+      await generateReply(session, user, message, turn.reply._id);
+      const updated = await Call.findById(session._id);
+      reply = formatMessage(updated.messages.id(turn.reply._id));
+      session.messages = updated.messages;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Chat session started',
+      data: {
+        session: formatSession(session, { includeMessages: true }),
+        reply
+      }
+    });
+
+  } catch (error) {
+    console.error('Start chat session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start chat session'
+    });
+  }
+});
+
+// @route   GET /api/chat/sessions
+// @desc    List chat sessions
+// @access  Private
+router.get('/sessions', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { userId: req.userId, channel: 'chat' };
+
+    const [sessions, totalSessions] = await Promise.all([
+      Call.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Call.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalSessions / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalSessions,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List chat sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch chat sessions'
+    });
+  }
+});
+
+// @route   GET /api/chat/sessions/:sessionId
+// @desc    Get chat session with full message history
+// @access  Private
+router.get('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await findSession(req.params.sessionId, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { session: formatSession(session, { includeMessages: true }) }
+    });
+
+  } catch (error) {
+    console.error('Get chat session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch chat session'
+    });
+  }
+});
+
+// @route   GET /api/chat/sessions/:sessionId/messages
+// @desc    Poll messages (optionally only those after a given message ID)
+// @access  Private
+router.get('/sessions/:sessionId/messages', authenticateToken, [
+  query('after').optional().isMongoId().withMessage('Invalid message ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const session = await findSession(req.params.sessionId, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat session not found'
+      });
+    }
+
+    let messages = session.messages;
+    if (req.query.after) {
+      const index = messages.findIndex(message => message._id.toString() === req.query.after);
+      messages = index >= 0 ? messages.slice(index + 1) : messages;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messages: messages.map(formatMessage),
+        pending: session.messages.some(message => message.status === 'pending'),
+        status: session.callDetails.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Get chat messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch chat messages'
+    });
+  }
+});
+
+// @route   POST /api/chat/sessions/:sessionId/messages
+// @desc    Send a message; reply is returned inline with ?wait=true, otherwise poll for it
+// @access  Private
+router.post('/sessions/:sessionId/messages', authenticateToken, chatMessageRateLimit, [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = req.user;
+    const { message } = req.body;
+    const wait = req.query.wait === 'true';
+
+    const session = await findSession(req.params.sessionId, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat session not found'
+      });
+    }
+
+    if (session.callDetails.status !== 'connected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Chat session is closed',
+        code: 'CHAT_CLOSED'
+      });
+    }
+
+    if (session.messages.some(item => item.status === 'pending')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Please wait for the previous reply',
+        code: 'REPLY_PENDING'
+      });
+    }
+
+    const farmerTurns = session.messages.filter(item => item.role === 'farmer').length;
+    if (farmerTurns >= MAX_CHAT_TURNS) {
+      return res.status(403).json({
+        success: false,
+        message: 'Message limit reached for this session. Please start a new chat.',
+        code: 'CHAT_TURN_LIMIT'
+      });
+    }
+
+    const { farmerMessage, reply } = await appendTurn(session, message);
+
+    if (!wait) {
+      generateReply(session, user, message, reply._id).catch(error => {
+        console.error(`❌ Chat reply error for session ${session.callId}:`, error);
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Message received. Poll for the reply.',
+        data: {
+          message: formatMessage(farmerMessage),
+          reply: formatMessage(reply)
+        }
+      });
+    }
+
+    await generateReply(session, user, message, reply._id);
+    const updated = await Call.findById(session._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply generated',
+      data: {
+        message: formatMessage(farmerMessage),
+        reply: formatMessage(updated.messages.id(reply._id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Send chat message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message'
+    });
+  }
+});
+
+// @route   POST /api/chat/sessions/:sessionId/close
+// @desc    Close a chat session
+// @access  Private
+router.post('/sessions/:sessionId/close', authenticateToken, async (req, res) => {
+  try {
+    const session = await findSession(req.params.sessionId, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat session not found'
+      });
+    }
+
+    if (session.callDetails.status === 'connected') {
+      session.callDetails.status = session.messages.some(item => item.role === 'assistant' && item.status === 'completed') ?
+        'completed' : 'abandoned';
+      session.callDetails.endTime = new Date();
+      await session.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Chat session closed',
+      data: { session: formatSession(session) }
+    });
+
+  } catch (error) {
+    console.error('Close chat session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close chat session'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Content = require('../models/Content');
 const { authenticateToken, requireAdmin, requireAdminOrSupport, optionalAuth } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
 const router = express.Router();
 
 // Helper function to handle validation errors
@@ -17,6 +18,13 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Announcements go to farmers' in-app inboxes once, when first published (non-blocking)
+const announce = (content) => {
+  notificationService.announce(content).catch(error => {
+    console.error(`❌ Announcement error for ${content.slug}:`, error);
+  });
+};
+
 // @route   GET /api/content
 // @desc    Get published content with filters
 // @access  Public
@@ -433,6 +441,10 @@ router.post('/', authenticateToken, requireAdminOrSupport, [
     const content = new Content(contentData);
     await content.save();
 
+    if (content.type === 'announcement' && content.status === 'published') {
+      announce(content);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Content created successfully',
@@ -497,6 +509,10 @@ router.put('/:contentId', authenticateToken, requireAdminOrSupport, [
       });
     }
 
+    if (content.type === 'announcement' && content.status === 'published') {
+      announce(content);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Content updated successfully',
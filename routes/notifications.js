@@ -0,0 +1,186 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Notification of the current user by id, or null
+const findOwnNotification = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.notificationId)) {
+    return null;
+  }
+  return Notification.findOne({ _id: req.params.notificationId, userId: req.userId });
+};
+
+// @route   GET /api/notifications
+// @desc    Get the user's in-app notifications, newest first (?unread=true for unread only)
+// @access  Private
+router.get('/', authenticateToken, [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('unread must be true or false'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = { userId: req.userId };
+    if (req.query.unread === 'true') {
+      filter.readAt = { $exists: false };
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.unreadCount(req.userId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications: notifications.map(notification => notification.getSummary()),
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalNotifications: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the user's notifications as read
+// @access  Private
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.userId, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.modifiedCount,
+        unreadCount: 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:notificationId/read
+// @desc    Mark one notification as read
+// @access  Private
+router.put('/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+        code: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification: notification.getSummary(),
+        unreadCount: await Notification.unreadCount(req.userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:notificationId
+// @desc    Delete a notification from the inbox
+// @access  Private
+router.delete('/:notificationId', authenticateToken, async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+        code: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+
+    await notification.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted',
+      data: {
+        unreadCount: await Notification.unreadCount(req.userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,16 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const User = require('../models/User');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Plan = require('../models/Plan');
 const Payment = require('../models/Payment');
 const Voucher = require('../models/Voucher');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const razorpayService = require('../services/razorpayService');
+const subscriptionService = require('../services/subscriptionService');
+const webhookService = require('../services/webhookService');
+const voucherService = require('../services/voucherService');
+const refundService = require('../services/refundService');
+const customerService = require('../services/customerService');
 // SMS notifications removed - using password-based authentication
 const router = express.Router();
 
@@ -59,10 +64,21 @@ router.post('/create-order', authenticateToken, [
       });
     }
 
+    // Switching plans mid-period must go through proration instead of restarting the period
+    const currentPlanId = user.subscription.planId?._id || user.subscription.planId;
+    if (user.hasActiveSubscription() && currentPlanId && !currentPlanId.equals(plan._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an active plan. Use /api/payments/change-plan to switch plans.',
+        code: 'USE_PLAN_CHANGE'
+      });
+    }
+
     // Calculate amount
     let amount = billingCycle === 'yearly' ? plan.price.yearly : plan.price.monthly;
     let discountAmount = 0;
     let voucherData = null;
+    const paymentId = new mongoose.Types.ObjectId();
 
     // Apply voucher if provided
     if (voucherCode) {
@@ -74,41 +90,48 @@ router.post('/create-order', authenticateToken, [
       if (!voucher) {
         return res.status(404).json({
           success: false,
-          message: 'Invalid voucher code'
+          message: 'Invalid voucher code',
+          code: 'VOUCHER_INVALID'
         });
       }
 
-      // Check if user can use this voucher
-      const canUse = voucher.canUserUse(userId, user);
-      if (!canUse.canUse) {
+      // Check the farmer, plan type, billing cycle and minimum order amount
+      const eligibility = voucher.checkEligibility(user, plan, billingCycle);
+      if (!eligibility.valid) {
         return res.status(400).json({
           success: false,
-          message: canUse.reason
+          message: eligibility.reason,
+          code: eligibility.code
         });
       }
 
-      // Check if voucher is applicable to this plan
-      if (voucher.applicablePlans.length > 0 && !voucher.applicablePlans.includes(planId)) {
-        return res.status(400).json({
+      // Free trials replace the current period, so they are only for farmers without an active plan
+      if (eligibility.finalAmount === 0 && user.hasActiveSubscription()) {
+        return res.status(409).json({
           success: false,
-          message: 'Voucher not applicable to this plan'
+          message: 'Free trial vouchers can only be used without an active subscription',
+          code: 'FREE_TRIAL_NOT_AVAILABLE'
         });
       }
 
-      // Calculate discount
-      const discountResult = voucher.calculateDiscount(amount, billingCycle);
-      if (discountResult.error) {
+      // Hold one use of the voucher for this order until it is paid, fails or expires
+      const reservation = await voucherService.reserve(voucher, user, paymentId);
+      if (!reservation.success) {
         return res.status(400).json({
           success: false,
-          message: discountResult.error
+          message: reservation.error,
+          code: reservation.code
         });
       }
 
-      discountAmount = discountResult.discount;
+      discountAmount = eligibility.discount;
       voucherData = {
+        id: voucher._id,
+        campaignId: voucher.campaignId,
         code: voucher.code,
         type: voucher.type,
         value: voucher.value,
+        validity: voucher.validity,
         discountAmount
       };
     }
@@ -119,11 +142,96 @@ router.post('/create-order', authenticateToken, [
     // Generate order ID
     const orderId = generateOrderId();
 
+    // Nothing to pay (free trial or a 100% voucher): Razorpay cannot take a ₹0 order, so the
+    // voucher pays for it and the subscription starts right away
+    if (finalAmount === 0 && voucherData) {
+      // With the same plan active, the new cycle follows the current one (see activateFromPayment)
+      const startDate = user.hasActiveSubscription() ? new Date(user.subscription.endDate) : new Date();
+      const endDate = new Date(startDate);
+      if (voucherData.type === 'free_trial') {
+        endDate.setDate(endDate.getDate() + voucherData.validity);
+      } else if (billingCycle === 'monthly') {
+        endDate.setMonth(endDate.getMonth() + 1);
+      } else {
+        endDate.setFullYear(endDate.getFullYear() + 1);
+      }
+
+      const payment = new Payment({
+        _id: paymentId,
+        userId,
+        planId,
+        orderId,
+        amount,
+        currency: 'INR',
+        billingCycle,
+        status: 'paid',
+        paymentMethod: 'voucher',
+        discounts: {
+          couponCode: voucherData.code,
+          voucherId: voucherData.id,
+          campaignId: voucherData.campaignId,
+          discountAmount: voucherData.discountAmount
+        },
+        subscription: {
+          startDate,
+          endDate,
+          autoRenewal: false
+        },
+        customerDetails: {
+          name: user.name,
+          email: user.email,
+          phoneNumber: user.phoneNumber,
+          address: user.location
+        },
+        metadata: {
+          userAgent: req.get('User-Agent'),
+          ipAddress: req.ip,
+          source: req.get('X-Source') || 'web'
+        }
+      });
+
+      try {
+        await payment.save();
+      } catch (error) {
+        await voucherService.release(payment);
+        throw error;
+      }
+
+      const { user: updatedUser } = await subscriptionService.activateFromPayment(payment, 'voucher');
+
+      return res.status(201).json({
+        success: true,
+        message: 'Subscription activated with voucher',
+        data: {
+          orderId: payment.orderId,
+          paymentId: payment._id,
+          paymentRequired: false,
+          amount: 0,
+          currency: 'INR',
+          plan: {
+            id: plan._id,
+            name: plan.name,
+            displayName: plan.displayName,
+            billingCycle
+          },
+          discount: {
+            code: voucherData.code,
+            amount: voucherData.discountAmount,
+            originalAmount: amount
+          },
+          subscription: updatedUser.subscription
+        }
+      });
+    }
+
+    const customerId = await customerService.ensureCustomer(user);
+
     // Create Razorpay order
     const razorpayOrder = await razorpayService.createOrder({
       amount: finalAmount,
       currency: 'INR',
       receipt: orderId,
+      customerId,
       notes: {
         userId: userId.toString(),
         planId: planId.toString(),
@@ -133,6 +241,10 @@ router.post('/create-order', authenticateToken, [
     });
 
     if (!razorpayOrder.success) {
+      if (voucherData) {
+        await voucherService.release({ _id: paymentId });
+      }
+
       return res.status(500).json({
         success: false,
         message: 'Failed to create payment order',
@@ -140,9 +252,9 @@ router.post('/create-order', authenticateToken, [
       });
     }
 
-    // Calculate subscription dates
-    const startDate = new Date();
-    let endDate = new Date();
+    // Calculate subscription dates; with the same plan active, the new cycle follows the current one
+    const startDate = user.hasActiveSubscription() ? new Date(user.subscription.endDate) : new Date();
+    let endDate = new Date(startDate);
     if (billingCycle === 'monthly') {
       endDate.setMonth(endDate.getMonth() + 1);
     } else {
@@ -151,6 +263,7 @@ router.post('/create-order', authenticateToken, [
 
     // Create payment record
     const payment = new Payment({
+      _id: paymentId,
       userId,
       planId,
       orderId,
@@ -161,6 +274,8 @@ router.post('/create-order', authenticateToken, [
       status: 'created',
       discounts: voucherData ? {
         couponCode: voucherData.code,
+        voucherId: voucherData.id,
+        campaignId: voucherData.campaignId,
         discountAmount: voucherData.discountAmount
       } : {},
       subscription: {
@@ -187,6 +302,7 @@ router.post('/create-order', authenticateToken, [
     const orderData = {
       orderId: payment.orderId,
       razorpayOrderId: razorpayOrder.order.id,
+      paymentRequired: true,
       amount: finalAmount,
       currency: 'INR',
       plan: {
@@ -206,6 +322,7 @@ router.post('/create-order', authenticateToken, [
       },
       razorpayKeyId: process.env.RAZORPAY_KEY_ID,
       customer: {
+        id: customerId,
         name: user.name,
         email: user.email,
         contact: user.phoneNumber
@@ -227,6 +344,180 @@ router.post('/create-order', authenticateToken, [
   }
 });
 
+// @route   GET /api/payments/change-plan/quote
+// @desc    Preview an upgrade (prorated, immediate) or downgrade (prepaid, at period end)
+// @access  Private
+router.get('/change-plan/quote', authenticateToken, [
+  query('planId')
+    .isMongoId()
+    .withMessage('Valid plan ID is required'),
+  query('billingCycle')
+    .isIn(['monthly', 'yearly'])
+    .withMessage('Billing cycle must be monthly or yearly')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { planId, billingCycle } = req.query;
+
+    const plan = await Plan.findById(planId);
+    const result = await subscriptionService.quotePlanChange(req.user, plan, billingCycle);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { quote: result.quote }
+    });
+
+  } catch (error) {
+    console.error('Plan change quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate plan change'
+    });
+  }
+});
+
+// @route   POST /api/payments/change-plan
+// @desc    Change plan: create the order for the prorated upgrade or prepaid downgrade
+// @access  Private
+router.post('/change-plan', authenticateToken, [
+  body('planId')
+    .isMongoId()
+    .withMessage('Valid plan ID is required'),
+  body('billingCycle')
+    .isIn(['monthly', 'yearly'])
+    .withMessage('Billing cycle must be monthly or yearly')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const user = req.user;
+    const { planId, billingCycle } = req.body;
+
+    const plan = await Plan.findById(planId);
+    const result = await subscriptionService.quotePlanChange(user, plan, billingCycle);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    const { quote } = result;
+
+    // Nothing to pay: the unused value of the current period covers the new plan
+    if (quote.amount === 0) {
+      const updatedUser = await subscriptionService.applyCreditUpgrade(user, plan, quote);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Plan upgraded using your remaining balance',
+        data: {
+          quote,
+          subscription: updatedUser.subscription
+        }
+      });
+    }
+
+    const orderId = generateOrderId();
+    const customerId = await customerService.ensureCustomer(user);
+
+    const razorpayOrder = await razorpayService.createOrder({
+      amount: quote.amount,
+      currency: 'INR',
+      receipt: orderId,
+      customerId,
+      notes: {
+        userId: userId.toString(),
+        planId: planId.toString(),
+        billingCycle,
+        planChange: quote.changeType
+      }
+    });
+
+    if (!razorpayOrder.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create payment order',
+        error: razorpayOrder.error
+      });
+    }
+
+    const payment = new Payment({
+      userId,
+      planId,
+      orderId,
+      razorpayOrderId: razorpayOrder.order.id,
+      amount: quote.price,
+      currency: 'INR',
+      billingCycle,
+      status: 'created',
+      discounts: {
+        discountAmount: quote.credit
+      },
+      planChange: {
+        kind: quote.changeType,
+        fromPlanId: quote.fromPlan?.id,
+        fromBillingCycle: quote.fromPlan?.billingCycle,
+        fromPaymentId: quote.fromPaymentId,
+        credit: quote.credit
+      },
+      subscription: {
+        startDate: quote.startDate,
+        endDate: quote.endDate,
+        autoRenewal: false
+      },
+      customerDetails: {
+        name: user.name,
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+        address: user.location
+      },
+      metadata: {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip,
+        source: req.get('X-Source') || 'web'
+      }
+    });
+
+    await payment.save();
+
+    res.status(201).json({
+      success: true,
+      message: quote.changeType === 'upgrade' ?
+        'Upgrade order created' : 'Downgrade order created; the new plan starts when the current period ends',
+      data: {
+        orderId: payment.orderId,
+        razorpayOrderId: razorpayOrder.order.id,
+        amount: quote.amount,
+        currency: 'INR',
+        quote,
+        razorpayKeyId: process.env.RAZORPAY_KEY_ID,
+        customer: {
+          id: customerId,
+          name: user.name,
+          email: user.email,
+          contact: user.phoneNumber
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Change plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change plan'
+    });
+  }
+});
+
 // @route   POST /api/payments/verify
 // @desc    Verify payment and activate subscription
 // @access  Private
@@ -245,11 +536,10 @@ router.post('/verify', authenticateToken, [
     const userId = req.userId;
     const { razorpayPaymentId, razorpayOrderId, razorpaySignature } = req.body;
 
-    // Find payment record
+    // Find payment record (the capture webhook may already have marked it paid)
     const payment = await Payment.findOne({ 
       userId,
-      razorpayOrderId,
-      status: 'created'
+      razorpayOrderId
     }).populate('planId');
 
     if (!payment) {
@@ -267,9 +557,11 @@ router.post('/verify', authenticateToken, [
     );
 
     if (!isValidSignature) {
-      // Update payment status to failed
-      payment.status = 'failed';
-      await payment.save();
+      // Update payment status to failed (never downgrades a captured payment)
+      if (payment.transitionTo('failed')) {
+        await payment.save();
+        await voucherService.release(payment);
+      }
 
       return res.status(400).json({
         success: false,
@@ -277,56 +569,49 @@ router.post('/verify', authenticateToken, [
       });
     }
 
-    // Fetch payment details from Razorpay
-    const paymentDetails = await razorpayService.fetchPayment(razorpayPaymentId);
-    
-    if (!paymentDetails.success) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch payment details'
-      });
+    if (payment.status !== 'paid') {
+      // Fetch payment details from Razorpay
+      const paymentDetails = await razorpayService.fetchPayment(razorpayPaymentId);
+      
+      if (!paymentDetails.success) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch payment details'
+        });
+      }
+
+      // Update payment record
+      const status = paymentDetails.payment.status === 'captured' ? 'paid' : 'pending';
+      if (!payment.transitionTo(status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Payment is already ${payment.status}`,
+          code: 'PAYMENT_STATE_CONFLICT'
+        });
+      }
+
+      payment.razorpayPaymentId = razorpayPaymentId;
+      payment.paymentMethod = paymentDetails.payment.method;
     }
 
-    // Update payment record
-    payment.razorpayPaymentId = razorpayPaymentId;
     payment.razorpaySignature = razorpaySignature;
-    payment.status = paymentDetails.payment.status === 'captured' ? 'paid' : 'pending';
-    payment.paymentMethod = paymentDetails.payment.method;
     await payment.save();
 
     if (payment.status === 'paid') {
-      // Apply voucher usage if used
-      if (payment.discounts.couponCode) {
-        const voucher = await Voucher.findOne({ 
-          code: payment.discounts.couponCode 
-        });
-        if (voucher) {
-          await voucher.applyUsage(userId);
-        }
-      }
-
-      // Update user subscription
-      const user = await User.findById(userId);
-      user.subscription = {
-        planId: payment.planId._id,
-        status: 'active',
-        startDate: payment.subscription.startDate,
-        endDate: payment.subscription.endDate,
-        autoRenewal: payment.subscription.autoRenewal
-      };
-      await user.save();
-
-      // SMS notifications removed - subscription activated successfully
-      console.log(`✅ Subscription activated for user ${user.phoneNumber}: ${payment.planId.name}`);
+      // Safe to repeat: the subscription is applied once whether verify or the webhook gets here first
+      const { user } = await subscriptionService.activateFromPayment(payment, 'verify');
 
       res.status(200).json({
         success: true,
-        message: 'Payment verified and subscription activated',
+        message: user.subscription.scheduledChange?.paymentId?.equals(payment._id) ?
+          'Payment verified; your new plan starts when the current period ends' :
+          'Payment verified and subscription activated',
         data: {
           paymentId: payment._id,
           status: payment.status,
           subscription: user.subscription,
-          plan: payment.planId
+          plan: payment.planId,
+          invoice: payment.invoiceDetails?.invoiceNumber ? payment.invoiceDetails : null
         }
       });
     } else {
@@ -350,51 +635,39 @@ router.post('/verify', authenticateToken, [
 });
 
 // @route   POST /api/payments/webhook
-// @desc    Handle Razorpay webhook
+// @desc    Handle Razorpay webhook (signature verified, de-duplicated by event ID)
 // @access  Public (but verified)
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+router.post('/webhook', async (req, res) => {
   try {
-    const webhookBody = req.body;
-    const webhookSignature = req.headers['x-razorpay-signature'];
-
-    // Verify webhook signature
-    const expectedSignature = require('crypto')
-      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET || '')
-      .update(webhookBody)
-      .digest('hex');
-
-    if (webhookSignature !== expectedSignature) {
+    // Signature is computed over the exact bytes Razorpay sent (captured by the JSON parser)
+    if (!webhookService.verifyRazorpaySignature(req.rawBody, req.headers['x-razorpay-signature'])) {
       return res.status(400).json({
         success: false,
         message: 'Invalid webhook signature'
       });
     }
 
-    const event = JSON.parse(webhookBody);
-    
-    // Handle different webhook events
-    switch (event.event) {
-      case 'payment.captured':
-        await handlePaymentCaptured(event.payload.payment.entity);
-        break;
-      
-      case 'payment.failed':
-        await handlePaymentFailed(event.payload.payment.entity);
-        break;
-      
-      case 'subscription.activated':
-        await handleSubscriptionActivated(event.payload.subscription.entity);
-        break;
-      
-      case 'subscription.cancelled':
-        await handleSubscriptionCancelled(event.payload.subscription.entity);
-        break;
-      
-      default:
-        console.log(`Unhandled webhook event: ${event.event}`);
+    const { event, duplicate } = await webhookService.record({
+      eventId: req.headers['x-razorpay-event-id'],
+      rawBody: req.rawBody,
+      body: req.body
+    });
+
+    if (duplicate && !webhookService.needsProcessing(event)) {
+      return res.status(200).json({ success: true, duplicate: true, status: event.status });
+    }
+
+    const processed = await webhookService.process(event);
+
+    // Ask Razorpay to retry until the event is processed or dead-lettered
+    if (processed.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: 'Webhook processing failed'
+      });
     }
 
-    res.status(200).json({ success: true });
+    res.status(200).json({ success: true, status: processed.status });
 
   } catch (error) {
     console.error('Webhook error:', error);
@@ -405,68 +678,113 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 });
 
-// Webhook event handlers
-async function handlePaymentCaptured(paymentData) {
+// @route   GET /api/payments/auto-renewal
+// @desc    Get auto-renewal status for current subscription
+// @access  Private
+router.get('/auto-renewal', authenticateToken, async (req, res) => {
   try {
-    const payment = await Payment.findOne({
-      razorpayPaymentId: paymentData.id
-    }).populate('userId planId');
-
-    if (payment) {
-      payment.status = 'paid';
-      payment.webhookEvents.push({
-        eventType: 'payment.captured',
-        eventData: paymentData,
-        receivedAt: new Date()
-      });
-      await payment.save();
-
-      // Activate subscription if not already active
-      if (payment.userId.subscription.status !== 'active') {
-        payment.userId.subscription = {
-          planId: payment.planId._id,
-          status: 'active',
-          startDate: payment.subscription.startDate,
-          endDate: payment.subscription.endDate,
-          autoRenewal: payment.subscription.autoRenewal
+    const { subscription } = req.user;
+    let razorpaySubscription = null;
+
+    if (subscription.razorpaySubscriptionId) {
+      const result = await razorpayService.fetchSubscription(subscription.razorpaySubscriptionId);
+      if (result.success) {
+        razorpaySubscription = {
+          id: result.subscription.id,
+          status: result.subscription.status,
+          currentEnd: result.subscription.currentEnd,
+          paidCount: result.subscription.paidCount,
+          authorizationUrl: result.subscription.shortUrl
         };
-        await payment.userId.save();
       }
     }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        autoRenewal: subscription.autoRenewal,
+        billingCycle: subscription.billingCycle,
+        endDate: subscription.endDate,
+        razorpaySubscription
+      }
+    });
+
   } catch (error) {
-    console.error('Handle payment captured error:', error);
+    console.error('Get auto-renewal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch auto-renewal status'
+    });
   }
-}
+});
 
-async function handlePaymentFailed(paymentData) {
+// @route   POST /api/payments/auto-renewal
+// @desc    Enable auto-renewal (creates a Razorpay subscription starting at current end date)
+// @access  Private
+router.post('/auto-renewal', authenticateToken, [
+  body('billingCycle')
+    .optional()
+    .isIn(['monthly', 'yearly'])
+    .withMessage('Billing cycle must be monthly or yearly')
+], handleValidationErrors, async (req, res) => {
   try {
-    const payment = await Payment.findOne({
-      razorpayPaymentId: paymentData.id
-    });
+    const result = await subscriptionService.enableAutoRenewal(req.user, req.body.billingCycle);
 
-    if (payment) {
-      payment.status = 'failed';
-      payment.webhookEvents.push({
-        eventType: 'payment.failed',
-        eventData: paymentData,
-        receivedAt: new Date()
+    if (!result.success) {
+      return res.status(result.code === 'RAZORPAY_ERROR' ? 500 : 400).json({
+        success: false,
+        message: result.error,
+        code: result.code
       });
-      await payment.save();
     }
+
+    res.status(201).json({
+      success: true,
+      message: 'Auto-renewal enabled. Complete the mandate authorization to confirm.',
+      data: result.subscription
+    });
+
   } catch (error) {
-    console.error('Handle payment failed error:', error);
+    console.error('Enable auto-renewal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable auto-renewal'
+    });
   }
-}
+});
 
-async function handleSubscriptionActivated(subscriptionData) {
-  // Handle subscription activation from Razorpay
-  console.log('Subscription activated:', subscriptionData);
-}
+// @route   DELETE /api/payments/auto-renewal
+// @desc    Disable auto-renewal (current paid period remains active)
+// @access  Private
+router.delete('/auto-renewal', authenticateToken, async (req, res) => {
+  try {
+    const result = await subscriptionService.disableAutoRenewal(req.user);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
 
-async function handleSubscriptionCancelled(subscriptionData) {
-  // Handle subscription cancellation from Razorpay
-  console.log('Subscription cancelled:', subscriptionData);
-}
+    res.status(200).json({
+      success: true,
+      message: 'Auto-renewal disabled',
+      data: {
+        autoRenewal: false,
+        endDate: req.user.subscription.endDate
+      }
+    });
+
+  } catch (error) {
+    console.error('Disable auto-renewal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable auto-renewal'
+    });
+  }
+});
 
 // @route   GET /api/payments/methods
 // @desc    Get available payment methods
@@ -489,8 +807,124 @@ router.get('/methods', (req, res) => {
   }
 });
 
+// @route   GET /api/payments/saved-methods
+// @desc    List the farmer's saved cards and UPI IDs (offered again in Checkout)
+// @access  Private
+router.get('/saved-methods', authenticateToken, async (req, res) => {
+  try {
+    const result = await customerService.listSavedMethods(req.user);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        methods: result.methods
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved payment methods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved payment methods'
+    });
+  }
+});
+
+// @route   DELETE /api/payments/saved-methods/:tokenId
+// @desc    Remove a saved card or UPI ID
+// @access  Private
+router.delete('/saved-methods/:tokenId', authenticateToken, async (req, res) => {
+  try {
+    const result = await customerService.removeSavedMethod(req.user, req.params.tokenId);
+
+    if (!result.success) {
+      const status = { PAYMENT_METHOD_NOT_FOUND: 404, PAYMENT_METHOD_IN_USE: 409 }[result.code] || 500;
+      return res.status(status).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved payment method removed'
+    });
+
+  } catch (error) {
+    console.error('Remove saved payment method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove saved payment method'
+    });
+  }
+});
+
+// @route   POST /api/payments/:paymentId/refund-request
+// @desc    Request a full or partial refund of a paid order (reviewed by an admin)
+// @access  Private
+router.post('/:paymentId/refund-request', authenticateToken, [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount must be greater than 0'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Reason must be between 5 and 200 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const payment = await Payment.findOne({
+      $or: [
+        { _id: mongoose.isValidObjectId(paymentId) ? paymentId : null, userId: req.userId },
+        { orderId: paymentId, userId: req.userId }
+      ]
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined;
+    const result = await refundService.requestRefund(payment, req.user, { amount, reason: req.body.reason });
+
+    if (!result.success) {
+      return res.status(result.code === 'REFUND_ALREADY_EXISTS' ? 409 : 400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund requested. We will review it shortly.',
+      data: refundService.getSummary(result.payment)
+    });
+
+  } catch (error) {
+    console.error('Refund request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request refund'
+    });
+  }
+});
+
 // @route   POST /api/payments/refund
-// @desc    Process refund (Admin only)
+// @desc    Refund a payment directly, without a farmer request (Admin only)
 // @access  Private/Admin
 router.post('/refund', authenticateToken, requireAdmin, [
   body('paymentId')
@@ -508,9 +942,8 @@ router.post('/refund', authenticateToken, requireAdmin, [
   try {
     const { paymentId, amount, reason } = req.body;
 
-    // Find payment
-    const payment = await Payment.findById(paymentId).populate('userId');
-    
+    const payment = await Payment.findById(paymentId);
+
     if (!payment) {
       return res.status(404).json({
         success: false,
@@ -518,54 +951,26 @@ router.post('/refund', authenticateToken, requireAdmin, [
       });
     }
 
-    if (payment.status !== 'paid') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only refund paid payments'
-      });
-    }
-
-    // Process refund with Razorpay
-    const refundResult = await razorpayService.createRefund(
-      payment.razorpayPaymentId,
-      amount,
-      { reason: reason || 'Admin initiated refund' }
-    );
+    const result = await refundService.approve(payment, req.user, {
+      amount: parseFloat(amount),
+      note: reason || 'Admin initiated refund'
+    });
 
-    if (!refundResult.success) {
-      return res.status(500).json({
+    if (!result.success) {
+      const status = { REFUND_ALREADY_EXISTS: 409, RAZORPAY_ERROR: 500 }[result.code] || 400;
+      return res.status(status).json({
         success: false,
-        message: 'Failed to process refund',
-        error: refundResult.error
+        message: result.error,
+        code: result.code
       });
     }
 
-    // Update payment record
-    payment.status = 'refunded';
-    payment.refund = {
-      refundId: refundResult.refund.id,
-      refundAmount: amount,
-      refundDate: new Date(),
-      refundReason: reason || 'Admin initiated refund',
-      refundStatus: 'processed'
-    };
-    await payment.save();
-
-    // Update user subscription if full refund
-    if (amount >= payment.amount) {
-      const user = payment.userId;
-      user.subscription.status = 'cancelled';
-      await user.save();
-    }
-
     res.status(200).json({
       success: true,
-      message: 'Refund processed successfully',
-      data: {
-        refundId: refundResult.refund.id,
-        amount: amount,
-        status: 'processed'
-      }
+      message: result.payment.refund.refundStatus === 'processed' ?
+        'Refund processed successfully' :
+        'Refund initiated. Status will update when Razorpay processes it.',
+      data: refundService.getSummary(result.payment)
     });
 
   } catch (error) {
@@ -0,0 +1,27 @@
+const express = require('express');
+const referralService = require('../services/referralService');
+const { authenticateToken } = require('../middleware/auth');
+const router = express.Router();
+
+// @route   GET /api/referrals
+// @desc    Farmer's referral code, reward and referred farmers
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const overview = await referralService.getOverview(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: overview
+    });
+
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referrals'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const smsService = require('../services/smsService');
+const router = express.Router();
+
+// @route   POST /api/sms/delivery-reports
+// @desc    Handle delivery reports from the SMS provider
+// @access  Public (signature verified)
+router.post('/delivery-reports', async (req, res) => {
+  try {
+    if (!smsService.verifyDeliveryReport(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    let reports;
+    try {
+      reports = smsService.parseDeliveryReport(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Malformed delivery report',
+        code: 'INVALID_EVENT'
+      });
+    }
+
+    let updated = 0;
+    for (const report of reports) {
+      const result = await smsService.applyDeliveryReport(report);
+      if (result.matched) {
+        updated += 1;
+        console.log(`📱 SMS ${report.messageId} ${report.status}`);
+      }
+    }
+
+    // Reports for messages that are not call summaries (such as OTPs) are acknowledged and ignored
+    res.json({
+      success: true,
+      message: 'Delivery report processed',
+      data: {
+        received: reports.length,
+        updated
+      }
+    });
+
+  } catch (error) {
+    console.error('SMS delivery report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const telephonyService = require('../services/telephonyService');
+const router = express.Router();
+
+// @route   POST /api/telephony/events
+// @desc    Handle call lifecycle webhooks from the telephony provider
+// @access  Public (signature verified)
+router.post('/events', async (req, res) => {
+  try {
+    if (!telephonyService.verifyRequest(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    const event = telephonyService.parseEvent(req.body);
+    if (!event.callSid && !event.callId && !event.from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event does not identify a call',
+        code: 'INVALID_EVENT'
+      });
+    }
+
+    const result = await telephonyService.handleEvent(event);
+
+    if (!result.success) {
+      const statusCode = result.code === 'CALL_NOT_FOUND' ? 404 : 409;
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    console.log(`📞 Telephony ${event.providerStatus || 'event'} for call ${result.call.callId}`);
+
+    // The IVR ends the call when the farmer's plan minutes run out
+    const maxDurationSeconds = result.call.getRemainingSeconds();
+
+    res.json({
+      success: true,
+      message: 'Event processed',
+      data: {
+        callId: result.call.callId,
+        previousStatus: result.previousStatus,
+        status: result.call.callDetails.status,
+        maxDurationSeconds,
+        hangup: result.call.callDetails.status === 'connected' && maxDurationSeconds === 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Telephony webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Call = require('../models/Call');
 const Payment = require('../models/Payment');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const entitlementService = require('../services/entitlementService');
+const invoiceService = require('../services/invoiceService');
+const whatsappService = require('../services/whatsappService');
 
 const router = express.Router();
 
@@ -84,11 +88,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
     
-    // Reset monthly usage if needed
-    const resetNeeded = user.resetMonthlyUsage();
-    if (resetNeeded) {
-      await user.save();
-    }
+    // Start a new usage period if needed
+    await entitlementService.refreshPeriod(user);
 
     const profileData = {
       id: user._id,
@@ -102,6 +103,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       usage: user.usage,
       profile: user.profile,
       preferences: user.preferences,
+      whatsapp: { optedIn: user.whatsapp?.optedIn || false, optedInAt: user.whatsapp?.optedInAt },
       role: user.role,
       isVerified: user.isVerified,
       isActive: user.isActive,
@@ -194,7 +196,8 @@ router.get('/usage', authenticateToken, async (req, res) => {
     
     // Get current user usage
     const user = await User.findById(userId);
-    user.resetMonthlyUsage(); // Ensure usage is current
+    await entitlementService.refreshPeriod(user); // Ensure usage is current
+    const entitlements = await entitlementService.getEntitlements(user);
 
     // Get recent calls
     const recentCalls = await Call.find({ userId })
@@ -205,6 +208,8 @@ router.get('/usage', authenticateToken, async (req, res) => {
     const usageData = {
       current: {
         monthlyCallsUsed: user.usage.monthlyCallsUsed,
+        monthlyMinutesUsed: user.usage.monthlyMinutesUsed,
+        monthlySmsUsed: user.usage.monthlySmsUsed,
         totalCalls: user.usage.totalCalls,
         lastCallDate: user.usage.lastCallDate,
         lastResetDate: user.usage.lastResetDate
@@ -218,6 +223,7 @@ router.get('/usage', authenticateToken, async (req, res) => {
         daysRemaining: user.subscription.endDate ? 
           Math.max(0, Math.ceil((user.subscription.endDate - new Date()) / (1000 * 60 * 60 * 24))) : 0
       },
+      entitlements,
       analytics: callAnalytics[0] || {
         totalCalls: 0,
         totalDurationMinutes: 0,
@@ -248,6 +254,52 @@ router.get('/usage', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/usage/periods
+// @desc    Get usage per billing period (current period first)
+// @access  Private
+router.get('/usage/periods', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+
+    await entitlementService.refreshPeriod(req.user);
+    const { periods, total } = await entitlementService.getUsageHistory(req.userId, { page, limit });
+
+    // Counters for the open period live on the user until it closes
+    const current = periods.find(period => period.status === 'open');
+    if (current) {
+      current.usage = {
+        calls: req.user.usage.monthlyCallsUsed,
+        minutes: req.user.usage.monthlyMinutesUsed,
+        sms: req.user.usage.monthlySmsUsed
+      };
+    }
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        periods,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalPeriods: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get usage periods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch usage periods'
+    });
+  }
+});
+
 // @route   GET /api/users/calls
 // @desc    Get user call history
 // @access  Private
@@ -258,6 +310,7 @@ router.get('/calls', authenticateToken, async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const queryType = req.query.queryType;
     const status = req.query.status;
+    const channel = req.query.channel;
     const startDate = req.query.startDate;
     const endDate = req.query.endDate;
 
@@ -265,6 +318,7 @@ router.get('/calls', authenticateToken, async (req, res) => {
     const filter = { userId };
     
     if (queryType) filter.queryType = queryType;
+    if (channel) filter.channel = channel;
     if (status) filter['callDetails.status'] = status;
     if (startDate || endDate) {
       filter.createdAt = {};
@@ -286,6 +340,8 @@ router.get('/calls', authenticateToken, async (req, res) => {
     const callsData = calls.map(call => ({
       id: call._id,
       callId: call.callId,
+      channel: call.channel,
+      messageCount: call.messages.length,
       queryType: call.queryType,
       language: call.language,
       query: {
@@ -357,11 +413,13 @@ router.get('/calls/:callId', authenticateToken, async (req, res) => {
     const callData = {
       id: call._id,
       callId: call.callId,
+      channel: call.channel,
       phoneNumber: call.phoneNumber,
       language: call.language,
       queryType: call.queryType,
       query: call.query,
       response: call.response,
+      messages: call.channel === 'chat' ? call.messages : undefined,
       callDetails: call.callDetails,
       feedback: call.feedback,
       sms: call.sms,
@@ -529,6 +587,69 @@ router.get('/payments', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/payments/:paymentId/invoice
+// @desc    Download GST tax invoice for a paid payment (HTML, or JSON with ?format=json)
+// @access  Private
+router.get('/payments/:paymentId/invoice', authenticateToken, async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { format, download } = req.query;
+
+    const payment = await Payment.findOne({
+      $or: [
+        { _id: mongoose.isValidObjectId(paymentId) ? paymentId : null, userId: req.userId },
+        { orderId: paymentId, userId: req.userId }
+      ]
+    }).populate('planId', 'name displayName');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoices are only available for paid payments',
+        code: 'INVOICE_NOT_AVAILABLE'
+      });
+    }
+
+    if (!(payment.finalAmount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No invoice is issued for orders paid in full by a voucher',
+        code: 'INVOICE_NOT_AVAILABLE'
+      });
+    }
+
+    // Payments made before invoicing existed get their invoice on first download
+    const { invoice } = await invoiceService.issueInvoice(payment, { notify: false });
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: { invoice }
+      });
+    }
+
+    if (download === 'true') {
+      res.set('Content-Disposition', `attachment; filename="invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.html"`);
+    }
+
+    res.type('html').send(invoiceService.renderHtml(invoice));
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice'
+    });
+  }
+});
+
 // @route   PUT /api/users/preferences
 // @desc    Update user preferences
 // @access  Private
@@ -584,6 +705,59 @@ router.put('/preferences', authenticateToken, [
   }
 });
 
+// @route   POST /api/users/whatsapp/opt-in
+// @desc    Opt in to WhatsApp notifications
+// @access  Private
+router.post('/whatsapp/opt-in', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    const whatsapp = await whatsappService.optIn(user, 'app');
+
+    res.status(200).json({
+      success: true,
+      message: 'WhatsApp notifications turned on',
+      data: {
+        whatsapp,
+        preferences: user.preferences
+      }
+    });
+
+  } catch (error) {
+    console.error('WhatsApp opt-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update WhatsApp opt-in'
+    });
+  }
+});
+
+// @route   POST /api/users/whatsapp/opt-out
+// @desc    Opt out of WhatsApp notifications
+// @access  Private
+router.post('/whatsapp/opt-out', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    const whatsapp = await whatsappService.optOut(user, 'app');
+
+    res.status(200).json({
+      success: true,
+      message: 'WhatsApp notifications turned off',
+      data: {
+        whatsapp
+      }
+    });
+
+  } catch (error) {
+    console.error('WhatsApp opt-out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update WhatsApp opt-in'
+    });
+  }
+});
+
 // @route   DELETE /api/users/account
 // @desc    Deactivate user account
 // @access  Private
@@ -0,0 +1,164 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Voucher = require('../models/Voucher');
+const Plan = require('../models/Plan');
+const { authenticateToken, createRateLimit } = require('../middleware/auth');
+const router = express.Router();
+
+// Per-farmer limit on code checks, so private campaign codes cannot be guessed here
+const validateRateLimit = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  10,
+  'Too many voucher checks. Please try again later.',
+  { keyGenerator: (req) => req.userId.toString() }
+);
+
+// Unknown and ineligible codes get the same answer, so it does not reveal which codes exist
+const VOUCHER_NOT_APPLICABLE = {
+  success: false,
+  message: 'This voucher code is invalid or cannot be applied to this plan',
+  code: 'VOUCHER_INVALID'
+};
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// @route   POST /api/vouchers/validate
+// @desc    Check a voucher code against a plan and billing cycle before ordering
+// @access  Private
+router.post('/validate', authenticateToken, validateRateLimit, [
+  body('code')
+    .trim()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Invalid voucher code format'),
+  body('planId')
+    .isMongoId()
+    .withMessage('Valid plan ID is required'),
+  body('billingCycle')
+    .isIn(['monthly', 'yearly'])
+    .withMessage('Billing cycle must be monthly or yearly')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { code, planId, billingCycle } = req.body;
+    const language = req.query.language || req.user.preferredLanguage || 'english';
+
+    const plan = await Plan.findById(planId);
+    if (!plan || !plan.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found or not available'
+      });
+    }
+
+    const voucher = await Voucher.findOne({ code: code.toUpperCase() });
+    const result = voucher ? voucher.checkEligibility(req.user, plan, billingCycle) : null;
+    if (!result?.valid) {
+      return res.status(400).json(VOUCHER_NOT_APPLICABLE);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Voucher can be applied',
+      data: {
+        voucher: voucher.getLocalizedDetails(language),
+        pricing: {
+          planId: plan._id,
+          billingCycle,
+          amount: result.amount,
+          discount: result.discount,
+          finalAmount: result.finalAmount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Validate voucher error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate voucher'
+    });
+  }
+});
+
+// @route   GET /api/vouchers/available
+// @desc    Public vouchers the farmer is eligible for (optionally priced for a plan)
+// @access  Private
+router.get('/available', authenticateToken, [
+  query('planId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid plan ID is required'),
+  query('billingCycle')
+    .optional()
+    .isIn(['monthly', 'yearly'])
+    .withMessage('Billing cycle must be monthly or yearly')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { planId, billingCycle } = req.query;
+    const language = req.query.language || req.user.preferredLanguage || 'english';
+
+    let plan = null;
+    if (planId) {
+      plan = await Plan.findById(planId);
+      if (!plan || !plan.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Plan not found or not available'
+        });
+      }
+    }
+
+    const vouchers = await Voucher.findApplicableVouchers(
+      req.userId,
+      req.user,
+      plan?.planType,
+      billingCycle,
+      { publicOnly: true }
+    );
+
+    const data = [];
+    for (const voucher of vouchers) {
+      const details = voucher.getLocalizedDetails(language);
+
+      // Price the voucher when the farmer is looking at a specific plan (e.g. minimum order amount)
+      if (plan) {
+        const result = voucher.checkEligibility(req.user, plan, billingCycle || 'monthly');
+        if (!result.valid) {
+          continue;
+        }
+
+        details.pricing = {
+          amount: result.amount,
+          discount: result.discount,
+          finalAmount: result.finalAmount
+        };
+      }
+
+      data.push(details);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { vouchers: data }
+    });
+
+  } catch (error) {
+    console.error('Get available vouchers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vouchers'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const whatsappService = require('../services/whatsappService');
+const router = express.Router();
+
+// @route   GET /api/whatsapp/webhook
+// @desc    Webhook subscription handshake from Meta
+// @access  Public (verify token checked)
+router.get('/webhook', (req, res) => {
+  const challenge = whatsappService.verifyChallenge(req.query);
+
+  if (challenge === null) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid verify token',
+      code: 'INVALID_VERIFY_TOKEN'
+    });
+  }
+
+  res.status(200).send(challenge);
+});
+
+// @route   POST /api/whatsapp/webhook
+// @desc    Handle inbound WhatsApp messages and message status updates
+// @access  Public (signature verified)
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!whatsappService.verifyRequest(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    const result = await whatsappService.handleWebhook(req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Webhook processed',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('WhatsApp webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -41,13 +41,19 @@ app.options('*', cors());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Provider webhooks arrive from a few shared IPs and are signature-verified instead
+  skip: (req) => req.path.startsWith('/telephony/') || req.path.startsWith('/sms/') || req.path.startsWith('/whatsapp/') || req.path === '/payments/webhook'
 });
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw body for webhook signature verification
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Logging
 app.use(morgan('combined'));
@@ -57,7 +63,14 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/prani-mit
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-  .then(() => console.log('MongoDB connected successfully'))
+  .then(() => {
+    console.log('MongoDB connected successfully');
+
+    // Background jobs (subscription expiry, reminders)
+    if (process.env.ENABLE_SCHEDULER !== 'false') {
+      require('./services/schedulerService').start();
+    }
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -65,10 +78,17 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/plans', require('./routes/plans'));
 app.use('/api/payments', require('./routes/payments'));
+app.use('/api/vouchers', require('./routes/vouchers'));
+app.use('/api/referrals', require('./routes/referrals'));
 app.use('/api/calls', require('./routes/calls'));
+app.use('/api/chat', require('./routes/chat'));
+app.use('/api/telephony', require('./routes/telephony'));
+app.use('/api/sms', require('./routes/sms'));
+app.use('/api/whatsapp', require('./routes/whatsapp'));
 app.use('/api/content', require('./routes/content'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/contact', require('./routes/contact'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,271 @@
+// node-fetch v3 is ESM-only; prefer the built-in fetch (Node 18+)
+const fetch = global.fetch || ((...args) => import('node-fetch').then(({ default: nodeFetch }) => nodeFetch(...args)));
+
+const LANGUAGE_NAMES = {
+  english: 'English',
+  hindi: 'Hindi',
+  telugu: 'Telugu'
+};
+
+const QUERY_TYPE_NAMES = {
+  animal_health: 'animal health',
+  crop_guidance: 'crop guidance',
+  nutrition: 'animal nutrition',
+  emergency: 'emergency',
+  general: 'general farming'
+};
+
+// Rough token estimate for providers that don't report usage
+const estimateTokens = (text) => Math.ceil((text || '').trim().split(/\s+/).filter(Boolean).length * 1.3);
+
+class AdvisoryService {
+  constructor() {
+    const providerName = (process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'local')).toLowerCase();
+
+    if (providerName === 'gemini' && process.env.GEMINI_API_KEY) {
+      this.provider = new GeminiProvider({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+      });
+      console.log(`Advisory service initialized with Gemini (${this.provider.model})`);
+    } else {
+      if (providerName === 'gemini') {
+        console.warn('GEMINI_API_KEY not found. Using local advisory provider.');
+      }
+      this.provider = new LocalAdvisoryProvider();
+    }
+  }
+
+  // Build the prompt shared by all providers; history holds earlier chat turns ({ role: 'farmer'|'assistant', text })
+  buildPrompt({ queryType, language, question, farmingType, location, history = [] }) {
+    const languageName = LANGUAGE_NAMES[language] || LANGUAGE_NAMES.english;
+    const topic = QUERY_TYPE_NAMES[queryType] || QUERY_TYPE_NAMES.general;
+    const place = [location?.district, location?.state].filter(Boolean).join(', ');
+
+    const systemInstruction = [
+      'You are Prani Mitra, an agricultural and veterinary advisor for small farmers in rural India.',
+      `Answer only in ${languageName}, in simple words a farmer can follow.`,
+      'The answer is read out on a phone call and sent by SMS, so keep it under 120 words with short practical steps.',
+      'Never prescribe prescription-only drugs or dosages; recommend a local veterinarian or agriculture officer when needed.',
+      queryType === 'emergency' ?
+        'This is an emergency: start with immediate first-aid steps and tell the farmer to call the nearest veterinarian or 1962 animal ambulance now.' :
+        null
+    ].filter(Boolean).join(' ');
+
+    const context = [
+      `Topic: ${topic}`,
+      farmingType && farmingType.length > 0 ? `Farmer practises: ${farmingType.join(', ')}` : null,
+      place ? `Location: ${place}` : null
+    ].filter(Boolean).join('\n');
+
+    return {
+      systemInstruction,
+      history,
+      userPrompt: `${context}\n\nFarmer's question: ${question}`
+    };
+  }
+
+  // Generate advice for a question
+  async generateAdvice({ queryType, language = 'english', question, farmingType = [], location = {}, history = [] }) {
+    if (!question || !question.trim()) {
+      return { success: false, error: 'Question text is required' };
+    }
+
+    const prompt = this.buildPrompt({ queryType, language, question: question.trim(), farmingType, location, history });
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.provider.generate(prompt, { queryType, language, question: question.trim() });
+
+      return {
+        success: true,
+        advice: {
+          text: result.text.trim(),
+          confidence: result.confidence,
+          model: result.model,
+          version: result.version,
+          processingTime: Date.now() - startedAt,
+          tokens: {
+            input: result.tokens?.input ?? estimateTokens(`${prompt.systemInstruction} ${prompt.userPrompt}`),
+            output: result.tokens?.output ?? estimateTokens(result.text)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Advisory generation error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Answer a Call in place using its query and the farmer's profile
+  async answerCall(call, user) {
+    const result = await this.generateAdvice({
+      queryType: call.queryType,
+      language: call.language,
+      question: call.query?.transcription || call.query?.text,
+      farmingType: user?.farmingType || [],
+      location: call.location?.state ? call.location : (user?.location || {})
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    const { advice } = result;
+
+    call.response = {
+      text: advice.text,
+      confidence: advice.confidence,
+      audioUrl: call.response?.audioUrl || ''
+    };
+
+    call.aiMetadata = {
+      model: advice.model,
+      version: advice.version,
+      processingTime: advice.processingTime,
+      tokens: advice.tokens
+    };
+
+    return result;
+  }
+
+  getProviderName() {
+    return this.provider.name;
+  }
+}
+
+// Google Gemini REST provider
+class GeminiProvider {
+  constructor({ apiKey, model }) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+    this.timeoutMs = parseInt(process.env.AI_TIMEOUT_MS) || 20000;
+  }
+
+  async generate({ systemInstruction, history, userPrompt }) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const res = await fetch(`${this.baseUrl}/${this.model}:generateContent?key=${this.apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          systemInstruction: { parts: [{ text: systemInstruction }] },
+          contents: [
+            ...history.map(turn => ({
+              role: turn.role === 'assistant' ? 'model' : 'user',
+              parts: [{ text: turn.text }]
+            })),
+            { role: 'user', parts: [{ text: userPrompt }] }
+          ],
+          generationConfig: {
+            temperature: 0.3,
+            maxOutputTokens: 512
+          }
+        }),
+        signal: controller.signal
+      });
+
+      if (!res.ok) {
+        const errorText = await res.text();
+        throw new Error(`Gemini request failed: ${res.status} ${errorText}`);
+      }
+
+      const data = await res.json();
+      const candidate = data.candidates?.[0];
+      const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+
+      if (!text) {
+        throw new Error(`Gemini returned no text (finishReason: ${candidate?.finishReason || 'unknown'})`);
+      }
+
+      return {
+        text,
+        confidence: this.confidenceFor(candidate.finishReason),
+        model: this.model,
+        version: data.modelVersion || this.model,
+        tokens: {
+          input: data.usageMetadata?.promptTokenCount,
+          output: data.usageMetadata?.candidatesTokenCount
+        }
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Gemini has no confidence score; derive one from how generation finished
+  confidenceFor(finishReason) {
+    switch (finishReason) {
+      case 'STOP':
+        return 0.85;
+      case 'MAX_TOKENS':
+        return 0.6;
+      case 'SAFETY':
+      case 'RECITATION':
+        return 0.3;
+      default:
+        return 0.5;
+    }
+  }
+}
+
+// Deterministic local provider for development and tests
+class LocalAdvisoryProvider {
+  constructor() {
+    this.name = 'local';
+    this.model = 'local-advisory';
+    this.version = '1.0';
+  }
+
+  async generate(prompt, { queryType, language }) {
+    const templates = {
+      english: {
+        animal_health: 'Keep the animal separated, give clean water and shade, and watch its feeding and temperature. If fever, bleeding or no eating continues for a day, call your local veterinarian.',
+        crop_guidance: 'Check the soil moisture before watering, remove affected leaves, and use recommended seed and fertilizer doses. Contact your agriculture officer for a soil test.',
+        nutrition: 'Give balanced feed with green fodder, dry fodder and mineral mixture daily. Provide clean drinking water at all times and avoid sudden feed changes.',
+        emergency: 'Move the animal to a safe, shaded place and keep it calm. Do not give any medicine on your own. Call the nearest veterinarian or 1962 animal ambulance immediately.',
+        general: 'Thank you for your question. Follow good hygiene, keep records of your animals and crops, and contact your local agriculture or veterinary office for detailed help.'
+      },
+      hindi: {
+        animal_health: 'पशु को अलग रखें, साफ पानी और छाया दें, और उसके खाने व तापमान पर नज़र रखें। अगर एक दिन तक बुखार, खून या खाना न खाना जारी रहे तो स्थानीय पशु चिकित्सक को बुलाएं।',
+        crop_guidance: 'सिंचाई से पहले मिट्टी की नमी जांचें, प्रभावित पत्तियां हटाएं और अनुशंसित बीज व खाद की मात्रा का उपयोग करें। मिट्टी परीक्षण के लिए कृषि अधिकारी से संपर्क करें।',
+        nutrition: 'रोज़ हरा चारा, सूखा चारा और खनिज मिश्रण के साथ संतुलित आहार दें। हर समय साफ पीने का पानी दें और आहार में अचानक बदलाव न करें।',
+        emergency: 'पशु को सुरक्षित, छायादार जगह पर ले जाएं और शांत रखें। खुद से कोई दवा न दें। तुरंत नज़दीकी पशु चिकित्सक या 1962 पशु एम्बुलेंस को कॉल करें।',
+        general: 'आपके प्रश्न के लिए धन्यवाद। साफ-सफाई रखें, अपने पशुओं और फसलों का रिकॉर्ड रखें, और विस्तृत सहायता के लिए स्थानीय कृषि या पशु चिकित्सा कार्यालय से संपर्क करें।'
+      },
+      telugu: {
+        animal_health: 'పశువును వేరుగా ఉంచి, శుభ్రమైన నీరు మరియు నీడ ఇవ్వండి, దాని మేత మరియు ఉష్ణోగ్రతను గమనించండి. ఒక రోజు పాటు జ్వరం, రక్తస్రావం లేదా మేత తినకపోవడం కొనసాగితే స్థానిక పశువైద్యుడిని సంప్రదించండి.',
+        crop_guidance: 'నీరు పెట్టే ముందు నేల తేమను చూడండి, ప్రభావిత ఆకులను తీసివేయండి, సిఫార్సు చేసిన విత్తనం మరియు ఎరువుల మోతాదులను వాడండి. నేల పరీక్ష కోసం వ్యవసాయ అధికారిని సంప్రదించండి.',
+        nutrition: 'ప్రతిరోజూ పచ్చి మేత, ఎండు మేత మరియు ఖనిజ మిశ్రమంతో సమతుల్య ఆహారం ఇవ్వండి. ఎల్లప్పుడూ శుభ్రమైన తాగునీరు ఇవ్వండి, ఆహారంలో ఆకస్మిక మార్పులు చేయవద్దు.',
+        emergency: 'పశువును సురక్షితమైన, నీడ ఉన్న చోటికి తరలించి ప్రశాంతంగా ఉంచండి. సొంతంగా ఏ మందు ఇవ్వవద్దు. వెంటనే సమీప పశువైద్యుడిని లేదా 1962 పశు అంబులెన్స్‌ను పిలవండి.',
+        general: 'మీ ప్రశ్నకు ధన్యవాదాలు. పరిశుభ్రత పాటించండి, మీ పశువులు మరియు పంటల రికార్డులు ఉంచండి, వివరమైన సహాయం కోసం స్థానిక వ్యవసాయ లేదా పశువైద్య కార్యాలయాన్ని సంప్రదించండి.'
+      }
+    };
+
+    const languageTemplates = templates[language] || templates.english;
+    const text = languageTemplates[queryType] || languageTemplates.general;
+
+    return {
+      text,
+      confidence: queryType === 'general' ? 0.5 : 0.7,
+      model: this.model,
+      version: this.version,
+      tokens: {
+        input: estimateTokens(`${prompt.systemInstruction} ${prompt.userPrompt}`),
+        output: estimateTokens(text)
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const advisoryService = new AdvisoryService();
+
+module.exports = advisoryService;
@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const razorpayService = require('./razorpayService');
+
+// Razorpay customer per farmer, so Checkout can offer their saved cards and UPI IDs
+class CustomerService {
+  // Razorpay customer id of the user, created on first purchase. Returns null if Razorpay
+  // is unavailable so the purchase can still go ahead without saved methods.
+  async ensureCustomer(user) {
+    if (user.razorpayCustomerId) {
+      return user.razorpayCustomerId;
+    }
+
+    const result = await razorpayService.createCustomer({
+      name: user.name,
+      email: user.email,
+      contact: user.phoneNumber,
+      notes: { userId: user._id.toString() }
+    });
+
+    if (!result.success) {
+      console.error(`❌ Could not create Razorpay customer for ${user.phoneNumber}: ${result.error}`);
+      return null;
+    }
+
+    // Razorpay returns the same customer for the same contact, so a concurrent order stores the same id
+    await User.updateOne({ _id: user._id }, { $set: { razorpayCustomerId: result.customer.id } });
+    user.razorpayCustomerId = result.customer.id;
+
+    console.log(`👤 Razorpay customer ${result.customer.id} created for ${user.phoneNumber}`);
+    return result.customer.id;
+  }
+
+  async listSavedMethods(user) {
+    if (!user.razorpayCustomerId) {
+      return { success: true, methods: [] };
+    }
+
+    const result = await razorpayService.fetchTokens(user.razorpayCustomerId);
+    if (!result.success) {
+      return { success: false, code: 'RAZORPAY_ERROR', error: result.error };
+    }
+
+    return { success: true, methods: result.tokens };
+  }
+
+  async removeSavedMethod(user, tokenId) {
+    const list = await this.listSavedMethods(user);
+    if (!list.success) {
+      return list;
+    }
+
+    const token = list.methods.find(method => method.id === tokenId);
+    if (!token) {
+      return { success: false, code: 'PAYMENT_METHOD_NOT_FOUND', error: 'Saved payment method not found' };
+    }
+
+    // The auto-renewal mandate is charged to its token
+    if (token.recurring && user.subscription.autoRenewal) {
+      return {
+        success: false,
+        code: 'PAYMENT_METHOD_IN_USE',
+        error: 'This method is used for auto-renewal. Disable auto-renewal first.'
+      };
+    }
+
+    const result = await razorpayService.deleteToken(user.razorpayCustomerId, tokenId);
+    if (!result.success) {
+      return { success: false, code: 'RAZORPAY_ERROR', error: result.error };
+    }
+
+    return { success: true, method: token };
+  }
+}
+
+module.exports = new CustomerService();
@@ -1265,6 +1265,298 @@ Team ${startupName}
       };
     }
   }
+
+  // Send subscription expiry reminder email
+  async sendSubscriptionExpiryReminderEmail({ to, name, language = 'english', planName, endDate, daysLeft }) {
+    try {
+      if (!this.transporter) {
+        throw new Error('Email transporter not initialized');
+      }
+
+      const website = process.env.WEBSITE_URL || process.env.FRONTEND_URL || 'https://prani-mitra1.vercel.app';
+      const endDateText = new Date(endDate).toLocaleDateString('en-IN');
+
+      const templates = {
+        english: {
+          subject: `Your ${planName} plan expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'} - Prani Mitra`,
+          heading: '⏰ Subscription Expiring Soon',
+          greeting: `Hello ${name},`,
+          body: `Your <strong>${planName}</strong> plan will expire on <strong>${endDateText}</strong> (${daysLeft} day${daysLeft === 1 ? '' : 's'} left). After that, your account moves to the free tier with 10 calls per month.`,
+          action: 'Renew Now'
+        },
+        hindi: {
+          subject: `आपका ${planName} प्लान ${daysLeft} दिन में समाप्त हो रहा है - प्राणी मित्र`,
+          heading: '⏰ सदस्यता जल्द समाप्त होगी',
+          greeting: `नमस्ते ${name},`,
+          body: `आपका <strong>${planName}</strong> प्लान <strong>${endDateText}</strong> को समाप्त हो जाएगा (${daysLeft} दिन शेष)। इसके बाद आपका खाता मुफ्त प्लान (प्रति माह 10 कॉल) पर चला जाएगा।`,
+          action: 'अभी नवीनीकरण करें'
+        },
+        telugu: {
+          subject: `మీ ${planName} ప్లాన్ ${daysLeft} రోజుల్లో ముగుస్తుంది - ప్రాణి మిత్ర`,
+          heading: '⏰ సభ్యత్వం త్వరలో ముగుస్తుంది',
+          greeting: `నమస్కారం ${name},`,
+          body: `మీ <strong>${planName}</strong> ప్లాన్ <strong>${endDateText}</strong> న ముగుస్తుంది (${daysLeft} రోజులు మిగిలి ఉన్నాయి). ఆ తర్వాత మీ ఖాతా ఉచిత ప్లాన్‌కు (నెలకు 10 కాల్స్) మారుతుంది.`,
+          action: 'ఇప్పుడే పునరుద్ధరించండి'
+        }
+      };
+
+      const template = templates[language] || templates.english;
+
+      const mailOptions = {
+        from: `"Prani Mitra" <${process.env.EMAIL_USER || 'noreply@pranimitra.com'}>`,
+        to: to,
+        subject: template.subject,
+        html: this.generateSubscriptionEmailHtml(template, `${website}/plans`)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        email: to
+      };
+
+    } catch (error) {
+      console.error('Subscription expiry reminder email error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Send subscription expired email
+  async sendSubscriptionExpiredEmail({ to, name, language = 'english', planName }) {
+    try {
+      if (!this.transporter) {
+        throw new Error('Email transporter not initialized');
+      }
+
+      const website = process.env.WEBSITE_URL || process.env.FRONTEND_URL || 'https://prani-mitra1.vercel.app';
+
+      const templates = {
+        english: {
+          subject: `Your ${planName} plan has expired - Prani Mitra`,
+          heading: '📋 Subscription Expired',
+          greeting: `Hello ${name},`,
+          body: `Your <strong>${planName}</strong> plan has expired. You can still make up to 10 calls per month on the free tier. Renew anytime to get your full plan benefits back.`,
+          action: 'View Plans'
+        },
+        hindi: {
+          subject: `आपका ${planName} प्लान समाप्त हो गया है - प्राणी मित्र`,
+          heading: '📋 सदस्यता समाप्त',
+          greeting: `नमस्ते ${name},`,
+          body: `आपका <strong>${planName}</strong> प्लान समाप्त हो गया है। आप मुफ्त प्लान पर प्रति माह 10 कॉल कर सकते हैं। पूरे लाभ वापस पाने के लिए कभी भी नवीनीकरण करें।`,
+          action: 'प्लान देखें'
+        },
+        telugu: {
+          subject: `మీ ${planName} ప్లాన్ ముగిసింది - ప్రాణి మిత్ర`,
+          heading: '📋 సభ్యత్వం ముగిసింది',
+          greeting: `నమస్కారం ${name},`,
+          body: `మీ <strong>${planName}</strong> ప్లాన్ ముగిసింది. ఉచిత ప్లాన్‌లో మీరు నెలకు 10 కాల్స్ చేయవచ్చు. పూర్తి ప్రయోజనాల కోసం ఎప్పుడైనా పునరుద్ధరించండి.`,
+          action: 'ప్లాన్‌లు చూడండి'
+        }
+      };
+
+      const template = templates[language] || templates.english;
+
+      const mailOptions = {
+        from: `"Prani Mitra" <${process.env.EMAIL_USER || 'noreply@pranimitra.com'}>`,
+        to: to,
+        subject: template.subject,
+        html: this.generateSubscriptionEmailHtml(template, `${website}/plans`)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        email: to
+      };
+
+    } catch (error) {
+      console.error('Subscription expired email error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Tell the farmer their refund request was approved, rejected or processed
+  async sendRefundStatusEmail({ to, name, language = 'english', planName, status, amount, note, adjustment = {} }) {
+    try {
+      if (!this.transporter) {
+        throw new Error('Email transporter not initialized');
+      }
+
+      const website = process.env.WEBSITE_URL || process.env.FRONTEND_URL || 'https://prani-mitra1.vercel.app';
+      const amountText = `₹${Number(amount).toFixed(2)}`;
+      const endDateText = adjustment.newEndDate ? new Date(adjustment.newEndDate).toLocaleDateString('en-IN') : null;
+
+      const templates = {
+        english: {
+          subject: {
+            approved: `Your refund of ${amountText} is approved - Prani Mitra`,
+            processed: `Your refund of ${amountText} is complete - Prani Mitra`,
+            rejected: 'Update on your refund request - Prani Mitra'
+          }[status],
+          heading: status === 'rejected' ? '↩️ Refund Request Declined' : '↩️ Refund Update',
+          greeting: `Hello ${name},`,
+          body: {
+            approved: `Your refund of <strong>${amountText}</strong> for the <strong>${planName}</strong> plan is approved. It usually reaches your account in 5-7 working days.`,
+            processed: `Your refund of <strong>${amountText}</strong> for the <strong>${planName}</strong> plan has been sent to your original payment method.`,
+            rejected: `We could not approve your refund request for the <strong>${planName}</strong> plan.${note ? ` Reason: ${note}` : ''}`
+          }[status] + (status !== 'rejected' && adjustment.cancelled ? ' Your plan has been cancelled and free tier limits now apply.' : '') +
+            (status !== 'rejected' && !adjustment.cancelled && endDateText ? ` Your plan now ends on <strong>${endDateText}</strong>.` : ''),
+          action: 'View Payments'
+        },
+        hindi: {
+          subject: {
+            approved: `आपका ${amountText} का रिफंड स्वीकृत हुआ - प्राणी मित्र`,
+            processed: `आपका ${amountText} का रिफंड पूरा हुआ - प्राणी मित्र`,
+            rejected: 'आपके रिफंड अनुरोध पर अपडेट - प्राणी मित्र'
+          }[status],
+          heading: status === 'rejected' ? '↩️ रिफंड अनुरोध अस्वीकृत' : '↩️ रिफंड अपडेट',
+          greeting: `नमस्ते ${name},`,
+          body: {
+            approved: `<strong>${planName}</strong> प्लान के लिए आपका <strong>${amountText}</strong> का रिफंड स्वीकृत हो गया है। यह आमतौर पर 5-7 कार्य दिवसों में आपके खाते में पहुंच जाता है।`,
+            processed: `<strong>${planName}</strong> प्लान के लिए आपका <strong>${amountText}</strong> का रिफंड आपके मूल भुगतान माध्यम पर भेज दिया गया है।`,
+            rejected: `हम <strong>${planName}</strong> प्लान के लिए आपका रिफंड अनुरोध स्वीकार नहीं कर सके।${note ? ` कारण: ${note}` : ''}`
+          }[status] + (status !== 'rejected' && adjustment.cancelled ? ' आपका प्लान रद्द कर दिया गया है और अब मुफ्त प्लान की सीमाएं लागू हैं।' : '') +
+            (status !== 'rejected' && !adjustment.cancelled && endDateText ? ` आपका प्लान अब <strong>${endDateText}</strong> को समाप्त होगा।` : ''),
+          action: 'भुगतान देखें'
+        },
+        telugu: {
+          subject: {
+            approved: `మీ ${amountText} రీఫండ్ ఆమోదించబడింది - ప్రాణి మిత్ర`,
+            processed: `మీ ${amountText} రీఫండ్ పూర్తయింది - ప్రాణి మిత్ర`,
+            rejected: 'మీ రీఫండ్ అభ్యర్థనపై అప్‌డేట్ - ప్రాణి మిత్ర'
+          }[status],
+          heading: status === 'rejected' ? '↩️ రీఫండ్ అభ్యర్థన తిరస్కరించబడింది' : '↩️ రీఫండ్ అప్‌డేట్',
+          greeting: `నమస్కారం ${name},`,
+          body: {
+            approved: `<strong>${planName}</strong> ప్లాన్ కోసం మీ <strong>${amountText}</strong> రీఫండ్ ఆమోదించబడింది. ఇది సాధారణంగా 5-7 పని దినాల్లో మీ ఖాతాకు చేరుతుంది.`,
+            processed: `<strong>${planName}</strong> ప్లాన్ కోసం మీ <strong>${amountText}</strong> రీఫండ్ మీ అసలు చెల్లింపు విధానానికి పంపబడింది.`,
+            rejected: `<strong>${planName}</strong> ప్లాన్ కోసం మీ రీఫండ్ అభ్యర్థనను మేము ఆమోదించలేకపోయాము.${note ? ` కారణం: ${note}` : ''}`
+          }[status] + (status !== 'rejected' && adjustment.cancelled ? ' మీ ప్లాన్ రద్దు చేయబడింది, ఇప్పుడు ఉచిత ప్లాన్ పరిమితులు వర్తిస్తాయి.' : '') +
+            (status !== 'rejected' && !adjustment.cancelled && endDateText ? ` మీ ప్లాన్ ఇప్పుడు <strong>${endDateText}</strong>న ముగుస్తుంది.` : ''),
+          action: 'చెల్లింపులు చూడండి'
+        }
+      };
+
+      const template = templates[language] || templates.english;
+
+      const mailOptions = {
+        from: `"Prani Mitra" <${process.env.EMAIL_USER || 'noreply@pranimitra.com'}>`,
+        to: to,
+        subject: template.subject,
+        html: this.generateSubscriptionEmailHtml(template, `${website}/payments`)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        email: to
+      };
+
+    } catch (error) {
+      console.error('Refund status email error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Send a GST tax invoice with the invoice attached as HTML
+  async sendInvoiceEmail({ to, name, invoiceNumber, totalAmount, html }) {
+    try {
+      if (!this.transporter) {
+        throw new Error('Email transporter not initialized');
+      }
+
+      const website = process.env.WEBSITE_URL || process.env.FRONTEND_URL || 'https://prani-mitra1.vercel.app';
+      const template = {
+        subject: `Tax Invoice ${invoiceNumber} - Prani Mitra`,
+        heading: '🧾 Your Tax Invoice',
+        greeting: `Hello ${name},`,
+        body: `Thank you for your payment of <strong>₹${Number(totalAmount).toFixed(2)}</strong>. Your tax invoice <strong>${invoiceNumber}</strong> is attached to this email. You can also download it anytime from your payment history.`,
+        action: 'View Payments'
+      };
+
+      const mailOptions = {
+        from: `"Prani Mitra" <${process.env.EMAIL_USER || 'noreply@pranimitra.com'}>`,
+        to: to,
+        subject: template.subject,
+        html: this.generateSubscriptionEmailHtml(template, `${website}/payments`),
+        attachments: [{
+          filename: `invoice-${invoiceNumber.replace(/\//g, '-')}.html`,
+          content: html,
+          contentType: 'text/html'
+        }]
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        email: to
+      };
+
+    } catch (error) {
+      console.error('Invoice email error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Shared layout for subscription emails
+  generateSubscriptionEmailHtml({ subject, heading, greeting, body, action }, actionUrl) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${subject}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4CAF50, #45a049); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🐄 Prani Mitra</h1>
+            <p>Your Smart Farming Companion</p>
+          </div>
+          <div class="content">
+            <h2>${heading}</h2>
+            <p>${greeting}</p>
+            <p>${body}</p>
+            <a href="${actionUrl}" class="button">${action}</a>
+          </div>
+          <div class="footer">
+            <p>© 2024 Prani Mitra. All rights reserved.</p>
+            <p>This is an automated message, please do not reply.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,239 @@
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const UsagePeriod = require('../models/UsagePeriod');
+
+// Limits for free, expired and cancelled users when no active free plan exists
+const FREE_TIER_LIMITS = {
+  callLimit: 10,
+  callDurationLimit: 15,
+  smsLimit: 20
+};
+
+class EntitlementService {
+  // Resolve the plan and limits that currently apply to a user
+  async getLimits(user) {
+    if (!user.isOnFreeTier() && user.subscription.planId) {
+      const plan = user.populated('subscription.planId') ?
+        user.subscription.planId : await Plan.findById(user.subscription.planId);
+
+      if (plan) {
+        return { tier: 'paid', plan, limits: plan.limits };
+      }
+    }
+
+    const freePlan = await Plan.findOne({ planType: 'free', isActive: true });
+    return {
+      tier: 'free',
+      plan: freePlan,
+      limits: freePlan ? freePlan.limits : FREE_TIER_LIMITS
+    };
+  }
+
+  // Start a new usage period if the current one is over (saves the user when it does)
+  async refreshPeriod(user, now = new Date()) {
+    if (!user.isUsagePeriodOver(now)) {
+      return false;
+    }
+
+    await this.rolloverPeriod(user, now);
+    await user.save();
+    return true;
+  }
+
+  // Close the current period into its UsagePeriod record and open the one containing `now`.
+  // Callers save the user.
+  async rolloverPeriod(user, now = new Date(), reason = 'period_end') {
+    if (user.usage.periodStart) {
+      const closed = await UsagePeriod.findOneAndUpdate(
+        { userId: user._id, periodStart: user.usage.periodStart },
+        {
+          $set: {
+            usage: {
+              calls: user.usage.monthlyCallsUsed,
+              minutes: user.usage.monthlyMinutesUsed || 0,
+              sms: user.usage.monthlySmsUsed || 0
+            },
+            periodEnd: reason === 'period_end' ? user.usage.periodEnd : now,
+            status: 'closed',
+            closedAt: now,
+            closeReason: reason
+          },
+          $setOnInsert: { tier: 'free' }
+        },
+        { upsert: true, new: true }
+      );
+
+      this.consumeBonusCalls(user, closed.limits?.callLimit);
+    }
+
+    const { start, end } = user.getUsagePeriod(now);
+    user.startUsagePeriod(start, end);
+
+    const { tier, plan, limits } = await this.getLimits(user);
+    await UsagePeriod.findOneAndUpdate(
+      { userId: user._id, periodStart: start },
+      {
+        $set: {
+          planId: plan ? plan._id : undefined,
+          tier,
+          limits: {
+            callLimit: limits.callLimit,
+            callDurationLimit: limits.callDurationLimit,
+            smsLimit: limits.smsLimit
+          },
+          periodEnd: end,
+          status: 'open'
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  // Deduct bonus calls used beyond the closing period's plan limit. Callers save the user.
+  consumeBonusCalls(user, callLimit) {
+    const bonusCalls = user.usage.bonusCalls || 0;
+    if (!bonusCalls || typeof callLimit !== 'number' || callLimit === -1) {
+      return 0;
+    }
+
+    const used = Math.min(bonusCalls, Math.max(0, user.usage.monthlyCallsUsed - callLimit));
+    user.usage.bonusCalls = bonusCalls - used;
+    return used;
+  }
+
+  // A new paid subscription starts a fresh period anchored to its startDate. Callers save the user.
+  async startPlanPeriod(user, now = new Date()) {
+    await this.rolloverPeriod(user, now, 'plan_change');
+  }
+
+  // Roll over every user whose usage period has ended (scheduled job)
+  async resetUsagePeriods(now = new Date()) {
+    const cursor = User.find({
+      $or: [
+        { 'usage.periodEnd': { $lte: now } },
+        { 'usage.periodEnd': { $exists: false } }
+      ]
+    }).cursor();
+
+    let processed = 0;
+    let reset = 0;
+
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+      processed += 1;
+      try {
+        if (await this.refreshPeriod(user, now)) {
+          reset += 1;
+        }
+      } catch (error) {
+        console.error(`Usage period reset error for user ${user._id}:`, error);
+      }
+    }
+
+    return { processed, reset };
+  }
+
+  // Past and current usage periods for a user, newest first
+  async getUsageHistory(userId, { page = 1, limit = 12 } = {}) {
+    const filter = { userId };
+
+    const [periods, total] = await Promise.all([
+      UsagePeriod.find(filter)
+        .populate('planId', 'name displayName planType')
+        .sort({ periodStart: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      UsagePeriod.countDocuments(filter)
+    ]);
+
+    return { periods: periods.map(period => period.getSummary()), total };
+  }
+
+  // Calls, minutes and SMS used/remaining in the current period
+  async getEntitlements(user) {
+    const { tier, plan, limits } = await this.getLimits(user);
+
+    return {
+      tier,
+      plan: plan ? { id: plan._id, name: plan.name, planType: plan.planType } : null,
+      period: {
+        startDate: user.usage.periodStart,
+        resetsAt: user.usage.periodEnd
+      },
+      ...user.getQuota(limits)
+    };
+  }
+
+  // Check whether a user may start a call or chat session
+  async checkCall(user) {
+    await this.refreshPeriod(user);
+    const entitlements = await this.getEntitlements(user);
+
+    if (entitlements.calls.remaining === 0) {
+      const isFree = entitlements.tier === 'free';
+      return {
+        allowed: false,
+        code: isFree ? 'FREE_LIMIT_EXCEEDED' : 'CALL_LIMIT_EXCEEDED',
+        message: isFree ?
+          'Free tier monthly limit exceeded. Please upgrade to continue.' : 'Call limit exceeded',
+        entitlements
+      };
+    }
+
+    if (entitlements.minutes.remaining === 0) {
+      return {
+        allowed: false,
+        code: 'MINUTES_LIMIT_EXCEEDED',
+        message: 'Monthly call minutes exhausted. Please upgrade to continue.',
+        entitlements
+      };
+    }
+
+    return {
+      allowed: true,
+      entitlements,
+      // Telephony should end the call once the remaining minutes are used up
+      maxDurationMinutes: entitlements.minutes.remaining
+    };
+  }
+
+  // Check whether a user may be sent another SMS
+  async checkSms(user) {
+    await this.refreshPeriod(user);
+    const entitlements = await this.getEntitlements(user);
+
+    if (entitlements.sms.remaining === 0) {
+      return {
+        allowed: false,
+        code: 'SMS_LIMIT_EXCEEDED',
+        message: 'Monthly SMS limit exceeded',
+        entitlements
+      };
+    }
+
+    return { allowed: true, entitlements };
+  }
+
+  // Count a completed voice call's minutes; safe to call again for the same call
+  recordCallMinutes(user, call) {
+    if (call.channel === 'chat') {
+      return 0;
+    }
+
+    const seconds = call.telephony?.providerDuration ??
+      (call.callDetails.endTime ? (call.callDetails.endTime - call.callDetails.startTime) / 1000 : 0);
+    const minutes = Math.ceil(Math.max(0, seconds) / 60);
+    const unbilled = Math.max(0, minutes - (call.callDetails.billedMinutes || 0));
+
+    user.usage.monthlyMinutesUsed = (user.usage.monthlyMinutesUsed || 0) + unbilled;
+    call.callDetails.billedMinutes = (call.callDetails.billedMinutes || 0) + unbilled;
+
+    return unbilled;
+  }
+
+  // Count one SMS sent to the user
+  recordSms(user) {
+    user.usage.monthlySmsUsed = (user.usage.monthlySmsUsed || 0) + 1;
+  }
+}
+
+module.exports = new EntitlementService();
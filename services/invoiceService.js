@@ -0,0 +1,369 @@
+const Invoice = require('../models/Invoice');
+const Plan = require('../models/Plan');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+
+// SAC for online information and advisory content services
+const SAC_CODE = '998439';
+
+// GST state codes used for place of supply
+const STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  'punjab': '03',
+  'chandigarh': '04',
+  'uttarakhand': '05',
+  'haryana': '06',
+  'delhi': '07',
+  'rajasthan': '08',
+  'uttar pradesh': '09',
+  'bihar': '10',
+  'sikkim': '11',
+  'arunachal pradesh': '12',
+  'nagaland': '13',
+  'manipur': '14',
+  'mizoram': '15',
+  'tripura': '16',
+  'meghalaya': '17',
+  'assam': '18',
+  'west bengal': '19',
+  'jharkhand': '20',
+  'odisha': '21',
+  'chhattisgarh': '22',
+  'madhya pradesh': '23',
+  'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  'maharashtra': '27',
+  'karnataka': '29',
+  'goa': '30',
+  'lakshadweep': '31',
+  'kerala': '32',
+  'tamil nadu': '33',
+  'puducherry': '34',
+  'andaman and nicobar islands': '35',
+  'telangana': '36',
+  'andhra pradesh': '37',
+  'ladakh': '38'
+};
+
+// Sequence collisions to retry before giving up (concurrent invoices in the same year)
+const MAX_SEQUENCE_ATTEMPTS = 5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeState = (state) => (state || '').trim().toLowerCase().replace(/\s*&\s*/g, ' and ').replace(/\s+/g, ' ');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatMoney = (value) => Number(value || 0).toFixed(2);
+
+class InvoiceService {
+  constructor() {
+    this.gstRate = parseFloat(process.env.GST_RATE || '18');
+    this.prefix = process.env.INVOICE_PREFIX || 'PM';
+    this.seller = {
+      name: process.env.INVOICE_SELLER_NAME || 'Prani Mitra',
+      gstin: process.env.INVOICE_SELLER_GSTIN || '',
+      address: {
+        line1: process.env.INVOICE_SELLER_ADDRESS || '',
+        state: process.env.INVOICE_SELLER_STATE || 'Telangana',
+        country: 'IN'
+      }
+    };
+    this.seller.stateCode = STATE_CODES[normalizeState(this.seller.address.state)] || '';
+  }
+
+  // Indian financial year (April - March, IST) for a date, e.g. "2024-25"
+  getFinancialYear(date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: 'Asia/Kolkata',
+      year: 'numeric',
+      month: 'numeric'
+    }).formatToParts(date);
+    const year = parseInt(parts.find(part => part.type === 'year').value, 10);
+    const month = parseInt(parts.find(part => part.type === 'month').value, 10);
+    const startYear = month >= 4 ? year : year - 1;
+
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+  }
+
+  // Invoice numbers stay within GST's 16 character limit, e.g. PM/24-25/000042
+  formatInvoiceNumber(financialYear, sequence) {
+    return `${this.prefix}/${financialYear.slice(2)}/${String(sequence).padStart(6, '0')}`;
+  }
+
+  // Split a GST-inclusive amount into taxable value and CGST/SGST or IGST
+  calculateTax({ amount, discount = 0, buyerState }) {
+    const divisor = 1 + this.gstRate / 100;
+    const unitPrice = round2(amount / divisor);
+    const discountValue = round2(discount / divisor);
+    const taxableAmount = round2(unitPrice - discountValue);
+    const totalAmount = round2(amount - discount);
+    const totalTax = round2(totalAmount - taxableAmount);
+
+    // Unregistered buyers without a state are taxed at the supplier's location
+    const buyerStateKey = normalizeState(buyerState) || normalizeState(this.seller.address.state);
+    const isIntraState = buyerStateKey === normalizeState(this.seller.address.state);
+    const halfRate = this.gstRate / 2;
+    const cgstAmount = isIntraState ? round2(totalTax / 2) : 0;
+
+    return {
+      unitPrice,
+      discountValue,
+      taxableAmount,
+      totalAmount,
+      totalTax,
+      rate: this.gstRate,
+      supplyType: isIntraState ? 'intra_state' : 'inter_state',
+      placeOfSupply: buyerState || this.seller.address.state,
+      placeOfSupplyCode: STATE_CODES[buyerStateKey] || '',
+      cgst: { rate: isIntraState ? halfRate : 0, amount: cgstAmount },
+      sgst: { rate: isIntraState ? halfRate : 0, amount: isIntraState ? round2(totalTax - cgstAmount) : 0 },
+      igst: { rate: isIntraState ? 0 : this.gstRate, amount: isIntraState ? 0 : totalTax }
+    };
+  }
+
+  // Issue the invoice for a paid payment (idempotent) and notify the farmer the first time
+  async issueInvoice(payment, { notify = true } = {}) {
+    if (payment.status !== 'paid') {
+      return { success: false, error: 'Invoices are only issued for paid payments' };
+    }
+
+    let invoice = await Invoice.findOne({ paymentId: payment._id });
+    let created = false;
+
+    if (!invoice) {
+      ({ invoice, created } = await this.createInvoice(payment));
+    }
+
+    if (payment.invoiceDetails?.invoiceNumber !== invoice.invoiceNumber) {
+      payment.invoiceDetails = {
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.invoiceDate,
+        invoiceUrl: `/api/users/payments/${payment._id}/invoice`
+      };
+      payment.taxes = {
+        gst: invoice.totalTax,
+        totalTax: invoice.totalTax,
+        cgst: invoice.cgst.amount,
+        sgst: invoice.sgst.amount,
+        igst: invoice.igst.amount,
+        rate: this.gstRate,
+        taxableAmount: invoice.taxableAmount,
+        inclusive: true
+      };
+      await payment.save();
+    }
+
+    if (created && notify) {
+      const user = await User.findById(invoice.userId);
+      if (user) {
+        await notificationService.dispatch('payment.success', user, {
+          invoiceId: invoice._id,
+          paymentId: payment._id,
+          invoiceNumber: invoice.invoiceNumber,
+          amount: invoice.totalAmount,
+          planName: invoice.lineItems?.[0]?.description || 'Prani Mitra subscription'
+        });
+      }
+    }
+
+    return { success: true, invoice, created };
+  }
+
+  // Insert the next invoice of the financial year; the unique (financialYear, sequence)
+  // index makes concurrent issuers retry instead of skipping or reusing a number
+  async createInvoice(payment) {
+    const plan = payment.populated('planId') ? payment.planId : await Plan.findById(payment.planId);
+    const invoiceDate = new Date();
+    const financialYear = this.getFinancialYear(invoiceDate);
+    const address = payment.customerDetails?.address || {};
+    const tax = this.calculateTax({
+      amount: payment.amount,
+      discount: payment.discounts?.discountAmount || 0,
+      buyerState: address.state
+    });
+
+    const planName = plan?.displayName?.en || plan?.name || 'Prani Mitra';
+    const cycle = payment.billingCycle === 'yearly' ? 'Yearly' : 'Monthly';
+
+    for (let attempt = 0; attempt < MAX_SEQUENCE_ATTEMPTS; attempt++) {
+      const sequence = (await Invoice.getLastSequence(financialYear)) + 1;
+
+      try {
+        const invoice = await Invoice.create({
+          invoiceNumber: this.formatInvoiceNumber(financialYear, sequence),
+          financialYear,
+          sequence,
+          paymentId: payment._id,
+          userId: payment.userId._id || payment.userId,
+          invoiceDate,
+          seller: this.seller,
+          buyer: {
+            name: payment.customerDetails?.name,
+            email: payment.customerDetails?.email,
+            phoneNumber: payment.customerDetails?.phoneNumber,
+            address: {
+              line1: address.line1 || address.village,
+              line2: address.line2,
+              district: address.district,
+              city: address.city,
+              state: address.state,
+              pincode: address.pincode,
+              country: address.country || 'IN'
+            }
+          },
+          placeOfSupply: tax.placeOfSupplyCode ? `${tax.placeOfSupplyCode}-${tax.placeOfSupply}` : tax.placeOfSupply,
+          supplyType: tax.supplyType,
+          lineItems: [{
+            description: payment.planChange?.kind === 'upgrade' ?
+              `${planName} subscription (${cycle}), upgrade with proration credit` :
+              `${planName} subscription (${cycle})`,
+            sac: SAC_CODE,
+            quantity: 1,
+            unitPrice: tax.unitPrice,
+            discount: tax.discountValue,
+            taxableValue: tax.taxableAmount
+          }],
+          currency: payment.currency || 'INR',
+          taxableAmount: tax.taxableAmount,
+          cgst: tax.cgst,
+          sgst: tax.sgst,
+          igst: tax.igst,
+          totalTax: tax.totalTax,
+          totalAmount: tax.totalAmount
+        });
+
+        console.log(`🧾 Invoice ${invoice.invoiceNumber} issued for payment ${payment.orderId}`);
+        return { invoice, created: true };
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        // Another request already invoiced this payment
+        if (error.keyPattern?.paymentId) {
+          return { invoice: await Invoice.findOne({ paymentId: payment._id }), created: false };
+        }
+      }
+    }
+
+    throw new Error(`Could not allocate an invoice number in ${financialYear}`);
+  }
+
+  async emailInvoice(invoice) {
+    const result = await emailService.sendInvoiceEmail({
+      to: invoice.buyer.email,
+      name: invoice.buyer.name,
+      invoiceNumber: invoice.invoiceNumber,
+      totalAmount: invoice.totalAmount,
+      html: this.renderHtml(invoice)
+    });
+
+    if (result.success) {
+      invoice.emailedAt = new Date();
+      await invoice.save();
+    }
+
+    return result;
+  }
+
+  // Printable HTML tax invoice
+  renderHtml(invoice) {
+    const address = (addr = {}) => [addr.line1, addr.line2, addr.district || addr.city, addr.state, addr.pincode]
+      .filter(Boolean).map(escapeHtml).join(', ');
+    const isIntraState = invoice.supplyType === 'intra_state';
+
+    const taxRows = isIntraState ? `
+          <tr><td colspan="5" class="right">CGST @ ${invoice.cgst.rate}%</td><td class="right">${formatMoney(invoice.cgst.amount)}</td></tr>
+          <tr><td colspan="5" class="right">SGST @ ${invoice.sgst.rate}%</td><td class="right">${formatMoney(invoice.sgst.amount)}</td></tr>` : `
+          <tr><td colspan="5" class="right">IGST @ ${invoice.igst.rate}%</td><td class="right">${formatMoney(invoice.igst.amount)}</td></tr>`;
+
+    const items = invoice.lineItems.map(item => `
+          <tr>
+            <td>${escapeHtml(item.description)}</td>
+            <td>${escapeHtml(item.sac)}</td>
+            <td class="right">${item.quantity}</td>
+            <td class="right">${formatMoney(item.unitPrice)}</td>
+            <td class="right">${formatMoney(item.discount)}</td>
+            <td class="right">${formatMoney(item.taxableValue)}</td>
+          </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; margin: 0; padding: 24px; }
+    .invoice { max-width: 800px; margin: 0 auto; }
+    h1 { color: #4CAF50; margin-bottom: 4px; }
+    .meta, .parties { display: flex; justify-content: space-between; margin: 16px 0; }
+    .parties div { width: 48%; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { border: 1px solid #ddd; padding: 8px; font-size: 14px; }
+    th { background: #f5f5f5; text-align: left; }
+    .right { text-align: right; }
+    .total td { font-weight: bold; }
+    .footer { margin-top: 24px; color: #666; font-size: 12px; }
+    @media print { body { padding: 0; } }
+  </style>
+</head>
+<body>
+  <div class="invoice">
+    <h1>Tax Invoice</h1>
+    <div class="meta">
+      <div>
+        <strong>Invoice No:</strong> ${escapeHtml(invoice.invoiceNumber)}<br>
+        <strong>Invoice Date:</strong> ${invoice.invoiceDate.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}
+      </div>
+      <div>
+        <strong>Place of Supply:</strong> ${escapeHtml(invoice.placeOfSupply)}<br>
+        <strong>Reverse Charge:</strong> No
+      </div>
+    </div>
+    <div class="parties">
+      <div>
+        <strong>Supplier</strong><br>
+        ${escapeHtml(invoice.seller.name)}<br>
+        ${address(invoice.seller.address)}<br>
+        ${invoice.seller.gstin ? `GSTIN: ${escapeHtml(invoice.seller.gstin)}` : ''}
+      </div>
+      <div>
+        <strong>Billed To</strong><br>
+        ${escapeHtml(invoice.buyer.name)}<br>
+        ${address(invoice.buyer.address)}<br>
+        ${escapeHtml(invoice.buyer.phoneNumber)}${invoice.buyer.gstin ? `<br>GSTIN: ${escapeHtml(invoice.buyer.gstin)}` : ''}
+      </div>
+    </div>
+    <table>
+      <thead>
+        <tr>
+          <th>Description</th>
+          <th>SAC</th>
+          <th class="right">Qty</th>
+          <th class="right">Rate (${escapeHtml(invoice.currency)})</th>
+          <th class="right">Discount</th>
+          <th class="right">Taxable Value</th>
+        </tr>
+      </thead>
+      <tbody>${items}
+          <tr><td colspan="5" class="right">Taxable Amount</td><td class="right">${formatMoney(invoice.taxableAmount)}</td></tr>${taxRows}
+          <tr class="total"><td colspan="5" class="right">Total (${escapeHtml(invoice.currency)})</td><td class="right">${formatMoney(invoice.totalAmount)}</td></tr>
+      </tbody>
+    </table>
+    <div class="footer">
+      <p>This is a computer generated invoice and does not require a signature.</p>
+    </div>
+  </div>
+</body>
+</html>`;
+  }
+}
+
+module.exports = new InvoiceService();
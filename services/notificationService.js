@@ -0,0 +1,625 @@
+const User = require('../models/User');
+const Call = require('../models/Call');
+const Invoice = require('../models/Invoice');
+const Content = require('../models/Content');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const whatsappService = require('./whatsappService');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 4;
+// Wait before the 2nd, 3rd, ... attempt
+const RETRY_DELAYS_MINUTES = [1, 5, 30];
+// Attempts still "sending" after this long were interrupted (e.g. by a restart)
+const LOCK_TIMEOUT_MINUTES = 10;
+const BATCH_SIZE = 100;
+// Inbox entries written per insert when announcing content to farmers
+const ANNOUNCEMENT_BATCH_SIZE = 500;
+
+const CONTENT_LANGUAGE_KEYS = { english: 'en', hindi: 'hi', telugu: 'te' };
+
+// Results a retry would not change
+const FINAL_CODES = [
+  'USER_NOT_FOUND',
+  'NOT_FOUND',
+  'NO_EMAIL',
+  'EMAIL_DISABLED',
+  'SMS_DISABLED',
+  'WHATSAPP_NOT_OPTED_IN',
+  'WHATSAPP_NOT_WANTED',
+  'SMS_NOT_WANTED',
+  'NO_SUMMARY',
+  'SMS_LIMIT_EXCEEDED',
+  'DLT_TEMPLATE_MISSING',
+  'UNKNOWN_TEMPLATE'
+];
+
+const notFound = (what) => ({ success: false, code: 'NOT_FOUND', error: `${what} no longer exists` });
+
+const loadCall = async (data) => Call.findById(data.callId);
+
+// Insert announcement inbox entries; entries a previous, interrupted run already wrote are skipped
+const insertAnnouncements = async (docs) => {
+  try {
+    await Notification.insertMany(docs, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (!writeErrors.length || writeErrors.some(writeError => writeError.code !== 11000)) {
+      throw error;
+    }
+  }
+};
+
+// Channels per event (in-app is added to events with an IN_APP_MESSAGES entry). Handlers get
+// (user, data, language) and return { success, code, error, provider, messageId }.
+const EVENTS = {
+  'account.welcome': {
+    email: (user, data, language) => emailService.sendWelcomeEmail({
+      name: user.name,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      preferredLanguage: language,
+      role: user.role
+    })
+  },
+  'auth.login': {
+    email: (user, data, language) => emailService.sendLoginSuccessEmail({
+      to: user.email,
+      name: user.name,
+      language,
+      loginTime: new Date(data.loginTime),
+      deviceInfo: data.deviceInfo,
+      ipAddress: data.ipAddress
+    })
+  },
+  'verification.approved': {
+    email: (user, data, language) => emailService.sendVerificationApprovalEmail({
+      to: user.email,
+      name: user.name,
+      language
+    }),
+    whatsapp: (user) => whatsappService.sendTemplate(user, 'verification_approved', [user.name])
+  },
+  'verification.rejected': {
+    email: (user, data, language) => emailService.sendVerificationRejectionEmail({
+      to: user.email,
+      name: user.name,
+      rejectionReason: data.reason,
+      language
+    }),
+    whatsapp: (user, data) => whatsappService.sendTemplate(user, 'verification_rejected', [user.name, data.reason])
+  },
+  'payment.success': {
+    email: async (user, data) => {
+      const invoice = await Invoice.findById(data.invoiceId);
+      if (!invoice) return notFound('Invoice');
+      if (!invoice.buyer.email) return { success: false, code: 'NO_EMAIL', error: 'Invoice has no email address' };
+      // Loaded here: invoiceService dispatches this event
+      return require('./invoiceService').emailInvoice(invoice);
+    },
+    whatsapp: (user, data) => whatsappService.sendTemplate(user, 'payment_receipt', [
+      user.name,
+      `₹${data.amount}`,
+      data.planName,
+      data.invoiceNumber
+    ])
+  },
+  'subscription.expiry_reminder': {
+    email: (user, data, language) => emailService.sendSubscriptionExpiryReminderEmail({
+      to: user.email,
+      name: user.name,
+      language,
+      planName: data.planName,
+      endDate: new Date(data.endDate),
+      daysLeft: data.daysLeft
+    }),
+    whatsapp: (user, data) => whatsappService.sendTemplate(user, 'subscription_expiry_reminder', [
+      user.name,
+      data.planName,
+      data.daysLeft,
+      new Date(data.endDate).toLocaleDateString('en-IN')
+    ])
+  },
+  'subscription.expired': {
+    email: (user, data, language) => emailService.sendSubscriptionExpiredEmail({
+      to: user.email,
+      name: user.name,
+      language,
+      planName: data.planName
+    }),
+    whatsapp: (user, data) => whatsappService.sendTemplate(user, 'subscription_expired', [user.name, data.planName])
+  },
+  'refund.updated': {
+    email: (user, data, language) => emailService.sendRefundStatusEmail({
+      to: user.email,
+      name: user.name,
+      language,
+      planName: data.planName,
+      status: data.status,
+      amount: data.amount,
+      note: data.note,
+      adjustment: data.adjustment
+    })
+  },
+  'call.completed': {
+    sms: async (user, data) => {
+      const call = await loadCall(data);
+      return call ? smsService.sendCallSummary(call, user) : notFound('Call');
+    },
+    whatsapp: async (user, data) => {
+      const call = await loadCall(data);
+      return call ? whatsappService.sendCallSummary(call, user) : notFound('Call');
+    }
+  }
+};
+
+// In-app title and body per event and language
+const IN_APP_MESSAGES = {
+  'account.welcome': {
+    english: () => ({
+      title: 'Welcome to Prani Mitra',
+      body: 'Call our experts any time for advice on your animals and crops.'
+    }),
+    hindi: () => ({
+      title: 'प्राणी मित्र में आपका स्वागत है',
+      body: 'अपने पशुओं और फसलों पर सलाह के लिए कभी भी हमारे विशेषज्ञों को कॉल करें।'
+    }),
+    telugu: () => ({
+      title: 'ప్రాణి మిత్రకు స్వాగతం',
+      body: 'మీ పశువులు మరియు పంటలపై సలహా కోసం ఎప్పుడైనా మా నిపుణులకు కాల్ చేయండి.'
+    })
+  },
+  'verification.approved': {
+    english: () => ({
+      title: 'Account verified',
+      body: 'Your account has been verified. You can now use all Prani Mitra services.'
+    }),
+    hindi: () => ({
+      title: 'खाता सत्यापित',
+      body: 'आपका खाता सत्यापित हो गया है। अब आप प्राणी मित्र की सभी सेवाओं का उपयोग कर सकते हैं।'
+    }),
+    telugu: () => ({
+      title: 'ఖాతా ధృవీకరించబడింది',
+      body: 'మీ ఖాతా ధృవీకరించబడింది. ఇప్పుడు మీరు ప్రాణి మిత్ర సేవలన్నింటినీ ఉపయోగించవచ్చు.'
+    })
+  },
+  'verification.rejected': {
+    english: ({ reason }) => ({
+      title: 'Verification not approved',
+      body: `Your account verification was not approved: ${reason}`
+    }),
+    hindi: ({ reason }) => ({
+      title: 'सत्यापन स्वीकृत नहीं हुआ',
+      body: `आपके खाते का सत्यापन स्वीकृत नहीं हुआ: ${reason}`
+    }),
+    telugu: ({ reason }) => ({
+      title: 'ధృవీకరణ ఆమోదించబడలేదు',
+      body: `మీ ఖాతా ధృవీకరణ ఆమోదించబడలేదు: ${reason}`
+    })
+  },
+  'payment.success': {
+    english: ({ amount, planName, invoiceNumber }) => ({
+      title: 'Payment received',
+      body: `We received ₹${amount} for ${planName}. Invoice ${invoiceNumber}.`
+    }),
+    hindi: ({ amount, planName, invoiceNumber }) => ({
+      title: 'भुगतान प्राप्त हुआ',
+      body: `${planName} के लिए ₹${amount} का भुगतान प्राप्त हुआ। चालान ${invoiceNumber}।`
+    }),
+    telugu: ({ amount, planName, invoiceNumber }) => ({
+      title: 'చెల్లింపు అందింది',
+      body: `${planName} కోసం ₹${amount} చెల్లింపు అందింది. ఇన్వాయిస్ ${invoiceNumber}.`
+    })
+  },
+  'subscription.expiry_reminder': {
+    english: ({ planName, daysLeft }) => ({
+      title: 'Subscription ending soon',
+      body: `Your ${planName} plan ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Renew to keep talking to our experts.`
+    }),
+    hindi: ({ planName, daysLeft }) => ({
+      title: 'सदस्यता जल्द समाप्त होगी',
+      body: `आपका ${planName} प्लान ${daysLeft} दिन में समाप्त होगा। विशेषज्ञों से बात जारी रखने के लिए नवीनीकरण करें।`
+    }),
+    telugu: ({ planName, daysLeft }) => ({
+      title: 'సభ్యత్వం త్వరలో ముగుస్తుంది',
+      body: `మీ ${planName} ప్లాన్ ${daysLeft} రోజుల్లో ముగుస్తుంది. నిపుణులతో మాట్లాడటం కొనసాగించడానికి పునరుద్ధరించండి.`
+    })
+  },
+  'subscription.expired': {
+    english: ({ planName }) => ({
+      title: 'Subscription expired',
+      body: `Your ${planName} plan has expired. Renew to get your plan benefits back.`
+    }),
+    hindi: ({ planName }) => ({
+      title: 'सदस्यता समाप्त',
+      body: `आपका ${planName} प्लान समाप्त हो गया है। लाभ वापस पाने के लिए नवीनीकरण करें।`
+    }),
+    telugu: ({ planName }) => ({
+      title: 'సభ్యత్వం ముగిసింది',
+      body: `మీ ${planName} ప్లాన్ ముగిసింది. ప్రయోజనాలను తిరిగి పొందడానికి పునరుద్ధరించండి.`
+    })
+  },
+  'refund.updated': {
+    english: ({ status, amount }) => ({
+      approved: { title: 'Refund approved', body: `Your refund of ₹${amount} has been approved and will reach you in 5-7 working days.` },
+      processed: { title: 'Refund processed', body: `Your refund of ₹${amount} has been processed.` },
+      rejected: { title: 'Refund request declined', body: 'Your refund request was declined. Contact support for details.' }
+    })[status],
+    hindi: ({ status, amount }) => ({
+      approved: { title: 'रिफंड स्वीकृत', body: `₹${amount} का आपका रिफंड स्वीकृत हो गया है और 5-7 कार्य दिवसों में आप तक पहुंचेगा।` },
+      processed: { title: 'रिफंड पूरा हुआ', body: `₹${amount} का आपका रिफंड पूरा हो गया है।` },
+      rejected: { title: 'रिफंड अनुरोध अस्वीकृत', body: 'आपका रिफंड अनुरोध अस्वीकार कर दिया गया। विवरण के लिए सहायता से संपर्क करें।' }
+    })[status],
+    telugu: ({ status, amount }) => ({
+      approved: { title: 'రీఫండ్ ఆమోదించబడింది', body: `మీ ₹${amount} రీఫండ్ ఆమోదించబడింది, 5-7 పని దినాల్లో మీకు చేరుతుంది.` },
+      processed: { title: 'రీఫండ్ పూర్తయింది', body: `మీ ₹${amount} రీఫండ్ పూర్తయింది.` },
+      rejected: { title: 'రీఫండ్ అభ్యర్థన తిరస్కరించబడింది', body: 'మీ రీఫండ్ అభ్యర్థన తిరస్కరించబడింది. వివరాల కోసం సహాయ బృందాన్ని సంప్రదించండి.' }
+    })[status]
+  },
+  'call.completed': {
+    english: () => ({
+      title: 'Your answer is ready',
+      body: 'The advice from your call is saved in your call history.'
+    }),
+    hindi: () => ({
+      title: 'आपका उत्तर तैयार है',
+      body: 'आपकी कॉल की सलाह आपके कॉल इतिहास में सहेजी गई है।'
+    }),
+    telugu: () => ({
+      title: 'మీ సమాధానం సిద్ధంగా ఉంది',
+      body: 'మీ కాల్ సలహా మీ కాల్ చరిత్రలో సేవ్ చేయబడింది.'
+    })
+  }
+};
+
+// Single entry point for user notifications. An event fans out to one delivery per channel;
+// channels the user turned off are logged as skipped. Deliveries are attempted straight away
+// and retried with backoff by the notification-retries job.
+class NotificationService {
+  getEvents() {
+    return Object.keys(EVENTS);
+  }
+
+  // Why a channel must not be used for this user, or null
+  channelBlocked(channel, user) {
+    const preferences = user.preferences?.notifications || {};
+
+    switch (channel) {
+      case 'email':
+        if (!user.email) return 'NO_EMAIL';
+        return preferences.email ? null : 'EMAIL_DISABLED';
+      case 'sms':
+        return preferences.sms === false ? 'SMS_DISABLED' : null;
+      case 'whatsapp':
+        return whatsappService.canSend(user) ? null : 'WHATSAPP_NOT_OPTED_IN';
+      default:
+        return null;
+    }
+  }
+
+  // Queue an event for the user. Never throws, so callers do not need to guard it.
+  async dispatch(event, user, data = {}) {
+    try {
+      const definition = EVENTS[event];
+      if (!definition) {
+        throw new Error(`Unknown notification event: ${event}`);
+      }
+
+      const now = new Date();
+      const channels = [...Object.keys(definition), ...(IN_APP_MESSAGES[event] ? ['in_app'] : [])];
+
+      const deliveries = await NotificationDelivery.insertMany(channels.map(channel => {
+        const blocked = this.channelBlocked(channel, user);
+        return {
+          userId: user._id,
+          event,
+          channel,
+          language: user.preferredLanguage || 'english',
+          data,
+          status: blocked ? 'skipped' : 'queued',
+          skipReason: blocked || undefined,
+          nextAttemptAt: blocked ? undefined : now,
+          maxAttempts: MAX_ATTEMPTS
+        };
+      }));
+
+      const queued = deliveries.filter(delivery => delivery.status === 'queued');
+      this.attemptAll(queued).catch(error => {
+        console.error(`❌ Notification ${event} error for user ${user._id}:`, error);
+      });
+
+      return deliveries;
+    } catch (error) {
+      console.error(`❌ Notification ${event} dispatch error for user ${user._id}:`, error);
+      return [];
+    }
+  }
+
+  async attemptAll(deliveries) {
+    const results = [];
+    for (const delivery of deliveries) {
+      results.push(await this.attempt(delivery));
+    }
+    return results;
+  }
+
+  // One attempt at a queued delivery; returns null if another worker has it
+  async attempt(delivery) {
+    const claimed = await NotificationDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: 'queued' },
+      { $set: { status: 'sending', lockedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return null;
+    }
+
+    const startedAt = new Date();
+    let result;
+
+    try {
+      const user = await User.findById(claimed.userId);
+      result = user ?
+        await this.send(claimed, user) :
+        { success: false, code: 'USER_NOT_FOUND', error: 'User no longer exists' };
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    claimed.attemptCount += 1;
+    claimed.attempts.push({
+      attemptedAt: startedAt,
+      success: Boolean(result.success),
+      code: result.code,
+      error: result.error,
+      provider: result.provider,
+      messageId: result.messageId,
+      durationMs: Date.now() - startedAt.getTime()
+    });
+    claimed.lockedAt = undefined;
+
+    if (result.success) {
+      claimed.status = 'sent';
+      claimed.sentAt = new Date();
+      claimed.lastError = undefined;
+    } else if (FINAL_CODES.includes(result.code)) {
+      claimed.status = 'skipped';
+      claimed.skipReason = result.code;
+    } else if (claimed.attemptCount >= claimed.maxAttempts) {
+      claimed.status = 'failed';
+      claimed.lastError = result.error;
+      console.error(`❌ Notification ${claimed.event} (${claimed.channel}) failed for user ${claimed.userId}: ${result.error}`);
+    } else {
+      const delay = RETRY_DELAYS_MINUTES[Math.min(claimed.attemptCount, RETRY_DELAYS_MINUTES.length) - 1];
+      claimed.status = 'queued';
+      claimed.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+      claimed.lastError = result.error;
+    }
+
+    await claimed.save();
+    return claimed;
+  }
+
+  send(delivery, user) {
+    if (delivery.channel === 'in_app') {
+      return this.createInApp(delivery, user);
+    }
+
+    // Preferences may have changed since the event was queued
+    const blocked = this.channelBlocked(delivery.channel, user);
+    if (blocked) {
+      return { success: false, code: blocked };
+    }
+
+    return EVENTS[delivery.event][delivery.channel](user, delivery.data || {}, delivery.language || 'english');
+  }
+
+  async createInApp(delivery, user) {
+    const messages = IN_APP_MESSAGES[delivery.event];
+    const build = messages[delivery.language] || messages.english;
+    const { title, body } = build(delivery.data || {});
+
+    const notification = await Notification.create({
+      userId: user._id,
+      event: delivery.event,
+      title,
+      body,
+      data: delivery.data
+    });
+
+    return { success: true, provider: 'in_app', messageId: notification._id.toString() };
+  }
+
+  // Retry due deliveries (run by the scheduler)
+  async processDue(now = new Date()) {
+    const recovered = await NotificationDelivery.updateMany(
+      { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60 * 1000) } },
+      { $set: { status: 'queued', nextAttemptAt: now }, $unset: { lockedAt: 1 } }
+    );
+
+    const due = await NotificationDelivery.find({ status: 'queued', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE);
+
+    const summary = { processed: 0, sent: 0, retrying: 0, failed: 0, skipped: 0, recovered: recovered.modifiedCount };
+
+    for (const delivery of due) {
+      const result = await this.attempt(delivery);
+      if (!result) continue;
+
+      summary.processed += 1;
+      if (result.status === 'sent') summary.sent += 1;
+      if (result.status === 'queued') summary.retrying += 1;
+      if (result.status === 'failed') summary.failed += 1;
+      if (result.status === 'skipped') summary.skipped += 1;
+    }
+
+    return summary;
+  }
+
+  // Give a failed delivery one more attempt now (support action)
+  async retry(delivery) {
+    const queued = await NotificationDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: 'failed' },
+      { $set: { status: 'queued', nextAttemptAt: new Date(), maxAttempts: delivery.attemptCount + 1 } },
+      { new: true }
+    );
+
+    if (!queued) {
+      return { success: false, code: 'NOTIFICATION_NOT_FAILED', error: 'Only failed notifications can be retried' };
+    }
+
+    const result = await this.attempt(queued);
+    return { success: true, delivery: result || queued };
+  }
+
+  // Put a published announcement in the in-app inbox of every farmer it targets (regions,
+  // farming types, premium), once per announcement. In-app only: announcements are not
+  // approved WhatsApp templates and would use up SMS quotas. Progress is saved after every
+  // batch; an interrupted fan-out is picked up again by resumeAnnouncements.
+  async announce(content, now = new Date()) {
+    const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60 * 1000);
+
+    const claimed = await Content.findOneAndUpdate(
+      {
+        _id: content._id,
+        type: 'announcement',
+        status: 'published',
+        announcedAt: { $exists: false },
+        $or: [
+          { 'announcementProgress.lockedAt': { $exists: false } },
+          { 'announcementProgress.lockedAt': { $lte: staleBefore } }
+        ]
+      },
+      {
+        $set: { 'announcementProgress.lockedAt': now },
+        $min: { 'announcementProgress.startedAt': now }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return { announced: false, recipients: 0 };
+    }
+
+    const progress = claimed.announcementProgress || {};
+    const filter = { role: 'farmer', isActive: true };
+    if (progress.lastUserId) {
+      filter._id = { $gt: progress.lastUserId };
+    }
+    if (claimed.metadata?.regions?.length) {
+      filter['location.state'] = { $in: claimed.metadata.regions };
+    }
+    if (claimed.metadata?.farmingTypes?.length) {
+      filter.farmingType = { $in: claimed.metadata.farmingTypes };
+    }
+    if (claimed.isPremium) {
+      filter['subscription.status'] = 'active';
+    }
+
+    const localized = (field, language) => {
+      const key = CONTENT_LANGUAGE_KEYS[language] || 'en';
+      return claimed[field]?.[key] || claimed[field]?.en;
+    };
+
+    let recipients = progress.recipients || 0;
+    let batch = [];
+    const flush = async () => {
+      if (!batch.length) {
+        return;
+      }
+
+      await insertAnnouncements(batch);
+      await Content.updateOne({ _id: claimed._id }, {
+        $set: {
+          'announcementProgress.lastUserId': batch[batch.length - 1].userId,
+          'announcementProgress.lockedAt': new Date()
+        },
+        $inc: { 'announcementProgress.recipients': batch.length }
+      });
+      recipients += batch.length;
+      batch = [];
+    };
+
+    try {
+      const cursor = User.find(filter).sort({ _id: 1 }).select('_id preferredLanguage').lean().cursor();
+      for await (const user of cursor) {
+        batch.push({
+          userId: user._id,
+          event: 'content.announcement',
+          title: localized('title', user.preferredLanguage),
+          body: localized('excerpt', user.preferredLanguage),
+          data: { contentId: claimed._id, slug: claimed.slug }
+        });
+
+        if (batch.length >= ANNOUNCEMENT_BATCH_SIZE) {
+          await flush();
+        }
+      }
+      await flush();
+    } catch (error) {
+      // Release the claim so the next resumeAnnouncements run continues from the last batch
+      await Content.updateOne({ _id: claimed._id }, { $unset: { 'announcementProgress.lockedAt': 1 } });
+      throw error;
+    }
+
+    await Content.updateOne({ _id: claimed._id }, {
+      $set: { announcedAt: new Date() },
+      $unset: { 'announcementProgress.lockedAt': 1 }
+    });
+
+    console.log(`📣 Announcement ${claimed.slug} sent to ${recipients} inboxes`);
+    return { announced: true, recipients };
+  }
+
+  // Continue announcements whose fan-out was interrupted (run by the scheduler)
+  async resumeAnnouncements(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60 * 1000);
+    const pending = await Content.find({
+      type: 'announcement',
+      status: 'published',
+      announcedAt: { $exists: false },
+      'announcementProgress.startedAt': { $exists: true },
+      $or: [
+        { 'announcementProgress.lockedAt': { $exists: false } },
+        { 'announcementProgress.lockedAt': { $lte: staleBefore } }
+      ]
+    }).select('_id slug');
+
+    let resumed = 0;
+    for (const content of pending) {
+      try {
+        const result = await this.announce(content, now);
+        if (result.announced) resumed += 1;
+      } catch (error) {
+        console.error(`❌ Announcement error for ${content.slug}:`, error);
+      }
+    }
+
+    return { pending: pending.length, resumed };
+  }
+
+  // Delivery log for support
+  async list({ userId, event, channel, status, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (userId) filter.userId = userId;
+    if (event) filter.event = event;
+    if (channel) filter.channel = channel;
+    if (status) filter.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(filter)
+        .populate('userId', 'name phoneNumber')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      NotificationDelivery.countDocuments(filter)
+    ]);
+
+    return { deliveries, total };
+  }
+}
+
+module.exports = new NotificationService();
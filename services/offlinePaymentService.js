@@ -0,0 +1,194 @@
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const subscriptionService = require('./subscriptionService');
+
+const generateOrderId = () => {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  return `PM_${timestamp}_${random}`.toUpperCase();
+};
+
+// End of one billing cycle starting at `date`
+const addBillingCycle = (date, billingCycle) => {
+  const end = new Date(date);
+  if (billingCycle === 'yearly') {
+    end.setFullYear(end.getFullYear() + 1);
+  } else {
+    end.setMonth(end.getMonth() + 1);
+  }
+  return end;
+};
+
+// Cash, cheque and bank transfer payments collected by field agents (support role). The agent
+// records the payment (maker); an admin other than the agent approves it (checker), which
+// activates the subscription like an online payment.
+class OfflinePaymentService {
+  // Offline payments buy a plan outright; switching plans mid-period needs proration
+  checkPlan(farmer, plan) {
+    const currentPlanId = farmer.subscription.planId?._id || farmer.subscription.planId;
+    if (farmer.hasActiveSubscription() && currentPlanId && !currentPlanId.equals(plan._id)) {
+      return {
+        success: false,
+        code: 'USE_PLAN_CHANGE',
+        error: 'Farmer has an active plan. Plan changes must be paid online through /api/payments/change-plan.'
+      };
+    }
+    return { success: true };
+  }
+
+  async record(agent, farmer, plan, { billingCycle, mode, receiptNumber, reference, amount, collectedAt, note }, metadata = {}) {
+    if (farmer.role !== 'farmer' || !farmer.isActive) {
+      return { success: false, code: 'FARMER_NOT_ELIGIBLE', error: 'Payments can only be recorded for active farmers' };
+    }
+
+    const planCheck = this.checkPlan(farmer, plan);
+    if (!planCheck.success) {
+      return planCheck;
+    }
+
+    const price = billingCycle === 'yearly' ? plan.price.yearly : plan.price.monthly;
+    if (amount !== price) {
+      return { success: false, code: 'AMOUNT_MISMATCH', error: `Amount collected must be the plan price of ₹${price}` };
+    }
+
+    const open = await Payment.exists({ userId: farmer._id, 'offline.review.status': 'pending' });
+    if (open) {
+      return { success: false, code: 'OFFLINE_PAYMENT_PENDING', error: 'Farmer already has an offline payment awaiting approval' };
+    }
+
+    const payment = new Payment({
+      userId: farmer._id,
+      planId: plan._id,
+      orderId: generateOrderId(),
+      amount: price,
+      currency: 'INR',
+      billingCycle,
+      status: 'pending',
+      paymentMethod: 'offline',
+      offline: {
+        mode,
+        receiptNumber,
+        reference,
+        collectedAt: collectedAt || new Date(),
+        collectedBy: agent._id,
+        agentNote: note,
+        review: { status: 'pending' }
+      },
+      subscription: { autoRenewal: false },
+      customerDetails: {
+        name: farmer.name,
+        email: farmer.email,
+        phoneNumber: farmer.phoneNumber,
+        address: farmer.location
+      },
+      metadata
+    });
+
+    try {
+      await payment.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, code: 'DUPLICATE_RECEIPT', error: `Receipt ${receiptNumber} is already recorded` };
+      }
+      throw error;
+    }
+
+    console.log(`💵 Offline ${mode} payment ${payment.orderId} of ₹${price} recorded for ${farmer.phoneNumber}`);
+    return { success: true, payment };
+  }
+
+  // Checker step: the subscription period starts when the payment is approved
+  async approve(payment, admin, note, now = new Date()) {
+    if (payment.offline?.review?.status !== 'pending') {
+      return { success: false, code: 'OFFLINE_PAYMENT_NOT_PENDING', error: 'Payment is not awaiting approval' };
+    }
+
+    if (payment.offline.collectedBy.equals(admin._id)) {
+      return { success: false, code: 'MAKER_CHECKER_VIOLATION', error: 'A payment must be approved by someone other than who recorded it' };
+    }
+
+    const farmer = await User.findById(payment.userId);
+    const planCheck = this.checkPlan(farmer, { _id: payment.planId });
+    if (!planCheck.success) {
+      return planCheck;
+    }
+
+    // checkPlan allows only the same plan while one is active; its new cycle follows the current one
+    const startDate = farmer.hasActiveSubscription() ? new Date(farmer.subscription.endDate) : now;
+
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending', 'offline.review.status': 'pending' },
+      {
+        $set: {
+          status: 'paid',
+          'offline.review.status': 'approved',
+          'offline.review.reviewedBy': admin._id,
+          'offline.review.reviewedAt': now,
+          'offline.review.note': note,
+          'subscription.startDate': startDate,
+          'subscription.endDate': addBillingCycle(startDate, payment.billingCycle)
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return { success: false, code: 'OFFLINE_PAYMENT_NOT_PENDING', error: 'Payment was already reviewed' };
+    }
+
+    const { user } = await subscriptionService.activateFromPayment(claimed, 'offline');
+
+    console.log(`✅ Offline payment ${claimed.orderId} approved`);
+    return { success: true, payment: claimed, subscription: user.subscription };
+  }
+
+  async reject(payment, admin, reason, now = new Date()) {
+    if (payment.offline?.collectedBy?.equals(admin._id)) {
+      return { success: false, code: 'MAKER_CHECKER_VIOLATION', error: 'A payment must be reviewed by someone other than who recorded it' };
+    }
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending', 'offline.review.status': 'pending' },
+      {
+        $set: {
+          status: 'cancelled',
+          'offline.review.status': 'rejected',
+          'offline.review.reviewedBy': admin._id,
+          'offline.review.reviewedAt': now,
+          'offline.review.note': reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return { success: false, code: 'OFFLINE_PAYMENT_NOT_PENDING', error: 'Payment is not awaiting approval' };
+    }
+
+    return { success: true, payment: updated };
+  }
+
+  // Offline payments for the admin queue; support agents only see the ones they recorded
+  async list({ status, collectedBy, page = 1, limit = 20 } = {}) {
+    const filter = { paymentMethod: 'offline' };
+    if (status) filter['offline.review.status'] = status;
+    if (collectedBy) filter['offline.collectedBy'] = collectedBy;
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .populate('userId', 'name phoneNumber location')
+        .populate('planId', 'name displayName')
+        .populate('offline.collectedBy', 'name phoneNumber')
+        .populate('offline.review.reviewedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('orderId userId planId amount billingCycle status offline subscription createdAt'),
+      Payment.countDocuments(filter)
+    ]);
+
+    return { payments, total };
+  }
+}
+
+module.exports = new OfflinePaymentService();
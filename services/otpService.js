@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Otp = require('../models/Otp');
+const smsService = require('./smsService');
+
+const OTP_LENGTH = 6;
+const TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+// Wrong guesses allowed per code before a new one must be requested
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+// Wait before the same code can be requested again
+const RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+// Codes per phone number (all purposes) within the window
+const MAX_PER_WINDOW = 5;
+const WINDOW_MINUTES = 15;
+// How long the proof of phone ownership from a register OTP stays valid
+const PHONE_TOKEN_EXPIRY = '30m';
+
+const MESSAGES = {
+  english: (code) => `${code} is your Prani Mitra verification code. It is valid for ${TTL_MINUTES} minutes. Do not share it with anyone.`,
+  hindi: (code) => `${code} आपका प्राणी मित्र सत्यापन कोड है। यह ${TTL_MINUTES} मिनट तक मान्य है। इसे किसी के साथ साझा न करें।`,
+  telugu: (code) => `${code} మీ ప్రాణి మిత్ర ధృవీకరణ కోడ్. ఇది ${TTL_MINUTES} నిమిషాలు చెల్లుతుంది. దీన్ని ఎవరితోనూ పంచుకోవద్దు.`
+};
+
+// Constant-time string comparison
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+class OtpService {
+  // Keyed hash, so a leaked database does not reveal codes by brute force
+  hashCode(phoneNumber, purpose, code) {
+    return crypto
+      .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+      .update(`${phoneNumber}:${purpose}:${code}`)
+      .digest('hex');
+  }
+
+  generateCode() {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  }
+
+  // Create a code for the number and send it by SMS
+  async requestOtp({ phoneNumber, purpose, language = 'english', ipAddress }, now = new Date()) {
+    const latest = await Otp.findOne({ phoneNumber, purpose }).sort({ createdAt: -1 });
+    if (latest) {
+      const waited = (now - latest.createdAt) / 1000;
+      if (waited < RESEND_SECONDS) {
+        return {
+          success: false,
+          code: 'RECENT_OTP_EXISTS',
+          error: 'A code was sent recently. Please wait before requesting another.',
+          retryAfter: Math.ceil(RESEND_SECONDS - waited)
+        };
+      }
+    }
+
+    const windowStart = new Date(now.getTime() - WINDOW_MINUTES * 60 * 1000);
+    const recent = await Otp.countDocuments({ phoneNumber, createdAt: { $gte: windowStart } });
+    if (recent >= MAX_PER_WINDOW) {
+      return {
+        success: false,
+        code: 'OTP_LIMIT_EXCEEDED',
+        error: `Too many codes requested. Please try again in ${WINDOW_MINUTES} minutes.`,
+        retryAfter: WINDOW_MINUTES * 60
+      };
+    }
+
+    // Only the newest code works
+    await Otp.updateMany(
+      { phoneNumber, purpose, consumedAt: { $exists: false } },
+      { $set: { consumedAt: now } }
+    );
+
+    const code = this.generateCode();
+    const otp = await Otp.create({
+      phoneNumber,
+      purpose,
+      codeHash: this.hashCode(phoneNumber, purpose, code),
+      expiresAt: new Date(now.getTime() + TTL_MINUTES * 60 * 1000),
+      ipAddress
+    });
+
+    const message = (MESSAGES[language] || MESSAGES.english)(code);
+    const result = await smsService.send({ to: phoneNumber, message, template: 'otp' });
+
+    if (!result.success) {
+      // Not counted against the farmer; they can ask again straight away
+      await Otp.deleteOne({ _id: otp._id });
+      return { success: false, code: 'SMS_FAILED', error: 'Could not send the verification code. Please try again.' };
+    }
+
+    otp.sms = { provider: result.provider, messageId: result.messageId };
+    await otp.save();
+
+    console.log(`🔐 OTP (${purpose}) sent to ${phoneNumber}`);
+    return { success: true, expiresAt: otp.expiresAt, resendAfter: RESEND_SECONDS };
+  }
+
+  async verifyOtp({ phoneNumber, purpose, code }, now = new Date()) {
+    // Count the attempt before comparing, so parallel guesses cannot exceed the limit
+    const otp = await Otp.findOneAndUpdate(
+      {
+        phoneNumber,
+        purpose,
+        consumedAt: { $exists: false },
+        expiresAt: { $gt: now },
+        attempts: { $lt: MAX_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { sort: { createdAt: -1 }, new: true }
+    );
+
+    if (!otp) {
+      const exhausted = await Otp.exists({
+        phoneNumber,
+        purpose,
+        consumedAt: { $exists: false },
+        expiresAt: { $gt: now },
+        attempts: { $gte: MAX_ATTEMPTS }
+      });
+
+      return exhausted ?
+        { success: false, code: 'OTP_ATTEMPTS_EXCEEDED', error: 'Too many wrong attempts. Please request a new code.' } :
+        { success: false, code: 'OTP_EXPIRED', error: 'Code has expired or was not requested. Please request a new code.' };
+    }
+
+    if (!safeEqual(this.hashCode(phoneNumber, purpose, String(code)), otp.codeHash)) {
+      return {
+        success: false,
+        code: 'OTP_VERIFICATION_FAILED',
+        error: 'Incorrect code',
+        attemptsRemaining: MAX_ATTEMPTS - otp.attempts
+      };
+    }
+
+    const consumed = await Otp.updateOne(
+      { _id: otp._id, consumedAt: { $exists: false } },
+      { $set: { consumedAt: now, verifiedAt: now } }
+    );
+
+    if (!consumed.modifiedCount) {
+      return { success: false, code: 'OTP_EXPIRED', error: 'Code was already used. Please request a new code.' };
+    }
+
+    return { success: true };
+  }
+
+  // Short-lived proof that the caller owns the number, passed to registration
+  issuePhoneToken(phoneNumber) {
+    return jwt.sign({ phoneNumber, purpose: 'phone_verification' }, process.env.JWT_SECRET, {
+      expiresIn: PHONE_TOKEN_EXPIRY
+    });
+  }
+
+  checkPhoneToken(token, phoneNumber) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.purpose === 'phone_verification' && decoded.phoneNumber === phoneNumber;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new OtpService();
@@ -16,6 +16,8 @@ class RazorpayService {
       console.warn('Razorpay credentials not found. Using mock service.');
       this.razorpay = new MockRazorpayService();
     }
+
+    this.isMock = this.razorpay instanceof MockRazorpayService;
   }
 
   // Create order
@@ -28,6 +30,11 @@ class RazorpayService {
         notes: orderData.notes || {}
       };
 
+      // Links the order to the farmer's saved cards/UPI in Checkout
+      if (orderData.customerId) {
+        options.customer_id = orderData.customerId;
+      }
+
       const order = await this.razorpay.orders.create(options);
       
       return {
@@ -38,6 +45,7 @@ class RazorpayService {
           currency: order.currency,
           receipt: order.receipt,
           status: order.status,
+          customerId: order.customer_id,
           createdAt: new Date(order.created_at * 1000),
           notes: order.notes
         }
@@ -128,7 +136,7 @@ class RazorpayService {
   async createRefund(paymentId, amount, notes = {}) {
     try {
       const refundData = {
-        amount: amount * 100, // Convert to paise
+        amount: Math.round(amount * 100), // Convert to paise
         notes: notes
       };
 
@@ -188,6 +196,8 @@ class RazorpayService {
         name: customerData.name,
         email: customerData.email,
         contact: customerData.contact,
+        // Return the existing customer for the same contact instead of failing
+        fail_existing: '0',
         notes: customerData.notes || {}
       });
 
@@ -211,6 +221,55 @@ class RazorpayService {
     }
   }
 
+  // Saved payment methods (tokenised cards and UPI) of a customer
+  async fetchTokens(customerId) {
+    try {
+      const result = await this.razorpay.customers.fetchTokens(customerId);
+
+      return {
+        success: true,
+        tokens: (result.items || []).map(token => ({
+          id: token.id,
+          method: token.method,
+          card: token.card ? {
+            last4: token.card.last4,
+            network: token.card.network,
+            type: token.card.type,
+            issuer: token.card.issuer,
+            expiryMonth: token.card.expiry_month,
+            expiryYear: token.card.expiry_year
+          } : undefined,
+          vpa: token.vpa ? `${token.vpa.username}@${token.vpa.handle}` : undefined,
+          bank: token.bank,
+          wallet: token.wallet,
+          recurring: Boolean(token.recurring),
+          expiresAt: token.expired_at ? new Date(token.expired_at * 1000) : null,
+          createdAt: new Date(token.created_at * 1000)
+        }))
+      };
+    } catch (error) {
+      console.error('Razorpay fetch tokens error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Delete a saved payment method
+  async deleteToken(customerId, tokenId) {
+    try {
+      await this.razorpay.customers.deleteToken(customerId, tokenId);
+      return { success: true };
+    } catch (error) {
+      console.error('Razorpay delete token error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Create subscription
   async createSubscription(subscriptionData) {
     try {
@@ -234,6 +293,7 @@ class RazorpayService {
           status: subscription.status,
           currentStart: new Date(subscription.current_start * 1000),
           currentEnd: new Date(subscription.current_end * 1000),
+          shortUrl: subscription.short_url,
           createdAt: new Date(subscription.created_at * 1000),
           notes: subscription.notes
         }
@@ -247,6 +307,91 @@ class RazorpayService {
     }
   }
 
+  // Create plan (recurring billing template used by subscriptions)
+  async createPlan(planData) {
+    try {
+      const plan = await this.razorpay.plans.create({
+        period: planData.period,
+        interval: planData.interval || 1,
+        item: {
+          name: planData.name,
+          amount: planData.amount * 100, // Convert to paise
+          currency: planData.currency || 'INR',
+          description: planData.description
+        },
+        notes: planData.notes || {}
+      });
+
+      return {
+        success: true,
+        plan: {
+          id: plan.id,
+          period: plan.period,
+          interval: plan.interval,
+          amount: plan.item.amount / 100,
+          currency: plan.item.currency,
+          createdAt: new Date(plan.created_at * 1000),
+          notes: plan.notes
+        }
+      };
+    } catch (error) {
+      console.error('Razorpay create plan error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Fetch subscription details
+  async fetchSubscription(subscriptionId) {
+    try {
+      const subscription = await this.razorpay.subscriptions.fetch(subscriptionId);
+
+      return {
+        success: true,
+        subscription: {
+          id: subscription.id,
+          planId: subscription.plan_id,
+          status: subscription.status,
+          currentStart: subscription.current_start ? new Date(subscription.current_start * 1000) : null,
+          currentEnd: subscription.current_end ? new Date(subscription.current_end * 1000) : null,
+          paidCount: subscription.paid_count,
+          shortUrl: subscription.short_url,
+          notes: subscription.notes
+        }
+      };
+    } catch (error) {
+      console.error('Razorpay fetch subscription error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Cancel subscription (optionally at the end of the current billing cycle)
+  async cancelSubscription(subscriptionId, cancelAtCycleEnd = true) {
+    try {
+      const subscription = await this.razorpay.subscriptions.cancel(subscriptionId, cancelAtCycleEnd);
+
+      return {
+        success: true,
+        subscription: {
+          id: subscription.id,
+          status: subscription.status,
+          endedAt: subscription.ended_at ? new Date(subscription.ended_at * 1000) : null
+        }
+      };
+    } catch (error) {
+      console.error('Razorpay cancel subscription error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Fetch order details
   async fetchOrder(orderId) {
     try {
@@ -274,6 +419,35 @@ class RazorpayService {
     }
   }
 
+  // Fetch all payment attempts made against an order
+  async fetchOrderPayments(orderId) {
+    try {
+      const result = await this.razorpay.orders.fetchPayments(orderId);
+
+      return {
+        success: true,
+        payments: result.items.map(payment => ({
+          id: payment.id,
+          amount: payment.amount / 100,
+          currency: payment.currency,
+          status: payment.status,
+          orderId: payment.order_id,
+          method: payment.method,
+          captured: payment.captured,
+          errorCode: payment.error_code,
+          errorDescription: payment.error_description,
+          createdAt: new Date(payment.created_at * 1000)
+        }))
+      };
+    } catch (error) {
+      console.error('Razorpay fetch order payments error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Get payment methods
   getPaymentMethods() {
     return {
@@ -288,26 +462,83 @@ class RazorpayService {
 
 // Mock Razorpay Service for development
 class MockRazorpayService {
+  constructor() {
+    // Orders and payments are kept in memory so reconciliation can be exercised locally
+    this.mockOrders = new Map();
+    this.mockPayments = new Map();
+    // Customers by contact and their saved tokens, so saved methods can be tried locally
+    this.mockCustomers = new Map();
+    this.mockTokens = new Map();
+  }
+
   async create(options) {
     console.log('=== MOCK RAZORPAY ORDER ===');
     console.log('Options:', options);
     console.log('===========================');
     
-    return {
+    const order = {
       id: `order_mock_${Date.now()}`,
       amount: options.amount,
       currency: options.currency,
       receipt: options.receipt,
+      customer_id: options.customer_id,
       status: 'created',
+      attempts: 0,
       created_at: Math.floor(Date.now() / 1000),
       notes: options.notes
     };
+
+    this.mockOrders.set(order.id, order);
+    return order;
+  }
+
+  // Record a payment attempt against a mock order (local testing only)
+  simulatePayment(orderId, { status = 'captured', method = 'upi' } = {}) {
+    const order = this.mockOrders.get(orderId);
+    const payment = {
+      id: `pay_mock_${Date.now()}`,
+      amount: order ? order.amount : 100000,
+      currency: 'INR',
+      status,
+      order_id: orderId,
+      method,
+      captured: status === 'captured',
+      fee: 0,
+      tax: 0,
+      error_code: status === 'failed' ? 'BAD_REQUEST_ERROR' : null,
+      error_description: status === 'failed' ? 'Mock payment failed' : null,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+
+    this.mockPayments.set(payment.id, payment);
+    if (order) {
+      order.attempts += 1;
+      order.status = status === 'captured' ? 'paid' : 'attempted';
+    }
+
+    // Checkout saves the method for orders linked to a customer
+    if (order?.customer_id && status === 'captured') {
+      const tokens = this.mockTokens.get(order.customer_id) || [];
+      tokens.push({
+        id: `token_mock_${Date.now()}`,
+        entity: 'token',
+        method,
+        card: method === 'card' ? { last4: '1111', network: 'Visa', type: 'debit', issuer: 'HDFC', expiry_month: 12, expiry_year: 2030 } : null,
+        vpa: method === 'upi' ? { username: 'farmer', handle: 'upi' } : null,
+        recurring: false,
+        expired_at: null,
+        created_at: Math.floor(Date.now() / 1000)
+      });
+      this.mockTokens.set(order.customer_id, tokens);
+    }
+
+    return payment;
   }
 
   get orders() {
     return {
       create: this.create.bind(this),
-      fetch: async (orderId) => ({
+      fetch: async (orderId) => this.mockOrders.get(orderId) || {
         id: orderId,
         amount: 100000, // Mock amount
         currency: 'INR',
@@ -316,13 +547,18 @@ class MockRazorpayService {
         attempts: 0,
         created_at: Math.floor(Date.now() / 1000),
         notes: {}
-      })
+      },
+      fetchPayments: async (orderId) => {
+        const items = Array.from(this.mockPayments.values())
+          .filter(payment => payment.order_id === orderId);
+        return { entity: 'collection', count: items.length, items };
+      }
     };
   }
 
   get payments() {
     return {
-      fetch: async (paymentId) => ({
+      fetch: async (paymentId) => this.mockPayments.get(paymentId) || {
         id: paymentId,
         amount: 100000,
         currency: 'INR',
@@ -336,7 +572,7 @@ class MockRazorpayService {
         fee: 236,
         tax: 36,
         created_at: Math.floor(Date.now() / 1000)
-      }),
+      },
       capture: async (paymentId, amount) => ({
         id: paymentId,
         amount: amount,
@@ -357,13 +593,78 @@ class MockRazorpayService {
 
   get customers() {
     return {
-      create: async (customerData) => ({
-        id: `cust_mock_${Date.now()}`,
-        name: customerData.name,
-        email: customerData.email,
-        contact: customerData.contact,
+      create: async (customerData) => {
+        const existing = this.mockCustomers.get(customerData.contact);
+        if (existing) {
+          return existing;
+        }
+
+        const customer = {
+          id: `cust_mock_${Date.now()}`,
+          name: customerData.name,
+          email: customerData.email,
+          contact: customerData.contact,
+          created_at: Math.floor(Date.now() / 1000),
+          notes: customerData.notes
+        };
+        this.mockCustomers.set(customerData.contact, customer);
+        return customer;
+      },
+      fetchTokens: async (customerId) => {
+        const items = this.mockTokens.get(customerId) || [];
+        return { entity: 'collection', count: items.length, items };
+      },
+      deleteToken: async (customerId, tokenId) => {
+        const tokens = this.mockTokens.get(customerId) || [];
+        this.mockTokens.set(customerId, tokens.filter(token => token.id !== tokenId));
+        return { deleted: true };
+      }
+    };
+  }
+
+  get plans() {
+    return {
+      create: async (planData) => ({
+        id: `plan_mock_${Date.now()}`,
+        period: planData.period,
+        interval: planData.interval,
+        item: planData.item,
         created_at: Math.floor(Date.now() / 1000),
-        notes: customerData.notes
+        notes: planData.notes
+      })
+    };
+  }
+
+  get subscriptions() {
+    return {
+      create: async (subscriptionData) => {
+        const id = `sub_mock_${Date.now()}`;
+        return {
+          id,
+          plan_id: subscriptionData.plan_id,
+          customer_id: subscriptionData.customer_id,
+          status: 'created',
+          current_start: null,
+          current_end: null,
+          short_url: `https://rzp.io/i/${id}`,
+          created_at: Math.floor(Date.now() / 1000),
+          notes: subscriptionData.notes
+        };
+      },
+      fetch: async (subscriptionId) => ({
+        id: subscriptionId,
+        plan_id: 'plan_mock',
+        status: 'active',
+        current_start: Math.floor(Date.now() / 1000),
+        current_end: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60,
+        paid_count: 1,
+        short_url: `https://rzp.io/i/${subscriptionId}`,
+        notes: {}
+      }),
+      cancel: async (subscriptionId) => ({
+        id: subscriptionId,
+        status: 'cancelled',
+        ended_at: Math.floor(Date.now() / 1000)
       })
     };
   }
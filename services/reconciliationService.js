@@ -0,0 +1,204 @@
+const Payment = require('../models/Payment');
+const razorpayService = require('./razorpayService');
+const subscriptionService = require('./subscriptionService');
+const voucherService = require('./voucherService');
+
+// Orders younger than this are left alone; the checkout may still be open
+const GRACE_MINUTES = parseInt(process.env.RECONCILIATION_GRACE_MINUTES) || 15;
+// Orders with no successful attempt after this long are closed as failed / abandoned
+const ABANDON_HOURS = parseInt(process.env.PAYMENT_ABANDON_HOURS) || 24;
+
+const UNRESOLVED_STATUSES = ['created', 'pending'];
+
+class ReconciliationService {
+  // Settle every order left in created/pending (scheduled job)
+  async reconcilePayments(now = new Date()) {
+    // Offline payments wait for admin approval instead
+    const cursor = Payment.find({
+      status: { $in: UNRESOLVED_STATUSES },
+      razorpayOrderId: { $exists: true },
+      createdAt: { $lte: new Date(now.getTime() - GRACE_MINUTES * 60 * 1000) }
+    }).cursor();
+
+    const summary = {
+      processed: 0,
+      paid: 0,
+      pending: 0,
+      failed: 0,
+      abandoned: 0,
+      amount_mismatch: 0,
+      error: 0
+    };
+
+    for (let payment = await cursor.next(); payment; payment = await cursor.next()) {
+      summary.processed += 1;
+      try {
+        const outcome = await this.reconcilePayment(payment, now);
+        summary[outcome] += 1;
+      } catch (error) {
+        console.error(`Payment reconciliation error for ${payment.orderId}:`, error);
+        summary.error += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  // Compare one payment with its Razorpay order and settle it; returns the outcome
+  async reconcilePayment(payment, now = new Date()) {
+    const result = await razorpayService.fetchOrderPayments(payment.razorpayOrderId);
+
+    payment.reconciliation.checkedAt = now;
+    payment.reconciliation.checks = (payment.reconciliation.checks || 0) + 1;
+
+    if (!result.success) {
+      return this.record(payment, 'error', { note: result.error });
+    }
+
+    const attempts = result.payments;
+    const captured = attempts.find(attempt => attempt.status === 'captured');
+
+    if (captured) {
+      return this.settleCaptured(payment, captured, now);
+    }
+
+    // Checkout still in progress, or authorized and waiting for auto-capture
+    const inFlight = attempts.find(attempt => ['created', 'authorized'].includes(attempt.status));
+    if (inFlight) {
+      payment.transitionTo('pending');
+      return this.record(payment, 'pending', { razorpayStatus: inFlight.status });
+    }
+
+    const lastAttempt = attempts.sort((a, b) => b.createdAt - a.createdAt)[0];
+    if (now - payment.createdAt < ABANDON_HOURS * 60 * 60 * 1000) {
+      return this.record(payment, 'pending', { razorpayStatus: lastAttempt ? lastAttempt.status : 'created' });
+    }
+
+    if (lastAttempt) {
+      payment.transitionTo('failed');
+      if (!payment.razorpayPaymentId) {
+        payment.razorpayPaymentId = lastAttempt.id;
+      }
+
+      return this.record(payment, 'failed', {
+        razorpayStatus: lastAttempt.status,
+        note: lastAttempt.errorDescription,
+        resolvedAt: now
+      });
+    }
+
+    payment.transitionTo('cancelled');
+    return this.record(payment, 'abandoned', {
+      razorpayStatus: 'created',
+      note: `No payment attempt within ${ABANDON_HOURS} hours`,
+      resolvedAt: now
+    });
+  }
+
+  // The order was paid but /verify and the webhook never reached us
+  async settleCaptured(payment, captured, now) {
+    const expected = payment.finalAmount;
+    if (Math.abs(captured.amount - expected) >= 0.01) {
+      // Leave unresolved for manual review rather than activating the wrong plan
+      return this.record(payment, 'amount_mismatch', {
+        razorpayStatus: captured.status,
+        note: `Captured ₹${captured.amount}, expected ₹${expected}`
+      });
+    }
+
+    payment.transitionTo('paid');
+    payment.razorpayPaymentId = captured.id;
+    if (Payment.schema.path('paymentMethod').enumValues.includes(captured.method)) {
+      payment.paymentMethod = captured.method;
+    }
+
+    await this.record(payment, 'paid', { razorpayStatus: captured.status, resolvedAt: now });
+    await subscriptionService.activateFromPayment(payment, 'reconciliation');
+
+    console.log(`💰 Reconciled captured payment ${payment.orderId}`);
+    return 'paid';
+  }
+
+  async record(payment, outcome, { razorpayStatus, note, resolvedAt } = {}) {
+    payment.reconciliation.outcome = outcome;
+    payment.reconciliation.razorpayStatus = razorpayStatus;
+    payment.reconciliation.note = note;
+    if (resolvedAt) {
+      payment.reconciliation.resolvedAt = resolvedAt;
+    }
+
+    await payment.save();
+
+    if (outcome === 'failed' || outcome === 'abandoned') {
+      await voucherService.release(payment);
+    }
+
+    return outcome;
+  }
+
+  // Unresolved orders, outcomes over the last `days` days and payments that need a human
+  async getReport({ days = 7 } = {}, now = new Date()) {
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const [unresolved, outcomes, needsAttention, voucherReview] = await Promise.all([
+      Payment.aggregate([
+        {
+          $match: {
+            status: { $in: UNRESOLVED_STATUSES },
+            razorpayOrderId: { $exists: true },
+            createdAt: { $lte: new Date(now.getTime() - GRACE_MINUTES * 60 * 1000) }
+          }
+        },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' },
+            oldest: { $min: '$createdAt' }
+          }
+        }
+      ]),
+      Payment.aggregate([
+        { $match: { 'reconciliation.checkedAt': { $gte: since } } },
+        {
+          $group: {
+            _id: '$reconciliation.outcome',
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' }
+          }
+        }
+      ]),
+      Payment.find({
+        status: { $in: UNRESOLVED_STATUSES },
+        'reconciliation.outcome': { $in: ['amount_mismatch', 'error'] }
+      })
+        .populate('userId', 'name phoneNumber')
+        .sort({ 'reconciliation.checkedAt': -1 })
+        .limit(50)
+        .select('orderId razorpayOrderId userId amount status reconciliation createdAt'),
+      // Paid orders whose voucher use could not be counted
+      Payment.find({ 'discounts.voucherReview.flaggedAt': { $gte: since } })
+        .populate('userId', 'name phoneNumber')
+        .sort({ 'discounts.voucherReview.flaggedAt': -1 })
+        .limit(50)
+        .select('orderId userId amount status discounts createdAt')
+    ]);
+
+    const toMap = groups => groups.reduce((acc, group) => {
+      const { _id, ...totals } = group;
+      acc[_id] = totals;
+      return acc;
+    }, {});
+
+    return {
+      period: { from: since, to: now },
+      settings: { graceMinutes: GRACE_MINUTES, abandonHours: ABANDON_HOURS },
+      unresolved: toMap(unresolved),
+      outcomes: toMap(outcomes),
+      needsAttention,
+      voucherReview
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
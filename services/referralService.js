@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Voucher = require('../models/Voucher');
+const Referral = require('../models/Referral');
+
+// Reward for the referrer when a referee makes their first paid payment: 'voucher' or 'bonus_calls'
+const REWARD_TYPE = process.env.REFERRAL_REWARD_TYPE === 'bonus_calls' ? 'bonus_calls' : 'voucher';
+const REWARD_PERCENT = parseInt(process.env.REFERRAL_REWARD_PERCENT) || 20;
+const REWARD_VALID_DAYS = parseInt(process.env.REFERRAL_REWARD_VALID_DAYS) || 90;
+const BONUS_CALLS = parseInt(process.env.REFERRAL_BONUS_CALLS) || 10;
+// Referrals per referrer per calendar month that can earn a reward
+const MAX_PER_MONTH = parseInt(process.env.REFERRAL_MAX_PER_MONTH) || 10;
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class ReferralService {
+  // Name letters plus random characters, e.g. RAMU7K3M
+  buildCode(name) {
+    const prefix = (name || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 4) || 'PM';
+    let code = prefix;
+    for (const byte of crypto.randomBytes(4)) {
+      code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+    return code;
+  }
+
+  // Give the user a referral code if they do not have one yet (saves the user)
+  async ensureCode(user) {
+    if (user.referral?.code) {
+      return user.referral.code;
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = this.buildCode(user.name);
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, 'referral.code': { $exists: false } },
+        { $set: { 'referral.code': code } },
+        { new: true }
+      ).catch(error => {
+        if (error.code === 11000) return null;
+        throw error;
+      });
+
+      if (updated) {
+        user.referral.code = updated.referral.code;
+        return updated.referral.code;
+      }
+
+      // Another request assigned a code first
+      const current = await User.findById(user._id).select('referral.code');
+      if (current?.referral?.code) {
+        user.referral.code = current.referral.code;
+        return current.referral.code;
+      }
+    }
+
+    throw new Error('Could not generate a unique referral code');
+  }
+
+  async findReferrer(code) {
+    if (!code) {
+      return null;
+    }
+    return User.findOne({ 'referral.code': String(code).trim().toUpperCase(), isActive: true });
+  }
+
+  // Why a sign-up must not earn the referrer a reward, or null if it may
+  async checkAbuse(referrer, referee, signup) {
+    if (referrer._id.equals(referee._id) || referrer.phoneNumber === referee.phoneNumber) {
+      return 'self_referral';
+    }
+
+    if (referrer.role !== 'farmer' || !referrer.isActive) {
+      return 'referrer_inactive';
+    }
+
+    if (signup.deviceId) {
+      if (referrer.referral?.signupDeviceId === signup.deviceId) {
+        return 'same_device_as_referrer';
+      }
+
+      const deviceUsed = await Referral.exists({ 'signup.deviceId': signup.deviceId });
+      if (deviceUsed) {
+        return 'device_reused';
+      }
+    }
+
+    // A number that was referred before (e.g. account deleted and registered again)
+    const phoneUsed = await Referral.exists({ refereePhone: referee.phoneNumber });
+    if (phoneUsed) {
+      return 'phone_already_referred';
+    }
+
+    // Batches of SIMs with consecutive numbers share all but the last two digits
+    const series = referee.phoneNumber.slice(0, 8);
+    const sameSeries = await Referral.countDocuments({
+      referrerId: referrer._id,
+      refereePhone: { $regex: `^${series}` }
+    });
+    if (sameSeries >= 2 || referrer.phoneNumber.startsWith(series)) {
+      return 'sequential_phone_numbers';
+    }
+
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const thisMonth = await Referral.countDocuments({
+      referrerId: referrer._id,
+      status: { $ne: 'rejected' },
+      createdAt: { $gte: monthStart }
+    });
+    if (thisMonth >= MAX_PER_MONTH) {
+      return 'referrer_limit_reached';
+    }
+
+    return null;
+  }
+
+  // Record a registration made with a referral code. Suspicious sign-ups are stored as
+  // rejected so they never earn a reward; registration itself is not blocked.
+  async recordSignup(referrer, referee, signup = {}) {
+    const rejectionReason = await this.checkAbuse(referrer, referee, signup);
+
+    const referral = await Referral.create({
+      referrerId: referrer._id,
+      refereeId: referee._id,
+      code: referrer.referral.code,
+      refereePhone: referee.phoneNumber,
+      signup,
+      status: rejectionReason ? 'rejected' : 'pending',
+      rejectionReason: rejectionReason || undefined
+    });
+
+    if (rejectionReason) {
+      console.log(`🚫 Referral ${referrer.referral.code} -> ${referee.phoneNumber} rejected: ${rejectionReason}`);
+    }
+
+    return referral;
+  }
+
+  // Reward the referrer once the referee's first paid payment is applied
+  async handlePaidPayment(payment) {
+    if (!(payment.finalAmount > 0)) {
+      return null;
+    }
+
+    const refereeId = payment.userId._id || payment.userId;
+
+    // Claim the referral so verify, webhook and reconciliation reward it only once
+    const referral = await Referral.findOneAndUpdate(
+      { refereeId, status: 'pending' },
+      { $set: { status: 'qualified', qualifyingPaymentId: payment._id, qualifiedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!referral) {
+      return null;
+    }
+
+    try {
+      await this.issueReward(referral);
+    } catch (error) {
+      // Stays qualified; an admin can re-issue the reward
+      console.error(`❌ Referral reward error for ${referral._id}:`, error);
+      referral.reward = { type: REWARD_TYPE, error: error.message };
+      await referral.save();
+    }
+
+    return referral;
+  }
+
+  async issueReward(referral) {
+    const referrer = await User.findById(referral.referrerId);
+    if (!referrer || !referrer.isActive) {
+      throw new Error('Referrer account is not active');
+    }
+
+    const now = new Date();
+
+    if (REWARD_TYPE === 'bonus_calls') {
+      await User.updateOne({ _id: referrer._id }, { $inc: { 'usage.bonusCalls': BONUS_CALLS } });
+      referral.reward = { type: 'bonus_calls', bonusCalls: BONUS_CALLS, issuedAt: now };
+    } else {
+      const voucher = await this.createRewardVoucher(referrer, now);
+      referral.reward = { type: 'voucher', voucherId: voucher._id, voucherCode: voucher.code, issuedAt: now };
+    }
+
+    referral.status = 'rewarded';
+    await referral.save();
+
+    console.log(`🎁 Referral reward (${referral.reward.type}) issued to ${referrer.phoneNumber}`);
+    return referral;
+  }
+
+  // Re-issue a reward that failed after the referral qualified (admin)
+  async retryReward(referralId) {
+    // Clearing the error claims the retry, so two admins cannot issue it twice
+    const referral = await Referral.findOneAndUpdate(
+      { _id: referralId, status: 'qualified', 'reward.error': { $exists: true } },
+      { $unset: { 'reward.error': 1 } },
+      { new: true }
+    );
+
+    if (!referral) {
+      return null;
+    }
+
+    return this.issueReward(referral);
+  }
+
+  // Referrals for the admin report, with totals per status and rejection reason
+  async listReferrals({ status, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+
+    const [referrals, total, rejections] = await Promise.all([
+      Referral.find(filter)
+        .populate('referrerId', 'name phoneNumber')
+        .populate('refereeId', 'name phoneNumber')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Referral.countDocuments(filter),
+      Referral.aggregate([
+        { $match: { status: 'rejected' } },
+        { $group: { _id: '$rejectionReason', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    return { referrals, total, rejections };
+  }
+
+  // Single-use voucher that only the referrer can redeem
+  async createRewardVoucher(referrer, now) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      let code = 'REF';
+      for (const byte of crypto.randomBytes(8)) {
+        code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+      }
+
+      try {
+        return await Voucher.create({
+          code,
+          name: 'Referral reward',
+          description: {
+            en: `${REWARD_PERCENT}% off your next plan for referring a friend`,
+            hi: `मित्र को जोड़ने पर आपके अगले प्लान पर ${REWARD_PERCENT}% की छूट`,
+            te: `స్నేహితుడిని చేర్చినందుకు మీ తదుపరి ప్లాన్‌పై ${REWARD_PERCENT}% తగ్గింపు`
+          },
+          type: 'percentage',
+          value: REWARD_PERCENT,
+          usageLimit: 1,
+          usage: { perUserLimit: 1 },
+          validity: REWARD_VALID_DAYS,
+          validFrom: now,
+          validUntil: new Date(now.getTime() + REWARD_VALID_DAYS * 24 * 60 * 60 * 1000),
+          applicablePlans: ['all'],
+          isPublic: false,
+          assignedTo: referrer._id,
+          createdBy: referrer._id,
+          metadata: { category: 'referral', source: 'referral_program' }
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('Could not generate a unique voucher code');
+  }
+
+  // Referral code and progress for the referrer
+  async getOverview(user) {
+    const code = await this.ensureCode(user);
+
+    const [counts, referrals] = await Promise.all([
+      Referral.aggregate([
+        { $match: { referrerId: user._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Referral.find({ referrerId: user._id })
+        .populate('refereeId', 'name')
+        .sort({ createdAt: -1 })
+        .limit(50)
+    ]);
+
+    const stats = { pending: 0, qualified: 0, rewarded: 0, rejected: 0 };
+    counts.forEach(group => { stats[group._id] = group.count; });
+
+    return {
+      code,
+      reward: REWARD_TYPE === 'bonus_calls' ?
+        { type: 'bonus_calls', bonusCalls: BONUS_CALLS } :
+        { type: 'voucher', percent: REWARD_PERCENT, validDays: REWARD_VALID_DAYS },
+      bonusCalls: user.usage.bonusCalls || 0,
+      stats,
+      referrals: referrals.map(referral => referral.getSummary())
+    };
+  }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,364 @@
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const razorpayService = require('./razorpayService');
+const notificationService = require('./notificationService');
+const entitlementService = require('./entitlementService');
+
+// Farmers can ask for a refund this many days after paying
+const REQUEST_WINDOW_DAYS = parseInt(process.env.REFUND_REQUEST_DAYS) || 7;
+
+// Statuses in which a new refund cannot be started
+const OPEN_STATUSES = ['requested', 'pending', 'processed'];
+
+class RefundService {
+  // Whether a payment can be refunded at all, and how much is left to refund
+  checkRefundable(payment) {
+    if (payment.status !== 'paid') {
+      return { success: false, code: 'REFUND_NOT_ALLOWED', error: 'Only paid payments can be refunded' };
+    }
+
+    if (payment.paymentMethod === 'voucher' || !payment.razorpayPaymentId) {
+      return { success: false, code: 'REFUND_NOT_ALLOWED', error: 'Payment was not made through Razorpay' };
+    }
+
+    if (OPEN_STATUSES.includes(payment.refund?.refundStatus)) {
+      return { success: false, code: 'REFUND_ALREADY_EXISTS', error: `Refund is already ${payment.refund.refundStatus}` };
+    }
+
+    return { success: true, maxAmount: payment.finalAmount };
+  }
+
+  // Farmer asks for a (partial) refund of their own payment
+  async requestRefund(payment, user, { amount, reason }, now = new Date()) {
+    const check = this.checkRefundable(payment);
+    if (!check.success) {
+      return check;
+    }
+
+    const paidAt = payment.subscription?.appliedAt || payment.updatedAt;
+    if (now - paidAt > REQUEST_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return {
+        success: false,
+        code: 'REFUND_WINDOW_CLOSED',
+        error: `Refunds can be requested within ${REQUEST_WINDOW_DAYS} days of payment`
+      };
+    }
+
+    const requestedAmount = amount ?? check.maxAmount;
+    if (requestedAmount <= 0 || requestedAmount > check.maxAmount) {
+      return { success: false, code: 'INVALID_REFUND_AMOUNT', error: `Refund amount must be between ₹0.01 and ₹${check.maxAmount}` };
+    }
+
+    // Claimed atomically so double-submits create one request
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'paid', 'refund.refundStatus': { $nin: OPEN_STATUSES } },
+      {
+        $set: {
+          refund: {
+            refundStatus: 'requested',
+            requestedAmount,
+            refundReason: reason,
+            requestedAt: now,
+            requestedBy: user._id
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return { success: false, code: 'REFUND_ALREADY_EXISTS', error: 'A refund is already in progress' };
+    }
+
+    console.log(`↩️ Refund of ₹${requestedAmount} requested for ${payment.orderId}`);
+    return { success: true, payment: updated };
+  }
+
+  // Admin approves a request (or refunds directly): refund through Razorpay and shorten the subscription
+  async approve(payment, admin, { amount, note } = {}, now = new Date()) {
+    const status = payment.refund?.refundStatus;
+    const canRetry = status === 'requested' || status === 'failed';
+    if (!canRetry) {
+      const check = this.checkRefundable(payment);
+      if (!check.success) {
+        return check;
+      }
+    }
+
+    const refundAmount = amount ?? payment.refund?.requestedAmount ?? payment.finalAmount;
+    if (refundAmount <= 0 || refundAmount > payment.finalAmount) {
+      return { success: false, code: 'INVALID_REFUND_AMOUNT', error: `Refund amount must be between ₹0.01 and ₹${payment.finalAmount}` };
+    }
+
+    // Claim the refund so two admins cannot refund the same payment twice
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: 'paid',
+        'refund.refundStatus': canRetry ? status : { $nin: OPEN_STATUSES }
+      },
+      {
+        $set: {
+          'refund.refundStatus': 'pending',
+          'refund.refundAmount': refundAmount,
+          'refund.reviewedBy': admin._id,
+          'refund.reviewedAt': now,
+          'refund.reviewNote': note,
+          ...(payment.refund?.requestedAt ? {} : {
+            'refund.requestedAmount': refundAmount,
+            'refund.requestedAt': now,
+            'refund.requestedBy': admin._id,
+            'refund.refundReason': note || 'Admin initiated refund'
+          })
+        },
+        $unset: { 'refund.failureReason': 1 }
+      },
+      { new: true }
+    ).populate('planId', 'name displayName');
+
+    if (!claimed) {
+      return { success: false, code: 'REFUND_ALREADY_EXISTS', error: 'Refund was already reviewed' };
+    }
+
+    const result = await razorpayService.createRefund(claimed.razorpayPaymentId, refundAmount, {
+      orderId: claimed.orderId,
+      reason: claimed.refund.refundReason
+    });
+
+    if (!result.success) {
+      claimed.refund.refundStatus = 'failed';
+      claimed.refund.failureReason = result.error;
+      await claimed.save();
+      return { success: false, code: 'RAZORPAY_ERROR', error: result.error, payment: claimed };
+    }
+
+    claimed.refund.refundId = result.refund.id;
+    claimed.refund.refundDate = now;
+
+    // The money is on its way back, so the farmer stops getting the refunded share now
+    if (!claimed.refund.subscriptionAdjustment?.appliedAt) {
+      await this.adjustSubscription(claimed, refundAmount, now);
+    }
+
+    if (result.refund.status === 'processed') {
+      this.markProcessed(claimed, now);
+    }
+
+    await claimed.save();
+    this.notify(claimed, result.refund.status === 'processed' ? 'processed' : 'approved');
+
+    console.log(`↩️ Refund ${result.refund.id} of ₹${refundAmount} created for ${claimed.orderId}`);
+    return { success: true, payment: claimed };
+  }
+
+  async reject(payment, admin, reason, now = new Date()) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'refund.refundStatus': 'requested' },
+      {
+        $set: {
+          'refund.refundStatus': 'rejected',
+          'refund.reviewedBy': admin._id,
+          'refund.reviewedAt': now,
+          'refund.reviewNote': reason
+        }
+      },
+      { new: true }
+    ).populate('planId', 'name displayName');
+
+    if (!updated) {
+      return { success: false, code: 'REFUND_NOT_PENDING_REVIEW', error: 'No refund request awaiting review' };
+    }
+
+    this.notify(updated, 'rejected');
+    return { success: true, payment: updated };
+  }
+
+  // Record on the payment how the subscription was changed. Callers save the payment.
+  async adjustSubscription(payment, refundAmount, now = new Date()) {
+    const adjustment = await this.shortenSubscription(payment, refundAmount, now);
+    payment.refund.subscriptionAdjustment = adjustment;
+    return adjustment;
+  }
+
+  // Take the refunded share of the paid period off the end of the subscription; a full refund
+  // (or one that leaves no time) cancels it. Saves the user.
+  async shortenSubscription(payment, refundAmount, now) {
+    const user = await User.findById(payment.userId._id || payment.userId);
+    const adjustment = { appliedAt: now };
+
+    const { startDate, endDate } = payment.subscription || {};
+    if (!user || !startDate || !endDate || endDate <= now) {
+      return adjustment;
+    }
+
+    const fraction = Math.min(1, refundAmount / payment.finalAmount);
+    const removed = Math.round((endDate - startDate) * fraction);
+
+    // A prepaid downgrade that has not started yet
+    const scheduled = user.subscription.scheduledChange;
+    if (scheduled?.paymentId?.equals(payment._id)) {
+      adjustment.previousEndDate = scheduled.endDate;
+      if (fraction >= 1 || scheduled.endDate - removed <= scheduled.effectiveAt) {
+        user.subscription.scheduledChange = undefined;
+        adjustment.cancelled = true;
+      } else {
+        scheduled.endDate = new Date(scheduled.endDate.getTime() - removed);
+        adjustment.newEndDate = scheduled.endDate;
+      }
+
+      user.addSubscriptionHistory('refunded', { reason: `Refund for ${payment.orderId} (scheduled change)` });
+      await user.save();
+      return adjustment;
+    }
+
+    const planId = payment.planId._id || payment.planId;
+    if (!user.hasActiveSubscription() || !user.subscription.planId?.equals(planId)) {
+      return adjustment;
+    }
+
+    adjustment.previousEndDate = user.subscription.endDate;
+    const newEndDate = new Date(user.subscription.endDate.getTime() - removed);
+
+    if (fraction >= 1 || newEndDate <= now) {
+      user.subscription.status = 'cancelled';
+      user.subscription.endDate = now;
+      user.subscription.autoRenewal = false;
+      adjustment.cancelled = true;
+      adjustment.newEndDate = now;
+      user.addSubscriptionHistory('refunded', { reason: `Refund for ${payment.orderId}`, changedBy: payment.refund.reviewedBy });
+      // Free tier limits apply from now on
+      await entitlementService.startPlanPeriod(user, now);
+    } else {
+      user.subscription.endDate = newEndDate;
+      user.subscription.remindersSent = [];
+      adjustment.newEndDate = newEndDate;
+      user.addSubscriptionHistory('refunded', { reason: `Partial refund for ${payment.orderId}`, changedBy: payment.refund.reviewedBy });
+    }
+
+    await user.save();
+    return adjustment;
+  }
+
+  markProcessed(payment, now = new Date()) {
+    payment.refund.refundStatus = 'processed';
+    payment.refund.processedAt = now;
+    if (payment.refund.refundAmount >= payment.finalAmount) {
+      payment.transitionTo('refunded');
+    }
+  }
+
+  // refund.processed / refund.failed webhooks
+  async handleRefundEvent(refundEntity, eventType) {
+    let payment = await Payment.findOne({ 'refund.refundId': refundEntity.id }).populate('planId', 'name displayName');
+
+    if (!payment) {
+      payment = await Payment.findOne({ razorpayPaymentId: refundEntity.payment_id }).populate('planId', 'name displayName');
+      if (!payment) {
+        return { ignored: true, reason: `No payment for refund ${refundEntity.id}` };
+      }
+
+      // Refund made from the Razorpay dashboard; record it as if approved here
+      if (payment.refund?.refundStatus === 'pending' || payment.refund?.refundStatus === 'processed') {
+        return { ignored: true, reason: `Payment ${payment.orderId} already has refund ${payment.refund.refundId}` };
+      }
+
+      const amount = refundEntity.amount / 100;
+      payment.refund = {
+        refundId: refundEntity.id,
+        refundAmount: amount,
+        requestedAmount: amount,
+        refundDate: new Date(refundEntity.created_at * 1000),
+        refundReason: refundEntity.notes?.reason || 'Refunded from Razorpay dashboard',
+        refundStatus: 'pending'
+      };
+      if (payment.status === 'paid') {
+        await this.adjustSubscription(payment, amount);
+      }
+    }
+
+    if (eventType === 'refund.failed') {
+      if (payment.refund.refundStatus === 'processed') {
+        return { ignored: true, reason: `Refund ${refundEntity.id} is already processed` };
+      }
+
+      payment.refund.refundStatus = 'failed';
+      payment.refund.failureReason = refundEntity.error_description || 'Refund failed at Razorpay';
+      await payment.save();
+
+      console.error(`❌ Refund ${refundEntity.id} failed for ${payment.orderId}; retry from the admin panel`);
+      return { reason: 'Refund failed' };
+    }
+
+    if (payment.refund.refundStatus === 'processed') {
+      return { ignored: true, reason: `Refund ${refundEntity.id} is already processed` };
+    }
+
+    this.markProcessed(payment);
+    await payment.save();
+    this.notify(payment, 'processed');
+
+    return { reason: 'Refund processed' };
+  }
+
+  // Tell the farmer about their refund (non-blocking)
+  notify(payment, status) {
+    User.findById(payment.userId._id || payment.userId).then(user => {
+      if (!user) {
+        return;
+      }
+
+      const plan = payment.planId;
+      return notificationService.dispatch('refund.updated', user, {
+        paymentId: payment._id,
+        planName: plan?.displayName?.en || plan?.name || 'Prani Mitra',
+        status,
+        amount: payment.refund.refundAmount ?? payment.refund.requestedAmount,
+        note: payment.refund.reviewNote,
+        adjustment: payment.toObject().refund?.subscriptionAdjustment
+      });
+    }).catch(error => {
+      console.error(`❌ Refund notification error for payment ${payment.orderId}:`, error);
+    });
+  }
+
+  // Refund data returned by the refund endpoints
+  getSummary(payment) {
+    const refund = payment.refund || {};
+    return {
+      paymentId: payment._id,
+      orderId: payment.orderId,
+      paymentStatus: payment.status,
+      paidAmount: payment.finalAmount,
+      refundStatus: refund.refundStatus,
+      requestedAmount: refund.requestedAmount,
+      refundAmount: refund.refundAmount,
+      reason: refund.refundReason,
+      requestedAt: refund.requestedAt,
+      reviewedAt: refund.reviewedAt,
+      reviewNote: refund.reviewNote,
+      refundId: refund.refundId,
+      processedAt: refund.processedAt,
+      failureReason: refund.failureReason,
+      subscriptionAdjustment: refund.subscriptionAdjustment
+    };
+  }
+
+  async listRefunds({ status, page = 1, limit = 20 } = {}) {
+    const filter = status ? { 'refund.refundStatus': status } : { 'refund.refundStatus': { $exists: true } };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .populate('userId', 'name phoneNumber')
+        .populate('planId', 'name displayName')
+        .sort({ 'refund.requestedAt': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('orderId userId planId amount discounts billingCycle status razorpayPaymentId subscription refund createdAt'),
+      Payment.countDocuments(filter)
+    ]);
+
+    return { payments, total };
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,135 @@
+const cron = require('node-cron');
+const subscriptionService = require('./subscriptionService');
+const entitlementService = require('./entitlementService');
+const reconciliationService = require('./reconciliationService');
+const voucherService = require('./voucherService');
+const notificationService = require('./notificationService');
+
+class SchedulerService {
+  constructor() {
+    this.timezone = process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata';
+    this.jobs = new Map();
+    this.started = false;
+    this.registerDefaultJobs();
+  }
+
+  registerDefaultJobs() {
+    // Flip lapsed subscriptions to expired every hour
+    this.register('subscription-expiry', '0 * * * *', () => subscriptionService.expireSubscriptions());
+
+    // Expiry reminders once a day in the morning
+    this.register('subscription-reminders', '0 9 * * *', () => subscriptionService.sendExpiryReminders());
+
+    // Roll usage over into a new period once each user's billing-anchored period ends
+    this.register('usage-period-reset', '5 * * * *', () => entitlementService.resetUsagePeriods());
+
+    // Settle orders whose checkout was closed before /verify or the webhook arrived
+    this.register('payment-reconciliation', '*/15 * * * *', () => reconciliationService.reconcilePayments());
+
+    // Free voucher uses held by orders that were never paid
+    this.register('voucher-reservation-expiry', '*/10 * * * *', () => voucherService.releaseExpiredReservations());
+
+    // Switch off vouchers once their validUntil has passed
+    this.register('voucher-expiry', '10 * * * *', () => voucherService.expireVouchers());
+
+    // Retry notifications whose last attempt failed
+    this.register('notification-retries', '* * * * *', () => notificationService.processDue());
+
+    // Finish announcements whose inbox fan-out was interrupted
+    this.register('announcement-resume', '*/10 * * * *', () => notificationService.resumeAnnouncements());
+  }
+
+  // Register a named job; handler may return a summary object that is kept as lastResult
+  register(name, expression, handler) {
+    if (!cron.validate(expression)) {
+      throw new Error(`Invalid cron expression for job ${name}: ${expression}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      expression,
+      handler,
+      task: null,
+      running: false,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastResult: null,
+      lastError: null
+    });
+  }
+
+  // Run a job immediately; overlapping runs of the same job are skipped
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) {
+      console.warn(`⏭️ Job ${name} is still running, skipping this run`);
+      return { skipped: true };
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const result = await job.handler();
+      job.lastResult = result || null;
+      job.lastError = null;
+      console.log(`🕒 Job ${name} completed in ${Date.now() - startedAt}ms`, result || '');
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`❌ Job ${name} failed:`, error);
+      throw error;
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date(startedAt);
+      job.lastDurationMs = Date.now() - startedAt;
+    }
+  }
+
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    for (const job of this.jobs.values()) {
+      job.task = cron.schedule(job.expression, () => {
+        this.runJob(job.name).catch(() => {
+          // Error already logged in runJob
+        });
+      }, { timezone: this.timezone });
+    }
+
+    this.started = true;
+    console.log(`🕒 Scheduler started with ${this.jobs.size} jobs (${this.timezone})`);
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.task) {
+        job.task.stop();
+        job.task = null;
+      }
+    }
+
+    this.started = false;
+  }
+
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      expression: job.expression,
+      scheduled: !!job.task,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastDurationMs: job.lastDurationMs,
+      lastResult: job.lastResult,
+      lastError: job.lastError
+    }));
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Call = require('../models/Call');
+const entitlementService = require('./entitlementService');
+
+// node-fetch v3 is ESM-only; prefer the built-in fetch (Node 18+)
+const fetch = global.fetch || ((...args) => import('node-fetch').then(({ default: nodeFetch }) => nodeFetch(...args)));
+
+// GSM 03.38 alphabet; anything outside it makes the whole message UCS-2 (Hindi, Telugu, emoji)
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// Extension table characters take two septets
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+// Constant-time string comparison
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const isLocalEnvironment = () => Boolean(process.env.NODE_ENV) && process.env.NODE_ENV !== 'production';
+
+// DLT-registered template per message type. Indian operators drop messages whose
+// template ID is missing or does not match the registered text.
+const DLT_TEMPLATES = {
+  otp: process.env.SMS_DLT_TEMPLATE_OTP,
+  call_summary: process.env.SMS_DLT_TEMPLATE_CALL_SUMMARY
+};
+
+// Outgoing SMS through a pluggable provider (SMS_PROVIDER). The console and file providers
+// keep messages locally, for development and tests.
+class SmsService {
+  constructor() {
+    const providerName = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+
+    if (providerName === 'msg91' && process.env.MSG91_AUTH_KEY && process.env.MSG91_SENDER_ID) {
+      this.provider = new Msg91SmsProvider(process.env.MSG91_AUTH_KEY, process.env.MSG91_SENDER_ID);
+    } else if (providerName === 'twilio' && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_SMS_FROM) {
+      this.provider = new TwilioSmsProvider(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN, process.env.TWILIO_SMS_FROM);
+    } else if (providerName === 'file') {
+      this.provider = new FileSmsProvider(process.env.SMS_OUTBOX_FILE || path.join('logs', 'sms-outbox.log'));
+    } else {
+      if (providerName !== 'console') {
+        console.warn(`SMS credentials for ${providerName} not found. Using console SMS provider.`);
+      }
+      if (process.env.NODE_ENV === 'production') {
+        console.warn('Console SMS provider in production: messages (including OTPs) are only logged.');
+      }
+      this.provider = new ConsoleSmsProvider();
+    }
+
+    // Default secret only for the local providers in a non-production NODE_ENV
+    const localDefault = this.provider.local && isLocalEnvironment() ? 'local-sms-secret' : null;
+    this.webhookSecret = process.env.SMS_WEBHOOK_SECRET || localDefault;
+    if (this.provider.usesWebhookSecret && !this.webhookSecret) {
+      console.error(`❌ SMS_WEBHOOK_SECRET not set. ${this.provider.name} delivery reports will be rejected.`);
+    }
+  }
+
+  getProviderName() {
+    return this.provider.name;
+  }
+
+  // Encoding and number of billed parts of a message
+  countSegments(message) {
+    const text = message || '';
+    let septets = 0;
+    let unicode = false;
+
+    for (const char of text) {
+      if (GSM_BASIC.includes(char)) {
+        septets += 1;
+      } else if (GSM_EXTENDED.includes(char)) {
+        septets += 2;
+      } else {
+        unicode = true;
+        break;
+      }
+    }
+
+    if (unicode) {
+      // UCS-2 counts UTF-16 code units, so characters outside the BMP take two
+      const units = text.length;
+      return {
+        encoding: 'unicode',
+        length: units,
+        segments: units <= 70 ? 1 : Math.ceil(units / 67)
+      };
+    }
+
+    return {
+      encoding: 'gsm7',
+      length: septets,
+      segments: septets <= 160 ? 1 : Math.ceil(septets / 153)
+    };
+  }
+
+  // Send one SMS to a 10-digit Indian mobile number. `template` names the DLT template
+  // (see DLT_TEMPLATES) the message text was registered under.
+  async send({ to, message, template }) {
+    const templateId = DLT_TEMPLATES[template];
+    const { encoding, segments } = this.countSegments(message);
+
+    if (this.provider.requiresDlt && !templateId) {
+      console.error(`❌ SMS not sent: no DLT template ID configured for ${template || 'untemplated'} messages`);
+      return {
+        success: false,
+        provider: this.provider.name,
+        code: 'DLT_TEMPLATE_MISSING',
+        error: `DLT template ID for ${template || 'this message'} is not configured`
+      };
+    }
+
+    try {
+      const result = await this.provider.send({
+        to: `91${to}`,
+        message,
+        templateId,
+        unicode: encoding === 'unicode'
+      });
+
+      return {
+        success: true,
+        provider: this.provider.name,
+        messageId: result.messageId,
+        segments
+      };
+    } catch (error) {
+      console.error(`SMS send error (${this.provider.name}):`, error);
+      return {
+        success: false,
+        provider: this.provider.name,
+        error: error.message
+      };
+    }
+  }
+
+  // Text the farmer the summary of an answered call and count it against the plan's smsLimit.
+  // Automatic summaries respect the farmer's SMS preference; resends (`requested`) do not.
+  async sendCallSummary(call, user, { requested = false } = {}) {
+    if (!requested && (call.channel === 'chat' || user.preferences?.notifications?.sms === false)) {
+      return { success: false, code: 'SMS_NOT_WANTED', error: 'Farmer does not receive call summaries by SMS' };
+    }
+
+    if (!call.response?.text) {
+      return { success: false, code: 'NO_SUMMARY', error: 'Call has no answer to summarise' };
+    }
+
+    const check = await entitlementService.checkSms(user);
+    if (!check.allowed) {
+      return { success: false, code: check.code, error: check.message, entitlements: check.entitlements };
+    }
+
+    const summary = call.generateSMSSummary();
+    const result = await this.send({ to: user.phoneNumber, message: summary, template: 'call_summary' });
+
+    call.sms = {
+      sent: result.success,
+      sentAt: result.success ? new Date() : call.sms?.sentAt,
+      messageId: result.messageId,
+      provider: result.provider,
+      summary,
+      segments: result.segments,
+      deliveryStatus: result.success ? 'sent' : 'failed',
+      failureReason: result.success ? undefined : result.error,
+      sendCount: (call.sms?.sendCount || 0) + (result.success ? 1 : 0)
+    };
+    await call.save();
+
+    if (!result.success) {
+      return { success: false, code: result.code || 'SMS_FAILED', error: 'Could not send the call summary' };
+    }
+
+    entitlementService.recordSms(user);
+    await user.save();
+
+    console.log(`📱 Call summary for ${call.callId} sent to ${user.phoneNumber} (${result.segments} part${result.segments === 1 ? '' : 's'})`);
+    return { success: true, sms: call.sms };
+  }
+
+  verifyDeliveryReport(req) {
+    if (this.provider.usesWebhookSecret && !this.webhookSecret) {
+      return false;
+    }
+
+    try {
+      return this.provider.verifySignature(req, this.webhookSecret);
+    } catch (error) {
+      console.error('SMS delivery report verification error:', error);
+      return false;
+    }
+  }
+
+  // Normalized reports: [{ messageId, status: sent|delivered|failed|null, providerStatus, error }]
+  parseDeliveryReport(payload) {
+    return this.provider.parseDeliveryReport(payload || {});
+  }
+
+  // Apply one delivery report to the call whose summary it describes. Reports can arrive
+  // out of order, so a later "sent" never overwrites "delivered" or "failed".
+  async applyDeliveryReport(report, now = new Date()) {
+    if (!report.messageId || !report.status) {
+      return { matched: false };
+    }
+
+    const filter = { 'sms.messageId': report.messageId };
+    const update = { 'sms.deliveryStatus': report.status };
+
+    if (report.status === 'sent') {
+      filter['sms.deliveryStatus'] = 'pending';
+    } else if (report.status === 'delivered') {
+      update['sms.deliveredAt'] = now;
+    } else {
+      filter['sms.deliveryStatus'] = { $ne: 'delivered' };
+      update['sms.failureReason'] = report.error || report.providerStatus;
+    }
+
+    const result = await Call.updateOne(filter, { $set: update });
+    return { matched: result.matchedCount > 0 };
+  }
+
+  // Sign a payload the way the local providers expect (for local testing)
+  signLocalPayload(rawBody) {
+    return this.provider.local ? this.provider.sign(rawBody, this.webhookSecret) : null;
+  }
+}
+
+// MSG91 SMS API. Delivery reports are posted to the URL configured in the MSG91 panel,
+// which carries SMS_WEBHOOK_SECRET as its `token` query parameter.
+class Msg91SmsProvider {
+  constructor(authKey, senderId) {
+    this.name = 'msg91';
+    this.authKey = authKey;
+    this.senderId = senderId;
+    this.requiresDlt = true;
+    this.usesWebhookSecret = true;
+  }
+
+  async send({ to, message, templateId, unicode }) {
+    const res = await fetch('https://api.msg91.com/api/v2/sendsms', {
+      method: 'POST',
+      headers: { authkey: this.authKey, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sender: this.senderId,
+        route: '4',
+        country: '91',
+        unicode: unicode ? 1 : 0,
+        DLT_TE_ID: templateId,
+        sms: [{ message, to: [to] }]
+      })
+    });
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.type !== 'success') {
+      throw new Error(`MSG91 rejected the message: ${data.message || res.status}`);
+    }
+
+    return { messageId: data.message };
+  }
+
+  verifySignature(req, secret) {
+    return safeEqual(secret, req.query.token);
+  }
+
+  parseDeliveryReport(payload) {
+    const data = typeof payload.data === 'string' ? JSON.parse(payload.data) : (payload.data || payload);
+    const requests = Array.isArray(data) ? data : [data];
+
+    return requests.flatMap(request => (request.report || []).map(entry => ({
+      messageId: request.requestId,
+      providerStatus: entry.desc || String(entry.status),
+      status: Msg91SmsProvider.normalizeStatus(entry),
+      error: entry.desc
+    })));
+  }
+
+  static normalizeStatus({ status, desc }) {
+    const text = (desc || '').toUpperCase();
+    if (String(status) === '1' || ['DELIVERED', 'DELIVRD'].includes(text)) return 'delivered';
+    if (String(status) === '2' || ['FAILED', 'UNDELIVERED', 'REJECTED', 'NDNC'].includes(text)) return 'failed';
+    if (['SENT', 'SUBMITTED'].includes(text)) return 'sent';
+    return null;
+  }
+}
+
+// Twilio Programmable Messaging. For India the DLT template is matched on the registered
+// text, so the template ID is not sent.
+class TwilioSmsProvider {
+  constructor(accountSid, authToken, from) {
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+  }
+
+  async send({ to, message }) {
+    const params = new URLSearchParams({ To: `+${to}`, From: this.from, Body: message });
+    if (process.env.SMS_WEBHOOK_BASE_URL) {
+      params.append('StatusCallback', `${process.env.SMS_WEBHOOK_BASE_URL}/api/sms/delivery-reports`);
+    }
+
+    const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: params
+    });
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(`Twilio rejected the message: ${data.message || res.status}`);
+    }
+
+    return { messageId: data.sid };
+  }
+
+  verifySignature(req) {
+    const baseUrl = process.env.SMS_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const url = `${baseUrl}${req.originalUrl}`;
+    const params = req.body || {};
+    const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+
+    const expected = crypto.createHmac('sha1', this.authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+    return safeEqual(expected, req.headers['x-twilio-signature']);
+  }
+
+  parseDeliveryReport(payload) {
+    const statuses = { sent: 'sent', delivered: 'delivered', undelivered: 'failed', failed: 'failed' };
+    return [{
+      messageId: payload.MessageSid || payload.SmsSid,
+      providerStatus: payload.MessageStatus || payload.SmsStatus,
+      status: statuses[(payload.MessageStatus || payload.SmsStatus || '').toLowerCase()] || null,
+      error: payload.ErrorCode ? `Twilio error ${payload.ErrorCode}` : undefined
+    }];
+  }
+}
+
+class ConsoleSmsProvider {
+  constructor() {
+    this.name = 'console';
+    this.local = true;
+    this.usesWebhookSecret = true;
+    this.outbox = [];
+  }
+
+  async send({ to, message, templateId }) {
+    const messageId = `sms_${this.name}_${Date.now()}_${this.outbox.length}`;
+    this.outbox.push({ messageId, to, message, templateId, sentAt: new Date() });
+
+    console.log('=== CONSOLE SMS ===');
+    console.log(`To: +${to}`);
+    console.log(`Message: ${message}`);
+    console.log('===================');
+
+    return { messageId };
+  }
+
+  // Latest message sent to a number (tests read OTPs from here)
+  lastMessageTo(to) {
+    return [...this.outbox].reverse().find(sms => sms.to === to || sms.to === `91${to}`);
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+
+  // Local delivery reports: JSON { messageId, status }, HMAC-SHA256 signed
+  sign(rawBody, secret) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  }
+
+  verifySignature(req, secret) {
+    return safeEqual(this.sign(req.rawBody || '', secret), req.headers['x-sms-signature']);
+  }
+
+  parseDeliveryReport(payload) {
+    const status = (payload.status || '').toLowerCase();
+    return [{
+      messageId: payload.messageId,
+      providerStatus: payload.status,
+      status: ['sent', 'delivered', 'failed'].includes(status) ? status : null,
+      error: payload.error
+    }];
+  }
+}
+
+// Console provider that also appends each message as a JSON line to a file
+class FileSmsProvider extends ConsoleSmsProvider {
+  constructor(filePath) {
+    super();
+    this.name = 'file';
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  async send(sms) {
+    const result = await super.send(sms);
+    const entry = this.outbox[this.outbox.length - 1];
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    return result;
+  }
+}
+
+const smsService = new SmsService();
+
+module.exports = smsService;
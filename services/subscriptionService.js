@@ -0,0 +1,634 @@
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const Payment = require('../models/Payment');
+const razorpayService = require('./razorpayService');
+const invoiceService = require('./invoiceService');
+const entitlementService = require('./entitlementService');
+const voucherService = require('./voucherService');
+const referralService = require('./referralService');
+const notificationService = require('./notificationService');
+const customerService = require('./customerService');
+
+// Number of billing cycles a Razorpay subscription is authorised for
+const TOTAL_COUNT = {
+  monthly: 120,
+  yearly: 10
+};
+
+// Days before endDate on which expiry reminders are sent
+const REMINDER_DAYS = [7, 3, 1];
+
+// Hours to wait for a renewal webhook before expiring an auto-renewing subscription
+const RENEWAL_GRACE_HOURS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// End of one billing cycle starting at `date`
+const addBillingCycle = (date, billingCycle) => {
+  const end = new Date(date);
+  if (billingCycle === 'yearly') {
+    end.setFullYear(end.getFullYear() + 1);
+  } else {
+    end.setMonth(end.getMonth() + 1);
+  }
+  return end;
+};
+
+// Price per month, used to tell upgrades from downgrades across billing cycles
+const monthlyRate = (plan, billingCycle) =>
+  billingCycle === 'yearly' ? plan.price.yearly / 12 : plan.price.monthly;
+
+class SubscriptionService {
+  // Get the Razorpay plan for a Plan + billing cycle, creating it on first use
+  async getOrCreateRazorpayPlan(plan, billingCycle) {
+    if (plan.razorpayPlanIds && plan.razorpayPlanIds[billingCycle]) {
+      return { success: true, razorpayPlanId: plan.razorpayPlanIds[billingCycle] };
+    }
+
+    const result = await razorpayService.createPlan({
+      period: billingCycle,
+      interval: 1,
+      name: `${plan.displayName.en} (${billingCycle})`,
+      amount: billingCycle === 'yearly' ? plan.price.yearly : plan.price.monthly,
+      currency: 'INR',
+      description: plan.description.en,
+      notes: {
+        planId: plan._id.toString(),
+        billingCycle
+      }
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    plan.razorpayPlanIds = plan.razorpayPlanIds || {};
+    plan.razorpayPlanIds[billingCycle] = result.plan.id;
+    await plan.save();
+
+    return { success: true, razorpayPlanId: result.plan.id };
+  }
+
+  // Create a Razorpay subscription that starts charging when the current paid period ends
+  async enableAutoRenewal(user, billingCycle) {
+    if (!user.hasActiveSubscription() || !user.subscription.planId) {
+      return { success: false, code: 'SUBSCRIPTION_REQUIRED', error: 'Active paid subscription required' };
+    }
+
+    if (user.subscription.autoRenewal && user.subscription.razorpaySubscriptionId) {
+      return { success: false, code: 'AUTO_RENEWAL_ACTIVE', error: 'Auto-renewal is already enabled' };
+    }
+
+    const plan = await Plan.findById(user.subscription.planId);
+    if (!plan || !plan.isActive) {
+      return { success: false, code: 'PLAN_UNAVAILABLE', error: 'Current plan is no longer available for renewal' };
+    }
+
+    const cycle = billingCycle || user.subscription.billingCycle || 'monthly';
+    const planResult = await this.getOrCreateRazorpayPlan(plan, cycle);
+    if (!planResult.success) {
+      return { success: false, code: 'RAZORPAY_ERROR', error: planResult.error };
+    }
+
+    const customerId = await customerService.ensureCustomer(user);
+
+    const subscriptionResult = await razorpayService.createSubscription({
+      planId: planResult.razorpayPlanId,
+      customerId,
+      totalCount: TOTAL_COUNT[cycle],
+      startAt: Math.floor(user.subscription.endDate.getTime() / 1000),
+      notes: {
+        userId: user._id.toString(),
+        planId: plan._id.toString(),
+        billingCycle: cycle
+      }
+    });
+
+    if (!subscriptionResult.success) {
+      return { success: false, code: 'RAZORPAY_ERROR', error: subscriptionResult.error };
+    }
+
+    user.subscription.autoRenewal = true;
+    user.subscription.billingCycle = cycle;
+    user.subscription.razorpaySubscriptionId = subscriptionResult.subscription.id;
+    await user.save();
+
+    return {
+      success: true,
+      subscription: {
+        razorpaySubscriptionId: subscriptionResult.subscription.id,
+        status: subscriptionResult.subscription.status,
+        authorizationUrl: subscriptionResult.subscription.shortUrl,
+        billingCycle: cycle,
+        firstChargeAt: user.subscription.endDate
+      }
+    };
+  }
+
+  // Stop future renewals; the already paid period is left untouched
+  async disableAutoRenewal(user) {
+    const subscriptionId = user.subscription.razorpaySubscriptionId;
+
+    if (subscriptionId) {
+      const result = await razorpayService.cancelSubscription(subscriptionId, false);
+      if (!result.success) {
+        return { success: false, code: 'RAZORPAY_ERROR', error: result.error };
+      }
+    }
+
+    user.subscription.autoRenewal = false;
+    user.subscription.razorpaySubscriptionId = undefined;
+    await user.save();
+
+    return { success: true };
+  }
+
+  // Unused value of the payment that covers the current period, rounded down to the rupee
+  async getProrationCredit(user, now = new Date()) {
+    const payment = await Payment.findOne({
+      userId: user._id,
+      planId: user.subscription.planId,
+      status: 'paid',
+      'subscription.startDate': { $lte: now },
+      'subscription.endDate': { $gt: now }
+    }).sort({ 'subscription.startDate': -1 });
+
+    // Admin-granted subscriptions have no payment to credit
+    if (!payment) {
+      return { credit: 0, payment: null };
+    }
+
+    const { startDate, endDate } = payment.subscription;
+    const paid = payment.finalAmount + (payment.planChange?.credit || 0);
+    const unused = Math.min(1, (endDate - now) / (endDate - startDate));
+
+    return { credit: Math.floor(paid * unused), payment };
+  }
+
+  // Price a move to another plan or billing cycle. Upgrades start now and are charged the new
+  // price less the unused value of the current period; downgrades are prepaid and start when
+  // the current period ends.
+  async quotePlanChange(user, plan, billingCycle, now = new Date()) {
+    if (!user.hasActiveSubscription() || !user.subscription.planId) {
+      return { success: false, code: 'SUBSCRIPTION_REQUIRED', error: 'Active paid subscription required' };
+    }
+
+    if (user.subscription.scheduledChange?.effectiveAt) {
+      return { success: false, code: 'PLAN_CHANGE_PENDING', error: 'A plan change is already scheduled' };
+    }
+
+    if (!plan || !plan.isActive || plan.planType === 'free') {
+      return { success: false, code: 'PLAN_UNAVAILABLE', error: 'Plan not found or not available' };
+    }
+
+    const currentPlan = await Plan.findById(user.subscription.planId);
+    const currentCycle = user.subscription.billingCycle || 'monthly';
+
+    if (currentPlan && currentPlan._id.equals(plan._id) && currentCycle === billingCycle) {
+      return { success: false, code: 'SAME_PLAN', error: 'Already subscribed to this plan' };
+    }
+
+    const price = plan.price[billingCycle];
+    const isUpgrade = !currentPlan || monthlyRate(plan, billingCycle) > monthlyRate(currentPlan, currentCycle);
+
+    const quote = {
+      changeType: isUpgrade ? 'upgrade' : 'downgrade',
+      fromPlan: currentPlan ? { id: currentPlan._id, name: currentPlan.name, billingCycle: currentCycle } : null,
+      toPlan: { id: plan._id, name: plan.name, billingCycle },
+      price,
+      credit: 0,
+      amount: price,
+      fromPaymentId: null
+    };
+
+    if (!isUpgrade) {
+      quote.startDate = user.subscription.endDate;
+      quote.endDate = addBillingCycle(quote.startDate, billingCycle);
+      return { success: true, quote };
+    }
+
+    const { credit, payment } = await this.getProrationCredit(user, now);
+    const cycleEnd = addBillingCycle(now, billingCycle);
+
+    quote.credit = credit;
+    quote.fromPaymentId = payment ? payment._id : null;
+    quote.startDate = now;
+
+    if (credit >= price) {
+      // The credit pays for more than one cycle of the new plan: no charge, longer period instead
+      quote.credit = price;
+      quote.amount = 0;
+      quote.endDate = new Date(now.getTime() + (cycleEnd - now) * (credit / price));
+    } else {
+      quote.amount = price - credit;
+      quote.endDate = cycleEnd;
+    }
+
+    return { success: true, quote };
+  }
+
+  // Upgrade fully covered by the proration credit, applied without a payment
+  async applyCreditUpgrade(user, plan, quote) {
+    await this.stopRenewalForPlanChange(user);
+
+    user.subscription = {
+      planId: plan._id,
+      status: 'active',
+      startDate: quote.startDate,
+      endDate: quote.endDate,
+      autoRenewal: false,
+      billingCycle: quote.toPlan.billingCycle
+    };
+    user.addSubscriptionHistory('upgraded', { reason: `Covered by proration credit of ₹${quote.credit}` });
+    await entitlementService.startPlanPeriod(user);
+    await user.save();
+
+    return user;
+  }
+
+  // The renewal mandate is for the old plan; the farmer re-enables auto-renewal on the new one
+  async stopRenewalForPlanChange(user) {
+    const subscriptionId = user.subscription.razorpaySubscriptionId;
+    if (!subscriptionId) {
+      return;
+    }
+
+    const result = await razorpayService.cancelSubscription(subscriptionId, false);
+    if (!result.success) {
+      console.error(`❌ Could not cancel Razorpay subscription ${subscriptionId} for plan change:`, result.error);
+    }
+
+    user.subscription.autoRenewal = false;
+    user.subscription.razorpaySubscriptionId = undefined;
+  }
+
+  // Switch to a prepaid scheduled plan once the current period has ended. Callers save the user.
+  async applyScheduledChange(user, now = new Date()) {
+    const { planId, billingCycle, effectiveAt, endDate } = user.subscription.scheduledChange;
+
+    user.subscription.planId = planId;
+    user.subscription.billingCycle = billingCycle;
+    user.subscription.status = 'active';
+    user.subscription.startDate = effectiveAt;
+    user.subscription.endDate = endDate;
+    user.subscription.autoRenewal = false;
+    user.subscription.scheduledChange = undefined;
+    user.subscription.remindersSent = [];
+    user.addSubscriptionHistory('downgraded', { reason: 'Scheduled plan change' });
+    await entitlementService.startPlanPeriod(user, now);
+  }
+
+  // Whether the user's active subscription is on this plan
+  isActivePlan(user, planId) {
+    const currentPlanId = user.subscription.planId?._id || user.subscription.planId;
+    return Boolean(user.hasActiveSubscription() && currentPlanId && currentPlanId.equals(planId));
+  }
+
+  // Apply a paid one-time payment to the user's subscription exactly once.
+  // /verify and the payment.captured webhook can race, so the payment is claimed atomically.
+  async activateFromPayment(payment, source = 'verify') {
+    const userId = payment.userId._id || payment.userId;
+
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'paid', 'subscription.appliedAt': { $exists: false } },
+      { $set: { 'subscription.appliedAt': new Date() } },
+      { new: true }
+    );
+
+    const user = await User.findById(userId);
+    if (!claimed) {
+      return { applied: false, user };
+    }
+
+    payment.subscription.appliedAt = claimed.subscription.appliedAt;
+
+    // Turn the order's voucher reservation into a use
+    if (payment.discounts?.couponCode) {
+      await voucherService.commit(payment);
+    }
+
+    const planId = payment.planId._id || payment.planId;
+    const reason = source === 'verify' ? `Payment ${payment.orderId}` : `Payment ${payment.orderId} (${source})`;
+    const changeType = payment.planChange?.kind;
+
+    if (changeType) {
+      await this.stopRenewalForPlanChange(user);
+    }
+
+    if (changeType === 'downgrade' && user.hasActiveSubscription()) {
+      // Prepaid for the period after the current one; expireSubscriptions switches plans then
+      user.subscription.scheduledChange = {
+        planId,
+        billingCycle: payment.billingCycle,
+        effectiveAt: payment.subscription.startDate,
+        endDate: payment.subscription.endDate,
+        paymentId: payment._id
+      };
+      user.addSubscriptionHistory('change_scheduled', {
+        planId,
+        startDate: payment.subscription.startDate,
+        endDate: payment.subscription.endDate,
+        reason
+      });
+    } else if (!changeType && this.isActivePlan(user, planId)) {
+      // The same plan bought again: the new cycle follows the current one, so no paid days are
+      // lost and the usage period keeps its anchor
+      const startDate = new Date(user.subscription.endDate);
+      const endDate = addBillingCycle(startDate, payment.billingCycle);
+      payment.subscription.startDate = startDate;
+      payment.subscription.endDate = endDate;
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { 'subscription.startDate': startDate, 'subscription.endDate': endDate } }
+      );
+
+      user.subscription.endDate = endDate;
+      user.subscription.billingCycle = payment.billingCycle;
+      user.subscription.remindersSent = [];
+      user.addSubscriptionHistory('renewed', { reason });
+    } else {
+      user.subscription = {
+        planId,
+        status: 'active',
+        startDate: payment.subscription.startDate,
+        endDate: payment.subscription.endDate,
+        autoRenewal: payment.subscription.autoRenewal,
+        billingCycle: payment.billingCycle
+      };
+      user.addSubscriptionHistory(changeType === 'upgrade' ? 'upgraded' : 'activated', { reason });
+      await entitlementService.startPlanPeriod(user);
+    }
+
+    await user.save();
+
+    console.log(`✅ Subscription activated for user ${user.phoneNumber} (${source})`);
+
+    // Issue and email the GST invoice (none for orders a voucher paid in full); a failure
+    // here must not undo the activation
+    if (payment.finalAmount > 0) {
+      try {
+        await invoiceService.issueInvoice(payment);
+      } catch (error) {
+        console.error(`❌ Invoice generation error for payment ${payment.orderId}:`, error);
+      }
+    }
+
+    // The referee's first paid payment earns their referrer a reward
+    try {
+      await referralService.handlePaidPayment(payment);
+    } catch (error) {
+      console.error(`❌ Referral processing error for payment ${payment.orderId}:`, error);
+    }
+
+    return { applied: true, user };
+  }
+
+  // Resolve the user a Razorpay subscription entity belongs to
+  async findUserForSubscription(subscriptionEntity) {
+    const user = await User.findOne({
+      'subscription.razorpaySubscriptionId': subscriptionEntity.id
+    });
+
+    if (user || !subscriptionEntity.notes?.userId) {
+      return user;
+    }
+
+    return User.findById(subscriptionEntity.notes.userId);
+  }
+
+  // subscription.activated - mandate authorised by the farmer
+  async handleActivated(subscriptionEntity) {
+    const user = await this.findUserForSubscription(subscriptionEntity);
+    if (!user) {
+      console.warn(`Subscription activated for unknown user: ${subscriptionEntity.id}`);
+      return;
+    }
+
+    user.subscription.autoRenewal = true;
+    user.subscription.razorpaySubscriptionId = subscriptionEntity.id;
+    await user.save();
+
+    console.log(`🔁 Auto-renewal activated for user ${user.phoneNumber}`);
+  }
+
+  // subscription.charged - a renewal payment succeeded, extend the paid period
+  async handleCharged(subscriptionEntity, paymentEntity) {
+    const user = await this.findUserForSubscription(subscriptionEntity);
+    if (!user) {
+      console.warn(`Subscription charged for unknown user: ${subscriptionEntity.id}`);
+      return;
+    }
+
+    if (paymentEntity) {
+      const existingPayment = await Payment.findOne({ razorpayPaymentId: paymentEntity.id });
+      if (existingPayment) {
+        return;
+      }
+    }
+
+    const planId = subscriptionEntity.notes?.planId || user.subscription.planId;
+    const billingCycle = subscriptionEntity.notes?.billingCycle || user.subscription.billingCycle || 'monthly';
+
+    const startDate = subscriptionEntity.current_start ?
+      new Date(subscriptionEntity.current_start * 1000) : new Date();
+    let endDate;
+    if (subscriptionEntity.current_end) {
+      endDate = new Date(subscriptionEntity.current_end * 1000);
+    } else {
+      endDate = new Date(startDate);
+      if (billingCycle === 'yearly') {
+        endDate.setFullYear(endDate.getFullYear() + 1);
+      } else {
+        endDate.setMonth(endDate.getMonth() + 1);
+      }
+    }
+
+    if (paymentEntity) {
+      // Recurring charges can arrive as emandate/nach, which the Payment model does not list;
+      // the raw method stays in the recorded webhook event
+      const paymentMethod = Payment.schema.path('paymentMethod').enumValues.includes(paymentEntity.method) ?
+        paymentEntity.method : undefined;
+
+      const payment = new Payment({
+        userId: user._id,
+        planId,
+        orderId: `PM_RENEW_${paymentEntity.id}`.toUpperCase(),
+        razorpayOrderId: paymentEntity.order_id || subscriptionEntity.id,
+        razorpayPaymentId: paymentEntity.id,
+        razorpaySubscriptionId: subscriptionEntity.id,
+        amount: paymentEntity.amount / 100,
+        currency: paymentEntity.currency || 'INR',
+        billingCycle,
+        status: 'paid',
+        paymentMethod,
+        subscription: {
+          startDate,
+          endDate,
+          autoRenewal: true
+        },
+        customerDetails: {
+          name: user.name,
+          email: user.email,
+          phoneNumber: user.phoneNumber,
+          address: user.location
+        },
+        metadata: {
+          source: 'api'
+        },
+        webhookEvents: [{
+          eventType: 'subscription.charged',
+          eventData: paymentEntity,
+          receivedAt: new Date()
+        }]
+      });
+      await payment.save();
+
+      try {
+        await invoiceService.issueInvoice(payment);
+      } catch (error) {
+        console.error(`❌ Invoice generation error for renewal ${payment.orderId}:`, error);
+      }
+    }
+
+    user.subscription.planId = planId;
+    user.subscription.status = 'active';
+    user.subscription.billingCycle = billingCycle;
+    user.subscription.autoRenewal = true;
+    user.subscription.razorpaySubscriptionId = subscriptionEntity.id;
+    if (!user.subscription.endDate || endDate > user.subscription.endDate) {
+      // A new paid cycle starts a fresh usage period anchored to its start
+      user.subscription.startDate = startDate;
+      user.subscription.endDate = endDate;
+      await entitlementService.rolloverPeriod(user, new Date(), 'renewal');
+    }
+    user.addSubscriptionHistory('renewed', { reason: `Razorpay subscription ${subscriptionEntity.id} charged` });
+    await user.save();
+
+    console.log(`🔁 Subscription renewed for user ${user.phoneNumber} until ${user.subscription.endDate.toISOString()}`);
+  }
+
+  // subscription.cancelled / subscription.halted / subscription.completed - renewals stopped
+  async handleEnded(subscriptionEntity, eventType) {
+    const user = await this.findUserForSubscription(subscriptionEntity);
+    if (!user || user.subscription.razorpaySubscriptionId !== subscriptionEntity.id) {
+      return;
+    }
+
+    user.subscription.autoRenewal = false;
+    user.subscription.razorpaySubscriptionId = undefined;
+
+    // Renewal charges stop at the end of a paid period, so downgrade once that period is over
+    if (!user.hasActiveSubscription()) {
+      user.subscription.status = 'cancelled';
+      user.addSubscriptionHistory('cancelled', { reason: `Razorpay ${eventType}` });
+    }
+
+    await user.save();
+
+    console.log(`⏹️ Auto-renewal ended (${eventType}) for user ${user.phoneNumber}`);
+  }
+
+  // Flip active subscriptions past their endDate to expired (free tier limits apply from then on)
+  async expireSubscriptions(now = new Date()) {
+    const graceCutoff = new Date(now.getTime() - RENEWAL_GRACE_HOURS * 60 * 60 * 1000);
+
+    const users = await User.find({
+      'subscription.status': 'active',
+      'subscription.endDate': { $lte: now }
+    }).populate('subscription.planId', 'name displayName');
+
+    let expired = 0;
+    let switched = 0;
+
+    for (const user of users) {
+      try {
+        // A prepaid plan change takes over from the period that just ended
+        if (user.subscription.scheduledChange?.effectiveAt) {
+          await this.applyScheduledChange(user, now);
+          await user.save();
+          switched += 1;
+          continue;
+        }
+
+        // Give Razorpay time to deliver subscription.charged for auto-renewing users
+        if (user.subscription.autoRenewal &&
+            user.subscription.razorpaySubscriptionId &&
+            user.subscription.endDate > graceCutoff) {
+          continue;
+        }
+
+        const plan = user.subscription.planId;
+
+        user.subscription.status = 'expired';
+        user.subscription.autoRenewal = false;
+        user.addSubscriptionHistory('expired', { reason: 'Subscription period ended' });
+        await user.save();
+        expired += 1;
+
+        await notificationService.dispatch('subscription.expired', user, {
+          planName: plan?.displayName?.en || plan?.name || 'Prani Mitra'
+        });
+      } catch (error) {
+        console.error(`Expire subscription error for user ${user._id}:`, error);
+      }
+    }
+
+    return { processed: users.length, expired, switched };
+  }
+
+  // Send expiry reminders 7/3/1 days before endDate (once per reminder per endDate)
+  async sendExpiryReminders(now = new Date()) {
+    const horizon = new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS);
+
+    const users = await User.find({
+      'subscription.status': 'active',
+      'subscription.endDate': { $gt: now, $lte: horizon }
+    }).populate('subscription.planId', 'name displayName');
+
+    let sent = 0;
+
+    for (const user of users) {
+      try {
+        // Auto-renewing subscriptions are charged, not expired, and scheduled changes are prepaid
+        if ((user.subscription.autoRenewal && user.subscription.razorpaySubscriptionId) ||
+            user.subscription.scheduledChange?.effectiveAt) {
+          continue;
+        }
+
+        const endDate = user.subscription.endDate;
+        const daysLeft = Math.ceil((endDate - now) / DAY_MS);
+        const daysBefore = [...REMINDER_DAYS].sort((a, b) => a - b).find(days => daysLeft <= days);
+
+        const alreadySent = (user.subscription.remindersSent || []).some(reminder =>
+          reminder.daysBefore === daysBefore &&
+          reminder.endDate &&
+          reminder.endDate.getTime() === endDate.getTime()
+        );
+
+        if (!daysBefore || alreadySent) {
+          continue;
+        }
+
+        const plan = user.subscription.planId;
+        const deliveries = await notificationService.dispatch('subscription.expiry_reminder', user, {
+          planName: plan?.displayName?.en || plan?.name || 'Prani Mitra',
+          endDate,
+          daysLeft
+        });
+
+        // Queued deliveries are retried by the notification job, so the reminder counts as sent
+        if (deliveries.some(delivery => delivery.status !== 'skipped')) {
+          user.subscription.remindersSent.push({ daysBefore, endDate, sentAt: new Date() });
+          await user.save();
+          sent += 1;
+        }
+      } catch (error) {
+        console.error(`Expiry reminder error for user ${user._id}:`, error);
+      }
+    }
+
+    return { processed: users.length, sent };
+  }
+}
+
+module.exports = new SubscriptionService();
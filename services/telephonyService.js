@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const advisoryService = require('./advisoryService');
+const entitlementService = require('./entitlementService');
+const notificationService = require('./notificationService');
+
+// Window in which a provider call from a farmer's phone is matched to their initiated call
+const MATCH_WINDOW_MINUTES = 30;
+
+// Constant-time string comparison
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Provider statuses mapped onto Call.callDetails.status (null = informational only)
+const normalizeStatus = (providerStatus) => {
+  switch ((providerStatus || '').toLowerCase()) {
+    case 'in-progress':
+    case 'answered':
+    case 'connected':
+      return 'connected';
+    case 'completed':
+      return 'completed';
+    case 'busy':
+    case 'failed':
+      return 'failed';
+    case 'no-answer':
+    case 'canceled':
+    case 'cancelled':
+    case 'abandoned':
+      return 'abandoned';
+    default:
+      return null;
+  }
+};
+
+// The fake provider signs with a well-known default secret, so it is only used when
+// NODE_ENV names a non-production environment
+const isLocalEnvironment = () => Boolean(process.env.NODE_ENV) && process.env.NODE_ENV !== 'production';
+
+const toInt = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? undefined : parsed;
+};
+
+class TelephonyService {
+  constructor() {
+    const providerName = (process.env.TELEPHONY_PROVIDER || 'fake').toLowerCase();
+
+    if (providerName === 'twilio' && process.env.TWILIO_AUTH_TOKEN) {
+      this.adapter = new TwilioAdapter(process.env.TWILIO_AUTH_TOKEN);
+    } else if (providerName === 'exotel' && process.env.TELEPHONY_WEBHOOK_SECRET) {
+      this.adapter = new ExotelAdapter(process.env.TELEPHONY_WEBHOOK_SECRET);
+    } else if (isLocalEnvironment()) {
+      if (providerName !== 'fake') {
+        console.warn(`Telephony credentials for ${providerName} not found. Using fake telephony provider.`);
+      }
+      this.adapter = new FakeTelephonyAdapter(process.env.TELEPHONY_WEBHOOK_SECRET || 'local-telephony-secret');
+    } else {
+      console.error(`❌ No telephony credentials for ${providerName} in production. Telephony webhooks will be rejected.`);
+      this.adapter = new DisabledTelephonyAdapter(providerName);
+    }
+  }
+
+  getProviderName() {
+    return this.adapter.name;
+  }
+
+  verifyRequest(req) {
+    try {
+      return this.adapter.verifySignature(req);
+    } catch (error) {
+      console.error('Telephony signature verification error:', error);
+      return false;
+    }
+  }
+
+  parseEvent(payload) {
+    return this.adapter.parseEvent(payload || {});
+  }
+
+  // Find the Call a provider event belongs to
+  async findCall(event) {
+    if (event.callSid) {
+      const call = await Call.findOne({ 'telephony.callSid': event.callSid });
+      if (call) return call;
+    }
+
+    // Provider passed our call ID through (custom field / outbound call)
+    if (event.callId) {
+      const call = await Call.findOne({ callId: event.callId });
+      if (call) return call;
+    }
+
+    // Inbound call to the toll-free number: match the farmer's latest initiated call
+    const phone = (event.from || '').replace(/\D/g, '').slice(-10);
+    if (!phone) return null;
+
+    return Call.findOne({
+      phoneNumber: phone,
+      channel: 'voice',
+      'callDetails.status': 'initiated',
+      'telephony.callSid': { $exists: false },
+      createdAt: { $gte: new Date(Date.now() - MATCH_WINDOW_MINUTES * 60 * 1000) }
+    }).sort({ createdAt: -1 });
+  }
+
+  // Apply a normalized provider event to its Call
+  async handleEvent(event) {
+    const call = await this.findCall(event);
+    if (!call) {
+      return { success: false, code: 'CALL_NOT_FOUND', error: 'No call matches this event' };
+    }
+
+    call.telephony = call.telephony || {};
+    call.telephony.provider = this.adapter.name;
+    call.telephony.callSid = call.telephony.callSid || event.callSid;
+    if (event.from) call.telephony.from = event.from;
+    if (event.to) call.telephony.to = event.to;
+    if (event.duration !== undefined) call.telephony.providerDuration = event.duration;
+    call.telephony.lastEventAt = new Date();
+    call.telephony.events.push({ status: event.status, providerStatus: event.providerStatus });
+
+    if (event.recordingUrl) {
+      call.telephony.recordingUrl = event.recordingUrl;
+      call.query = call.query || {};
+      call.query.audioUrl = event.recordingUrl;
+    }
+
+    if (event.transcription) {
+      call.query = call.query || {};
+      call.query.transcription = event.transcription;
+    }
+
+    const previousStatus = call.callDetails.status;
+    let summaryRecipient = null;
+    if (event.status && event.status !== previousStatus) {
+      if (!call.transitionTo(event.status)) {
+        await call.save();
+        return {
+          success: false,
+          code: 'ILLEGAL_STATUS_TRANSITION',
+          error: `Cannot move call from ${previousStatus} to ${event.status}`,
+          call
+        };
+      }
+
+      const user = await User.findById(call.userId);
+
+      if (event.status === 'completed') {
+        // Answer from the transcription if the IVR did not get a response elsewhere
+        if (call.query?.transcription && !call.response?.text) {
+          const advice = await advisoryService.answerCall(call, user);
+          if (!advice.success) {
+            console.error(`Advisory failed for call ${call.callId}: ${advice.error}`);
+          }
+        }
+
+        if (user) {
+          entitlementService.recordCallMinutes(user, call);
+          await user.save();
+          summaryRecipient = user;
+        }
+      }
+
+      // Give back quota for calls that never reached the farmer
+      if (['failed', 'abandoned'].includes(event.status) && user) {
+        user.refundCallUsage();
+        await user.save();
+      }
+    }
+
+    await call.save();
+
+    if (summaryRecipient) {
+      await notificationService.dispatch('call.completed', summaryRecipient, { callId: call._id });
+    }
+
+    return { success: true, call, previousStatus };
+  }
+
+  // Sign a payload the way the fake provider does (for local testing)
+  signFakePayload(rawBody) {
+    return this.adapter instanceof FakeTelephonyAdapter ? this.adapter.sign(rawBody) : null;
+  }
+}
+
+// Twilio status callbacks (form-encoded, X-Twilio-Signature = base64 HMAC-SHA1 of URL + sorted params)
+class TwilioAdapter {
+  constructor(authToken) {
+    this.name = 'twilio';
+    this.authToken = authToken;
+  }
+
+  verifySignature(req) {
+    const baseUrl = process.env.TELEPHONY_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const url = `${baseUrl}${req.originalUrl}`;
+    const params = req.body || {};
+    const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+
+    const expected = crypto.createHmac('sha1', this.authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+    return safeEqual(expected, req.headers['x-twilio-signature']);
+  }
+
+  parseEvent(payload) {
+    return {
+      callSid: payload.CallSid,
+      providerStatus: payload.CallStatus || payload.RecordingStatus,
+      status: normalizeStatus(payload.CallStatus),
+      from: payload.From || payload.Caller,
+      to: payload.To || payload.Called,
+      callId: payload.callId,
+      recordingUrl: payload.RecordingUrl,
+      transcription: payload.TranscriptionText,
+      duration: toInt(payload.CallDuration || payload.RecordingDuration)
+    };
+  }
+}
+
+// Exotel passthru/status callbacks, signed with a shared secret (HMAC-SHA256 of the raw body)
+class ExotelAdapter {
+  constructor(secret) {
+    this.name = 'exotel';
+    this.secret = secret;
+  }
+
+  verifySignature(req) {
+    const expected = crypto.createHmac('sha256', this.secret).update(req.rawBody || '').digest('hex');
+    return safeEqual(expected, req.headers['x-telephony-signature']);
+  }
+
+  parseEvent(payload) {
+    return {
+      callSid: payload.CallSid,
+      providerStatus: payload.Status || payload.DialCallStatus,
+      status: normalizeStatus(payload.Status || payload.DialCallStatus),
+      from: payload.CallFrom || payload.From,
+      to: payload.CallTo || payload.To,
+      callId: payload.CustomField,
+      recordingUrl: payload.RecordingUrl,
+      transcription: payload.Transcription,
+      duration: toInt(payload.ConversationDuration || payload.DialCallDuration)
+    };
+  }
+}
+
+// Used in production when the configured provider has no credentials: every webhook is rejected
+class DisabledTelephonyAdapter {
+  constructor(providerName) {
+    this.name = providerName;
+  }
+
+  verifySignature() {
+    return false;
+  }
+
+  parseEvent() {
+    return {};
+  }
+}
+
+// Local fake provider: JSON payloads in normalized form, HMAC-SHA256 signed
+class FakeTelephonyAdapter {
+  constructor(secret) {
+    this.name = 'fake';
+    this.secret = secret;
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+  }
+
+  verifySignature(req) {
+    return safeEqual(this.sign(req.rawBody || ''), req.headers['x-telephony-signature']);
+  }
+
+  parseEvent(payload) {
+    return {
+      callSid: payload.callSid,
+      providerStatus: payload.status,
+      status: normalizeStatus(payload.status),
+      from: payload.from,
+      to: payload.to,
+      callId: payload.callId,
+      recordingUrl: payload.recordingUrl,
+      transcription: payload.transcription,
+      duration: toInt(payload.duration)
+    };
+  }
+}
+
+// Create singleton instance
+const telephonyService = new TelephonyService();
+
+module.exports = telephonyService;
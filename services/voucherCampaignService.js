@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const Voucher = require('../models/Voucher');
+const VoucherCampaign = require('../models/VoucherCampaign');
+const Payment = require('../models/Payment');
+
+// No 0/O or 1/I, so codes read out over the phone or printed on slips are not mistyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const BATCH_SIZE = 1000;
+// Rounds of regenerating codes that collided with existing ones before giving up
+const MAX_ROUNDS = 5;
+
+class VoucherCampaignService {
+  generateCode(prefix) {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = prefix;
+    for (const byte of bytes) {
+      code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+    return code;
+  }
+
+  // Issue `count` new unique single-use codes for the campaign; returns how many were created
+  async generateCodes(campaign, count) {
+    let issued = 0;
+
+    for (let round = 0; round < MAX_ROUNDS && issued < count; round++) {
+      while (issued < count) {
+        const batchSize = Math.min(BATCH_SIZE, count - issued);
+        const codes = new Set();
+        while (codes.size < batchSize) {
+          codes.add(this.generateCode(campaign.codePrefix));
+        }
+
+        const inserted = await this.insertBatch(campaign, [...codes]);
+        issued += inserted;
+
+        // Some codes already existed; regenerate the shortfall in the next round
+        if (inserted < batchSize) {
+          break;
+        }
+      }
+    }
+
+    await VoucherCampaign.updateOne({ _id: campaign._id }, { $inc: { issuedCount: issued } });
+    campaign.issuedCount += issued;
+
+    console.log(`🎟️ Issued ${issued} codes for campaign ${campaign.name}`);
+    return issued;
+  }
+
+  // Insert one batch, skipping codes that clash with existing vouchers
+  async insertBatch(campaign, codes) {
+    try {
+      const docs = await Voucher.insertMany(codes.map(code => campaign.buildVoucher(code)), { ordered: false });
+      return docs.length;
+    } catch (error) {
+      const duplicatesOnly = error.writeErrors?.every(writeError => writeError.code === 11000);
+      if (error.code !== 11000 && !duplicatesOnly) {
+        throw error;
+      }
+      return error.insertedDocs?.length ?? (codes.length - error.writeErrors.length);
+    }
+  }
+
+  // Issued vs redeemed codes and the revenue of orders paid with them
+  async getStats(campaign, now = new Date()) {
+    const [codes, revenue] = await Promise.all([
+      Voucher.aggregate([
+        { $match: { campaignId: campaign._id } },
+        {
+          $project: {
+            redeemed: { $gt: ['$usage.totalUsed', 0] },
+            reserved: { $gt: [{ $size: { $ifNull: ['$usage.reservations', []] } }, 0] },
+            isActive: 1
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            issued: { $sum: 1 },
+            redeemed: { $sum: { $cond: ['$redeemed', 1, 0] } },
+            reserved: { $sum: { $cond: [{ $and: [{ $not: ['$redeemed'] }, '$reserved'] }, 1, 0] } },
+            unused: {
+              $sum: { $cond: [{ $and: ['$isActive', { $not: ['$redeemed'] }, { $not: ['$reserved'] }] }, 1, 0] }
+            }
+          }
+        }
+      ]),
+      Payment.aggregate([
+        { $match: { 'discounts.campaignId': campaign._id, status: { $in: ['paid', 'refunded'] } } },
+        {
+          $group: {
+            _id: '$status',
+            orders: { $sum: 1 },
+            listPrice: { $sum: '$amount' },
+            discount: { $sum: '$discounts.discountAmount' }
+          }
+        }
+      ])
+    ]);
+
+    const totals = codes[0] || { issued: 0, redeemed: 0, reserved: 0, unused: 0 };
+    const paid = revenue.find(group => group._id === 'paid') || { orders: 0, listPrice: 0, discount: 0 };
+    const refunded = revenue.find(group => group._id === 'refunded');
+    // Codes nobody used before the campaign ended can no longer be redeemed
+    const ended = campaign.validUntil <= now;
+
+    return {
+      issued: totals.issued,
+      redeemed: totals.redeemed,
+      reserved: totals.reserved,
+      unused: ended ? 0 : totals.unused,
+      expiredUnused: ended ? totals.unused : 0,
+      redemptionRate: totals.issued ? Math.round((totals.redeemed / totals.issued) * 10000) / 100 : 0,
+      revenue: {
+        orders: paid.orders,
+        listPrice: paid.listPrice,
+        discountGiven: paid.discount,
+        collected: paid.listPrice - paid.discount,
+        refundedOrders: refunded ? refunded.orders : 0
+      }
+    };
+  }
+
+  // Rows for the CSV handed to the partner (one per code)
+  async exportRows(campaign, { status } = {}, now = new Date()) {
+    const filter = { campaignId: campaign._id };
+    if (status === 'redeemed') {
+      filter['usage.totalUsed'] = { $gt: 0 };
+    } else if (status === 'unused') {
+      filter['usage.totalUsed'] = 0;
+    }
+
+    const vouchers = await Voucher.find(filter)
+      .select('code isActive validFrom validUntil usage.totalUsed usage.userUsage')
+      .sort({ code: 1 })
+      .lean();
+
+    const codeStatus = (voucher) => {
+      if (voucher.usage.totalUsed > 0) return 'redeemed';
+      if (voucher.validUntil && voucher.validUntil <= now) return 'expired';
+      return voucher.isActive ? 'unused' : 'deactivated';
+    };
+
+    return vouchers.map(voucher => ({
+      code: voucher.code,
+      status: codeStatus(voucher),
+      redeemedAt: voucher.usage.userUsage?.[0]?.lastUsed ? voucher.usage.userUsage[0].lastUsed.toISOString() : '',
+      validFrom: voucher.validFrom ? voucher.validFrom.toISOString() : '',
+      validUntil: voucher.validUntil ? voucher.validUntil.toISOString() : ''
+    }));
+  }
+}
+
+module.exports = new VoucherCampaignService();
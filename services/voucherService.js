@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Voucher = require('../models/Voucher');
+const Payment = require('../models/Payment');
+
+// How long an unpaid order holds a voucher use before it is released
+const RESERVATION_MINUTES = parseInt(process.env.VOUCHER_RESERVATION_MINUTES) || 30;
+
+// Number of elements in an array field that may be missing on older vouchers
+const sizeOf = (field) => ({ $size: { $ifNull: [field, []] } });
+
+class VoucherService {
+  // Hold one use of the voucher for an order. The limit check and the reservation happen in a
+  // single update, so concurrent orders cannot both take the last use.
+  async reserve(voucher, user, paymentId, now = new Date()) {
+    const userObjectId = new mongoose.Types.ObjectId(String(user._id));
+
+    const usedByUser = {
+      $sum: {
+        $map: {
+          input: {
+            $filter: {
+              input: { $ifNull: ['$usage.userUsage', []] },
+              cond: { $eq: ['$$this.userId', userObjectId] }
+            }
+          },
+          in: '$$this.usedCount'
+        }
+      }
+    };
+    const reservedByUser = {
+      $size: {
+        $filter: {
+          input: { $ifNull: ['$usage.reservations', []] },
+          cond: { $eq: ['$$this.userId', userObjectId] }
+        }
+      }
+    };
+
+    const reserved = await Voucher.findOneAndUpdate(
+      {
+        _id: voucher._id,
+        isActive: true,
+        $and: Voucher.validityConditions(now),
+        $expr: {
+          $and: [
+            { $lt: [{ $add: ['$usage.totalUsed', sizeOf('$usage.reservations')] }, '$usageLimit'] },
+            { $lt: [{ $add: [usedByUser, reservedByUser] }, { $ifNull: ['$usage.perUserLimit', 1] }] }
+          ]
+        }
+      },
+      {
+        $push: {
+          'usage.reservations': {
+            paymentId,
+            userId: userObjectId,
+            reservedAt: now,
+            expiresAt: new Date(now.getTime() + RESERVATION_MINUTES * 60 * 1000)
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (reserved) {
+      return { success: true, voucher: reserved };
+    }
+
+    // Lost a race (or the voucher changed); explain with the current state
+    const current = await Voucher.findById(voucher._id);
+    const canUse = current ? current.canUserUse(user._id, user) : null;
+
+    return {
+      success: false,
+      code: canUse && !canUse.canUse ? canUse.code : 'VOUCHER_LIMIT_EXCEEDED',
+      error: canUse && !canUse.canUse ? canUse.reason : 'Voucher usage limit exceeded'
+    };
+  }
+
+  // Turn the order's reservation into a use once it is paid. Called once per payment
+  // (activateFromPayment claims the payment first). A payment whose reservation already
+  // lapsed only counts while the voucher has a use left; otherwise the payment is flagged
+  // for review instead of going over usageLimit.
+  async commit(payment, now = new Date()) {
+    let voucherId = payment.discounts?.voucherId;
+    if (!voucherId && payment.discounts?.couponCode) {
+      const voucher = await Voucher.findOne({ code: payment.discounts.couponCode }).select('_id');
+      voucherId = voucher?._id;
+    }
+
+    if (!voucherId) {
+      return false;
+    }
+
+    const userId = payment.userId._id || payment.userId;
+
+    const reserved = await Voucher.updateOne(
+      { _id: voucherId, 'usage.reservations.paymentId': payment._id },
+      {
+        $pull: { 'usage.reservations': { paymentId: payment._id } },
+        $inc: { 'usage.totalUsed': 1 }
+      }
+    );
+
+    if (!reserved.matchedCount) {
+      // The reservation lapsed and was released; other orders' reservations keep their uses
+      const late = await Voucher.updateOne(
+        {
+          _id: voucherId,
+          $expr: { $lt: [{ $add: ['$usage.totalUsed', sizeOf('$usage.reservations')] }, '$usageLimit'] }
+        },
+        { $inc: { 'usage.totalUsed': 1 } }
+      );
+
+      if (!late.matchedCount) {
+        await this.flagForReview(payment, voucherId, now);
+        return false;
+      }
+    }
+
+    await this.addUserUsage(voucherId, userId, now);
+    return true;
+  }
+
+  // A paid order whose voucher use could not be counted (see commit)
+  async flagForReview(payment, voucherId, now) {
+    const exists = await Voucher.exists({ _id: voucherId });
+    const reason = exists ? 'VOUCHER_LIMIT_REACHED' : 'VOUCHER_NOT_FOUND';
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { 'discounts.voucherReview': { reason, flaggedAt: now } } }
+    );
+
+    console.warn(`⚠️ Voucher ${payment.discounts.couponCode} not counted for payment ${payment.orderId} (${reason}); flagged for review`);
+  }
+
+  // Increment the farmer's use count, adding their entry on first use
+  async addUserUsage(voucherId, userId, now) {
+    const counted = await Voucher.updateOne(
+      { _id: voucherId, 'usage.userUsage.userId': userId },
+      {
+        $inc: { 'usage.userUsage.$.usedCount': 1 },
+        $set: { 'usage.userUsage.$.lastUsed': now }
+      }
+    );
+
+    if (counted.matchedCount) {
+      return;
+    }
+
+    const added = await Voucher.updateOne(
+      { _id: voucherId, 'usage.userUsage.userId': { $ne: userId } },
+      { $push: { 'usage.userUsage': { userId, usedCount: 1, lastUsed: now } } }
+    );
+
+    // Another payment by the same farmer added the entry first
+    if (!added.matchedCount) {
+      await this.addUserUsage(voucherId, userId, now);
+    }
+  }
+
+  // Give the use back when the order fails or is abandoned
+  async release(payment) {
+    const result = await Voucher.updateOne(
+      { 'usage.reservations.paymentId': payment._id },
+      { $pull: { 'usage.reservations': { paymentId: payment._id } } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  // Switch off vouchers whose validity window has ended (scheduled job)
+  async expireVouchers(now = new Date()) {
+    const result = await Voucher.updateMany(
+      { isActive: true, validUntil: { $lte: now } },
+      { $set: { isActive: false, deactivatedAt: now, deactivationReason: 'expired' } }
+    );
+
+    if (result.modifiedCount) {
+      console.log(`🎟️ Deactivated ${result.modifiedCount} expired vouchers`);
+    }
+
+    return { deactivated: result.modifiedCount };
+  }
+
+  // Release reservations of orders that were never paid (scheduled job)
+  async releaseExpiredReservations(now = new Date()) {
+    const result = await Voucher.updateMany(
+      { 'usage.reservations.expiresAt': { $lte: now } },
+      { $pull: { 'usage.reservations': { expiresAt: { $lte: now } } } }
+    );
+
+    return { vouchers: result.modifiedCount };
+  }
+}
+
+module.exports = new VoucherService();
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const subscriptionService = require('./subscriptionService');
+const voucherService = require('./voucherService');
+const refundService = require('./refundService');
+
+// Processing attempts (deliveries + replays) before an event is moved to the dead-letter list
+const MAX_ATTEMPTS = 3;
+// Events still "processing" after this long were interrupted (e.g. by a restart)
+const LOCK_TIMEOUT_MINUTES = 10;
+
+const REPROCESSABLE_STATUSES = ['received', 'failed', 'dead_letter'];
+
+class WebhookService {
+  // HMAC SHA256 of the exact raw request body with the webhook secret
+  verifyRazorpaySignature(rawBody, signature) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !rawBody || !signature) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  // Store an incoming event once; repeated deliveries return the existing record
+  async record({ eventId, rawBody, body }) {
+    const id = eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+    const entity = body.payload?.payment?.entity || body.payload?.subscription?.entity || body.payload?.refund?.entity;
+
+    try {
+      const event = await WebhookEvent.create({
+        provider: 'razorpay',
+        eventId: id,
+        eventType: body.event,
+        entityId: entity?.order_id || entity?.id,
+        payload: body.payload,
+        eventCreatedAt: body.created_at ? new Date(body.created_at * 1000) : undefined
+      });
+
+      return { event, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const event = await WebhookEvent.findOneAndUpdate(
+        { provider: 'razorpay', eventId: id },
+        { $inc: { deliveries: 1 } },
+        { new: true }
+      );
+
+      return { event, duplicate: true };
+    }
+  }
+
+  // Whether a (re)delivered event still needs processing
+  needsProcessing(event, now = new Date()) {
+    return ['received', 'failed'].includes(event.status) || this.isStale(event, now);
+  }
+
+  // A "processing" event whose claim is older than LOCK_TIMEOUT_MINUTES
+  isStale(event, now = new Date()) {
+    return event.status === 'processing' &&
+      (!event.lockedAt || event.lockedAt <= new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60 * 1000));
+  }
+
+  // Process an event; failures are retried by the provider until MAX_ATTEMPTS, then dead-lettered
+  async process(event, now = new Date()) {
+    const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60 * 1000);
+
+    // Claim the event so concurrent deliveries don't process it twice; stale claims are taken over
+    const claimed = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: event._id,
+        $or: [
+          { status: { $in: REPROCESSABLE_STATUSES } },
+          { status: 'processing', lockedAt: { $lte: staleBefore } },
+          { status: 'processing', lockedAt: { $exists: false } }
+        ]
+      },
+      { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return event;
+    }
+
+    try {
+      const result = await this.dispatch(claimed.eventType, claimed.payload || {});
+
+      claimed.status = result?.ignored ? 'ignored' : 'processed';
+      claimed.outcome = result?.reason;
+      claimed.lastError = undefined;
+      claimed.processedAt = new Date();
+    } catch (error) {
+      console.error(`❌ Webhook ${claimed.eventType} (${claimed.eventId}) failed:`, error);
+      claimed.lastError = error.message;
+      claimed.status = claimed.attempts >= MAX_ATTEMPTS ? 'dead_letter' : 'failed';
+    }
+
+    claimed.lockedAt = undefined;
+    await claimed.save();
+    return claimed;
+  }
+
+  // Route an event to its handler; handlers return { ignored, reason } or nothing
+  async dispatch(eventType, payload) {
+    switch (eventType) {
+      case 'payment.captured':
+        return this.handlePaymentCaptured(payload.payment.entity);
+
+      case 'payment.failed':
+        return this.handlePaymentFailed(payload.payment.entity);
+
+      case 'subscription.activated':
+        return subscriptionService.handleActivated(payload.subscription.entity);
+
+      case 'subscription.charged':
+        return subscriptionService.handleCharged(payload.subscription.entity, payload.payment?.entity);
+
+      case 'subscription.cancelled':
+      case 'subscription.halted':
+      case 'subscription.completed':
+        return subscriptionService.handleEnded(payload.subscription.entity, eventType);
+
+      case 'refund.processed':
+      case 'refund.failed':
+        return refundService.handleRefundEvent(payload.refund.entity, eventType);
+
+      default:
+        return { ignored: true, reason: `Unhandled event type ${eventType}` };
+    }
+  }
+
+  // Capture can arrive before /verify has stored the payment ID, so look up by order first
+  async findPayment(paymentEntity) {
+    if (paymentEntity.order_id) {
+      const payment = await Payment.findOne({ razorpayOrderId: paymentEntity.order_id });
+      if (payment) {
+        return payment;
+      }
+    }
+
+    return Payment.findOne({ razorpayPaymentId: paymentEntity.id });
+  }
+
+  async handlePaymentCaptured(paymentEntity) {
+    const payment = await this.findPayment(paymentEntity);
+    if (!payment) {
+      // Subscription renewals are recorded by subscription.charged instead
+      return { ignored: true, reason: `No payment for order ${paymentEntity.order_id}` };
+    }
+
+    if (!payment.transitionTo('paid')) {
+      return { ignored: true, reason: `Payment ${payment.orderId} is ${payment.status}` };
+    }
+
+    payment.razorpayPaymentId = paymentEntity.id;
+    if (Payment.schema.path('paymentMethod').enumValues.includes(paymentEntity.method)) {
+      payment.paymentMethod = paymentEntity.method;
+    }
+    payment.webhookEvents.push({
+      eventType: 'payment.captured',
+      eventData: paymentEntity,
+      receivedAt: new Date()
+    });
+    await payment.save();
+
+    const { applied } = await subscriptionService.activateFromPayment(payment, 'webhook');
+
+    return { reason: applied ? 'Subscription activated' : 'Subscription already applied' };
+  }
+
+  async handlePaymentFailed(paymentEntity) {
+    const payment = await this.findPayment(paymentEntity);
+    if (!payment) {
+      return { ignored: true, reason: `No payment for order ${paymentEntity.order_id}` };
+    }
+
+    // A failed attempt must not undo a payment that was already captured
+    if (!payment.transitionTo('failed')) {
+      return { ignored: true, reason: `Payment ${payment.orderId} is ${payment.status}` };
+    }
+
+    if (!payment.razorpayPaymentId) {
+      payment.razorpayPaymentId = paymentEntity.id;
+    }
+    payment.webhookEvents.push({
+      eventType: 'payment.failed',
+      eventData: paymentEntity,
+      receivedAt: new Date()
+    });
+    await payment.save();
+    await voucherService.release(payment);
+  }
+
+  // Re-run a failed, dead-lettered or stale processing event (admin)
+  async replay(eventId, adminId) {
+    const event = mongoose.isValidObjectId(eventId) ? await WebhookEvent.findById(eventId) : null;
+    if (!event) {
+      return { success: false, code: 'EVENT_NOT_FOUND', error: 'Webhook event not found' };
+    }
+
+    if (!['failed', 'dead_letter'].includes(event.status) && !this.isStale(event)) {
+      return { success: false, code: 'EVENT_NOT_REPLAYABLE', error: `Event is ${event.status}` };
+    }
+
+    event.replayedBy = adminId;
+    await event.save();
+
+    const processed = await this.process(event);
+    return { success: processed.status !== 'failed' && processed.status !== 'dead_letter', event: processed };
+  }
+
+  async listEvents({ status, eventType, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    return { events: events.map(event => event.getSummary()), total };
+  }
+}
+
+module.exports = new WebhookService();
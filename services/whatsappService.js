@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Call = require('../models/Call');
+
+// node-fetch v3 is ESM-only; prefer the built-in fetch (Node 18+)
+const fetch = global.fetch || ((...args) => import('node-fetch').then(({ default: nodeFetch }) => nodeFetch(...args)));
+
+const GRAPH_API_VERSION = 'v19.0';
+
+// Constant-time string comparison
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Approved message templates (WhatsApp Manager) and the body parameters each one takes.
+// Business-initiated messages outside a 24-hour reply window must use a template.
+const TEMPLATES = {
+  call_summary: 'pranimitra_call_summary', // name, query type, answer excerpt
+  payment_receipt: 'pranimitra_payment_receipt', // name, amount, plan, invoice number
+  subscription_expiry_reminder: 'pranimitra_subscription_reminder', // name, plan, days left, end date
+  subscription_expired: 'pranimitra_subscription_expired', // name, plan
+  verification_approved: 'pranimitra_verification_approved', // name
+  verification_rejected: 'pranimitra_verification_rejected' // name, reason
+};
+
+const LANGUAGE_CODES = {
+  english: 'en',
+  hindi: 'hi',
+  telugu: 'te'
+};
+
+// Inbound keywords that change the farmer's opt-in
+const OPT_IN_KEYWORDS = ['START', 'JOIN', 'YES', 'SUBSCRIBE'];
+const OPT_OUT_KEYWORDS = ['STOP', 'UNSUBSCRIBE'];
+
+const CLOUD_SETTINGS = [
+  'WHATSAPP_ACCESS_TOKEN',
+  'WHATSAPP_PHONE_NUMBER_ID',
+  'WHATSAPP_APP_SECRET',
+  'WHATSAPP_VERIFY_TOKEN'
+];
+
+const isLocalEnvironment = () => Boolean(process.env.NODE_ENV) && process.env.NODE_ENV !== 'production';
+
+// WhatsApp numbers arrive as 919876543210; users are stored with the 10-digit number
+const toLocalNumber = (waId) => (waId || '').replace(/\D/g, '').slice(-10);
+
+// WhatsApp Business notifications through a pluggable provider (WHATSAPP_PROVIDER). Messages
+// are only sent to farmers who opted in and kept preferences.notifications.whatsapp on.
+class WhatsappService {
+  constructor() {
+    const providerName = (process.env.WHATSAPP_PROVIDER || 'stub').toLowerCase();
+    const missing = CLOUD_SETTINGS.filter(name => !process.env[name]);
+
+    // The cloud provider also needs both webhook secrets, so STOP replies always reach us
+    if (providerName === 'cloud' && missing.length === 0) {
+      this.provider = new CloudApiProvider(process.env.WHATSAPP_ACCESS_TOKEN, process.env.WHATSAPP_PHONE_NUMBER_ID);
+    } else {
+      if (providerName !== 'stub') {
+        console.warn(`WhatsApp settings for ${providerName} not found (${missing.join(', ')}). Using stub WhatsApp provider.`);
+      }
+      this.provider = new StubWhatsappProvider();
+    }
+
+    // Default webhook secrets are only for the stub provider in a non-production NODE_ENV
+    const localDefaults = providerName === 'stub' && isLocalEnvironment();
+    this.appSecret = process.env.WHATSAPP_APP_SECRET || (localDefaults ? 'local-whatsapp-secret' : null);
+    this.verifyToken = process.env.WHATSAPP_VERIFY_TOKEN || (localDefaults ? 'local-whatsapp-verify-token' : null);
+
+    if (!this.appSecret || !this.verifyToken) {
+      console.error('❌ WHATSAPP_APP_SECRET and WHATSAPP_VERIFY_TOKEN are not set. WhatsApp webhooks will be rejected.');
+    }
+  }
+
+  getProviderName() {
+    return this.provider.name;
+  }
+
+  canSend(user) {
+    return Boolean(
+      user?.isActive !== false &&
+      user?.phoneNumber &&
+      user.whatsapp?.optedIn &&
+      user.preferences?.notifications?.whatsapp !== false
+    );
+  }
+
+  // Send one template message; `params` fill the template body in order
+  async sendTemplate(user, template, params = []) {
+    if (!TEMPLATES[template]) {
+      return { success: false, code: 'UNKNOWN_TEMPLATE', error: `Unknown WhatsApp template ${template}` };
+    }
+
+    if (!this.canSend(user)) {
+      return { success: false, code: 'WHATSAPP_NOT_WANTED', error: 'User has not opted in to WhatsApp notifications' };
+    }
+
+    try {
+      const result = await this.provider.sendTemplate({
+        to: `91${user.phoneNumber}`,
+        name: TEMPLATES[template],
+        language: LANGUAGE_CODES[user.preferredLanguage] || LANGUAGE_CODES.english,
+        params: params.map(param => String(param ?? ''))
+      });
+
+      console.log(`💬 WhatsApp ${template} sent to ${user.phoneNumber}`);
+      return { success: true, provider: this.provider.name, messageId: result.messageId };
+    } catch (error) {
+      console.error(`WhatsApp send error (${this.provider.name}):`, error);
+      return { success: false, code: 'WHATSAPP_FAILED', provider: this.provider.name, error: error.message };
+    }
+  }
+
+  async sendCallSummary(call, user) {
+    if (call.channel === 'chat' || !call.response?.text) {
+      return { success: false, code: 'NO_SUMMARY', error: 'Call has no answer to summarise' };
+    }
+
+    const answer = call.response.text.length > 500 ? `${call.response.text.substring(0, 500)}...` : call.response.text;
+    const result = await this.sendTemplate(user, 'call_summary', [user.name, call.queryType.replace('_', ' '), answer]);
+
+    if (result.code === 'WHATSAPP_NOT_WANTED') {
+      return result;
+    }
+
+    call.whatsapp = {
+      sent: result.success,
+      sentAt: result.success ? new Date() : undefined,
+      messageId: result.messageId,
+      deliveryStatus: result.success ? 'sent' : 'failed',
+      failureReason: result.success ? undefined : result.error
+    };
+    await call.save();
+
+    return result;
+  }
+
+  async optIn(user, source, now = new Date()) {
+    user.whatsapp.optedIn = true;
+    user.whatsapp.optedInAt = now;
+    user.whatsapp.optInSource = source;
+    user.preferences.notifications.whatsapp = true;
+    await user.save();
+
+    console.log(`💬 ${user.phoneNumber} opted in to WhatsApp (${source})`);
+    return user.whatsapp;
+  }
+
+  async optOut(user, source, now = new Date()) {
+    user.whatsapp.optedIn = false;
+    user.whatsapp.optedOutAt = now;
+    user.whatsapp.optInSource = source;
+    await user.save();
+
+    console.log(`💬 ${user.phoneNumber} opted out of WhatsApp (${source})`);
+    return user.whatsapp;
+  }
+
+  // Meta's subscription handshake: echo the challenge when the verify token matches
+  verifyChallenge(query) {
+    if (this.verifyToken && query['hub.mode'] === 'subscribe' && safeEqual(query['hub.verify_token'], this.verifyToken)) {
+      return query['hub.challenge'];
+    }
+    return null;
+  }
+
+  // X-Hub-Signature-256: sha256=<hex HMAC of the raw body keyed with the app secret>
+  verifyRequest(req) {
+    if (!this.appSecret) {
+      return false;
+    }
+
+    const expected = `sha256=${this.sign(req.rawBody || '')}`;
+    return safeEqual(expected, req.headers['x-hub-signature-256']);
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.appSecret).update(rawBody).digest('hex');
+  }
+
+  // Inbound messages (opt-in/opt-out keywords) and status updates of sent messages
+  async handleWebhook(payload, now = new Date()) {
+    const summary = { messages: 0, statuses: 0, optIns: 0, optOuts: 0 };
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+
+        for (const message of value.messages || []) {
+          summary.messages += 1;
+          const result = await this.handleInboundMessage(message, now);
+          if (result === 'opt_in') summary.optIns += 1;
+          if (result === 'opt_out') summary.optOuts += 1;
+        }
+
+        for (const status of value.statuses || []) {
+          summary.statuses += 1;
+          await this.applyStatus(status, now);
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  async handleInboundMessage(message, now) {
+    const user = await User.findOne({ phoneNumber: toLocalNumber(message.from) });
+    if (!user) {
+      return null;
+    }
+
+    const keyword = (message.text?.body || message.button?.text || '').trim().toUpperCase();
+    user.whatsapp.lastInboundAt = now;
+
+    if (OPT_OUT_KEYWORDS.includes(keyword) && user.whatsapp.optedIn) {
+      await this.optOut(user, 'whatsapp', now);
+      return 'opt_out';
+    }
+
+    if (OPT_IN_KEYWORDS.includes(keyword) && !user.whatsapp.optedIn) {
+      await this.optIn(user, 'whatsapp', now);
+      return 'opt_in';
+    }
+
+    await user.save();
+    return null;
+  }
+
+  // Status updates can arrive out of order; only move forward (sent → delivered → read)
+  async applyStatus(status, now) {
+    const order = ['pending', 'sent', 'delivered', 'read'];
+
+    if (status.status === 'failed') {
+      const reason = status.errors?.[0]?.title || status.errors?.[0]?.message || 'failed';
+      await Call.updateOne(
+        { 'whatsapp.messageId': status.id, 'whatsapp.deliveryStatus': { $in: ['pending', 'sent'] } },
+        { $set: { 'whatsapp.deliveryStatus': 'failed', 'whatsapp.failureReason': reason } }
+      );
+      return;
+    }
+
+    const position = order.indexOf(status.status);
+    if (position === -1) {
+      return;
+    }
+
+    const update = { 'whatsapp.deliveryStatus': status.status };
+    if (status.status === 'delivered') update['whatsapp.deliveredAt'] = now;
+    if (status.status === 'read') update['whatsapp.readAt'] = now;
+
+    await Call.updateOne(
+      { 'whatsapp.messageId': status.id, 'whatsapp.deliveryStatus': { $in: order.slice(0, position) } },
+      { $set: update }
+    );
+  }
+}
+
+// Meta WhatsApp Cloud API
+class CloudApiProvider {
+  constructor(accessToken, phoneNumberId) {
+    this.name = 'cloud';
+    this.accessToken = accessToken;
+    this.phoneNumberId = phoneNumberId;
+  }
+
+  async sendTemplate({ to, name, language, params }) {
+    const res = await fetch(`https://graph.facebook.com/${GRAPH_API_VERSION}/${this.phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        to,
+        type: 'template',
+        template: {
+          name,
+          language: { code: language },
+          components: params.length ? [{
+            type: 'body',
+            parameters: params.map(text => ({ type: 'text', text }))
+          }] : []
+        }
+      })
+    });
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(`WhatsApp Cloud API rejected the message: ${data.error?.message || res.status}`);
+    }
+
+    return { messageId: data.messages?.[0]?.id };
+  }
+}
+
+// Local provider: logs template messages and keeps them in memory
+class StubWhatsappProvider {
+  constructor() {
+    this.name = 'stub';
+    this.outbox = [];
+  }
+
+  async sendTemplate({ to, name, language, params }) {
+    const messageId = `wamid.stub_${Date.now()}_${this.outbox.length}`;
+    this.outbox.push({ messageId, to, name, language, params, sentAt: new Date() });
+
+    console.log('=== STUB WHATSAPP ===');
+    console.log(`To: +${to}`);
+    console.log(`Template: ${name} (${language})`);
+    console.log(`Params: ${params.join(' | ')}`);
+    console.log('=====================');
+
+    return { messageId };
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+const whatsappService = new WhatsappService();
+
+module.exports = whatsappService;
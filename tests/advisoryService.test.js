@@ -0,0 +1,148 @@
+const ENV_KEYS = ['AI_PROVIDER', 'GEMINI_API_KEY', 'GEMINI_MODEL'];
+
+// advisoryService is a singleton that picks its provider when first required
+const loadAdvisoryService = (env = {}) => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  Object.assign(process.env, env);
+
+  let advisoryService;
+  jest.isolateModules(() => {
+    advisoryService = require('../services/advisoryService');
+  });
+  return advisoryService;
+};
+
+describe('advisoryService', () => {
+  const originalEnv = { ...process.env };
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('provider selection', () => {
+    it('uses the local provider without AI settings', () => {
+      expect(loadAdvisoryService().getProviderName()).toBe('local');
+    });
+
+    it('uses Gemini when GEMINI_API_KEY is set', () => {
+      const advisoryService = loadAdvisoryService({ GEMINI_API_KEY: 'test-key' });
+
+      expect(advisoryService.getProviderName()).toBe('gemini');
+      expect(advisoryService.provider.model).toBe('gemini-1.5-flash');
+    });
+
+    it('uses GEMINI_MODEL when set', () => {
+      const advisoryService = loadAdvisoryService({ GEMINI_API_KEY: 'test-key', GEMINI_MODEL: 'gemini-1.5-pro' });
+
+      expect(advisoryService.provider.model).toBe('gemini-1.5-pro');
+    });
+
+    it('falls back to the local provider when AI_PROVIDER=gemini has no key', () => {
+      const advisoryService = loadAdvisoryService({ AI_PROVIDER: 'gemini' });
+
+      expect(advisoryService.getProviderName()).toBe('local');
+      expect(console.warn).toHaveBeenCalledWith('GEMINI_API_KEY not found. Using local advisory provider.');
+    });
+
+    it('keeps the local provider when AI_PROVIDER=local even with a key', () => {
+      const advisoryService = loadAdvisoryService({ AI_PROVIDER: 'local', GEMINI_API_KEY: 'test-key' });
+
+      expect(advisoryService.getProviderName()).toBe('local');
+    });
+  });
+
+  describe('local provider', () => {
+    it('answers in the requested language', async () => {
+      const advisoryService = loadAdvisoryService();
+
+      const result = await advisoryService.generateAdvice({
+        queryType: 'emergency',
+        language: 'hindi',
+        question: 'मेरी गाय गिर गई है'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.advice.text).toContain('1962');
+      expect(result.advice.model).toBe('local-advisory');
+      expect(result.advice.tokens.input).toBeGreaterThan(0);
+    });
+
+    it('rejects an empty question', async () => {
+      const advisoryService = loadAdvisoryService();
+
+      const result = await advisoryService.generateAdvice({ queryType: 'general', question: '  ' });
+
+      expect(result).toEqual({ success: false, error: 'Question text is required' });
+    });
+
+    it('answers a call in place from its transcription', async () => {
+      const advisoryService = loadAdvisoryService();
+      const call = {
+        queryType: 'nutrition',
+        language: 'english',
+        query: { transcription: 'What should I feed my buffalo?' },
+        location: {}
+      };
+
+      const result = await advisoryService.answerCall(call, { farmingType: ['dairy'], location: { state: 'Telangana' } });
+
+      expect(result.success).toBe(true);
+      expect(call.response.text).toBe(result.advice.text);
+      expect(call.response.confidence).toBe(0.7);
+      expect(call.aiMetadata.model).toBe('local-advisory');
+    });
+  });
+
+  describe('Gemini provider', () => {
+    it('sends the prompt and reads the first candidate', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          modelVersion: 'gemini-1.5-flash-002',
+          candidates: [{ finishReason: 'STOP', content: { parts: [{ text: 'Give clean water. ' }] } }],
+          usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 8 }
+        })
+      });
+      const advisoryService = loadAdvisoryService({ GEMINI_API_KEY: 'test-key' });
+
+      const result = await advisoryService.generateAdvice({
+        queryType: 'animal_health',
+        language: 'english',
+        question: 'My cow has a fever',
+        history: [{ role: 'assistant', text: 'How old is the cow?' }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.advice).toMatchObject({
+        text: 'Give clean water.',
+        confidence: 0.85,
+        version: 'gemini-1.5-flash-002',
+        tokens: { input: 120, output: 8 }
+      });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toContain('gemini-1.5-flash:generateContent?key=test-key');
+      const body = JSON.parse(options.body);
+      expect(body.contents.map(content => content.role)).toEqual(['model', 'user']);
+      expect(body.contents[1].parts[0].text).toContain('My cow has a fever');
+    });
+
+    it('reports a failed request', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 429, text: async () => 'quota exceeded' });
+      const advisoryService = loadAdvisoryService({ GEMINI_API_KEY: 'test-key' });
+
+      const result = await advisoryService.generateAdvice({ queryType: 'general', question: 'Hello' });
+
+      expect(result).toEqual({ success: false, error: 'Gemini request failed: 429 quota exceeded' });
+    });
+  });
+});
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+
+jest.mock('../services/notificationService', () => ({
+  dispatch: jest.fn().mockResolvedValue({})
+}));
+
+const Call = require('../models/Call');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const telephonyService = require('../services/telephonyService');
+
+const ENV_KEYS = ['NODE_ENV', 'TELEPHONY_PROVIDER', 'TELEPHONY_WEBHOOK_SECRET', 'TWILIO_AUTH_TOKEN', 'TELEPHONY_WEBHOOK_BASE_URL'];
+
+// telephonyService is a singleton that picks its adapter when first required
+const loadTelephonyService = (env = {}) => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  Object.assign(process.env, env);
+
+  let service;
+  jest.isolateModules(() => {
+    service = require('../services/telephonyService');
+  });
+  return service;
+};
+
+const signedRequest = (secret, payload) => {
+  const rawBody = JSON.stringify(payload);
+  return {
+    rawBody,
+    body: payload,
+    headers: {
+      'x-telephony-signature': crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+    }
+  };
+};
+
+const buildCall = (callDetails = {}) => new Call({
+  userId: '507f1f77bcf86cd799439011',
+  callId: 'CALL_TEST_1',
+  phoneNumber: '9876543210',
+  language: 'english',
+  queryType: 'animal_health',
+  callDetails: { startTime: new Date(), status: 'initiated', ...callDetails }
+});
+
+const buildUser = () => new User({
+  name: 'Test Farmer',
+  phoneNumber: '9876543210',
+  role: 'farmer',
+  usage: { totalCalls: 1, monthlyCallsUsed: 1, monthlyMinutesUsed: 4 }
+});
+
+describe('telephonyService', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+    notificationService.dispatch.mockClear();
+  });
+
+  describe('signature verification', () => {
+    it('accepts fake provider events signed with the webhook secret', () => {
+      const service = loadTelephonyService({ NODE_ENV: 'development', TELEPHONY_WEBHOOK_SECRET: 'test-secret' });
+
+      expect(service.getProviderName()).toBe('fake');
+      expect(service.verifyRequest(signedRequest('test-secret', { callSid: 'FAKE_CA1', status: 'completed' }))).toBe(true);
+    });
+
+    it('signs payloads the way it verifies them', () => {
+      const service = loadTelephonyService({ NODE_ENV: 'development' });
+      const rawBody = JSON.stringify({ callSid: 'FAKE_CA1', status: 'in-progress' });
+
+      const req = { rawBody, headers: { 'x-telephony-signature': service.signFakePayload(rawBody) } };
+
+      expect(service.verifyRequest(req)).toBe(true);
+    });
+
+    it('rejects a wrong secret, a tampered body and a missing signature', () => {
+      const service = loadTelephonyService({ NODE_ENV: 'development', TELEPHONY_WEBHOOK_SECRET: 'test-secret' });
+      const tampered = signedRequest('test-secret', { callSid: 'FAKE_CA1', status: 'completed' });
+      tampered.rawBody = JSON.stringify({ callSid: 'FAKE_CA1', status: 'completed', duration: 1 });
+
+      expect(service.verifyRequest(signedRequest('other-secret', { callSid: 'FAKE_CA1' }))).toBe(false);
+      expect(service.verifyRequest(tampered)).toBe(false);
+      expect(service.verifyRequest({ rawBody: '{}', headers: {} })).toBe(false);
+    });
+
+    it('rejects every event in production without provider credentials', () => {
+      const service = loadTelephonyService({ NODE_ENV: 'production', TELEPHONY_PROVIDER: 'exotel' });
+      const req = signedRequest('local-telephony-secret', { callSid: 'FAKE_CA1', status: 'completed' });
+
+      expect(service.verifyRequest(req)).toBe(false);
+      expect(service.signFakePayload(req.rawBody)).toBeNull();
+    });
+
+    it('does not fall back to the fake provider when NODE_ENV is unset', () => {
+      const service = loadTelephonyService();
+      const req = signedRequest('local-telephony-secret', { callSid: 'FAKE_CA1' });
+
+      expect(service.verifyRequest(req)).toBe(false);
+      expect(service.signFakePayload(req.rawBody)).toBeNull();
+    });
+
+    it('verifies Exotel events with the shared secret', () => {
+      const service = loadTelephonyService({
+        NODE_ENV: 'production',
+        TELEPHONY_PROVIDER: 'exotel',
+        TELEPHONY_WEBHOOK_SECRET: 'exotel-secret'
+      });
+
+      expect(service.getProviderName()).toBe('exotel');
+      expect(service.verifyRequest(signedRequest('exotel-secret', { CallSid: 'EX1', Status: 'completed' }))).toBe(true);
+      expect(service.verifyRequest(signedRequest('test-secret', { CallSid: 'EX1', Status: 'completed' }))).toBe(false);
+    });
+
+    it('verifies Twilio events against the webhook URL and sorted parameters', () => {
+      const service = loadTelephonyService({
+        NODE_ENV: 'production',
+        TELEPHONY_PROVIDER: 'twilio',
+        TWILIO_AUTH_TOKEN: 'twilio-token',
+        TELEPHONY_WEBHOOK_BASE_URL: 'https://api.example.com'
+      });
+      const body = { CallStatus: 'completed', CallSid: 'CA1', CallDuration: '42' };
+      const data = 'https://api.example.com/api/telephony/eventsCallDuration42CallSidCA1CallStatuscompleted';
+      const signature = crypto.createHmac('sha1', 'twilio-token').update(data).digest('base64');
+      const req = { body, originalUrl: '/api/telephony/events', headers: { 'x-twilio-signature': signature } };
+
+      expect(service.getProviderName()).toBe('twilio');
+      expect(service.verifyRequest(req)).toBe(true);
+      expect(service.verifyRequest({ ...req, body: { ...body, CallDuration: '1' } })).toBe(false);
+    });
+  });
+
+  describe('event parsing', () => {
+    it('normalizes provider statuses', () => {
+      const statuses = ['in-progress', 'completed', 'busy', 'no-answer', 'ringing']
+        .map(status => telephonyService.parseEvent({ status }).status);
+
+      expect(statuses).toEqual(['connected', 'completed', 'failed', 'abandoned', null]);
+    });
+  });
+
+  describe('state transitions', () => {
+    let call;
+    let user;
+
+    beforeEach(() => {
+      call = buildCall();
+      user = buildUser();
+      jest.spyOn(Call, 'findOne').mockImplementation(async (query) => (query.callId === call.callId ? call : null));
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(Call.prototype, 'save').mockImplementation(async function() { return this; });
+      jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+    });
+
+    it('connects an initiated call and records the provider call SID', async () => {
+      const result = await telephonyService.handleEvent(
+        telephonyService.parseEvent({ callSid: 'FAKE_CA1', callId: 'CALL_TEST_1', status: 'in-progress' })
+      );
+
+      expect(result).toMatchObject({ success: true, previousStatus: 'initiated' });
+      expect(call.callDetails.status).toBe('connected');
+      expect(call.callDetails.connectedAt).toBeInstanceOf(Date);
+      expect(call.telephony.callSid).toBe('FAKE_CA1');
+      expect(call.telephony.events.map(event => event.status)).toEqual(['connected']);
+      expect(Call.prototype.save).toHaveBeenCalled();
+    });
+
+    it('completes a call, answers the transcription and bills its minutes', async () => {
+      call.transitionTo('connected');
+
+      const result = await telephonyService.handleEvent(telephonyService.parseEvent({
+        callId: 'CALL_TEST_1',
+        status: 'completed',
+        duration: '130',
+        transcription: 'My cow is not eating'
+      }));
+
+      expect(result.success).toBe(true);
+      expect(call.callDetails.status).toBe('completed');
+      expect(call.callDetails.endTime).toBeInstanceOf(Date);
+      expect(call.response.text).toBeTruthy();
+      expect(call.callDetails.billedMinutes).toBe(3);
+      expect(user.usage.monthlyMinutesUsed).toBe(7);
+      expect(notificationService.dispatch).toHaveBeenCalledWith('call.completed', user, { callId: call._id });
+    });
+
+    it('bills a completed call only once when the provider repeats the event', async () => {
+      call.transitionTo('connected');
+      const event = telephonyService.parseEvent({ callId: 'CALL_TEST_1', status: 'completed', duration: '60' });
+
+      await telephonyService.handleEvent(event);
+      await telephonyService.handleEvent(event);
+
+      expect(user.usage.monthlyMinutesUsed).toBe(5);
+      expect(notificationService.dispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives the call back when it fails', async () => {
+      const result = await telephonyService.handleEvent(
+        telephonyService.parseEvent({ callId: 'CALL_TEST_1', status: 'busy' })
+      );
+
+      expect(result.success).toBe(true);
+      expect(call.callDetails.status).toBe('failed');
+      expect(user.usage.monthlyCallsUsed).toBe(0);
+      expect(user.usage.totalCalls).toBe(0);
+      expect(notificationService.dispatch).not.toHaveBeenCalled();
+    });
+
+    it('rejects out-of-order events', async () => {
+      call.transitionTo('completed');
+
+      const result = await telephonyService.handleEvent(
+        telephonyService.parseEvent({ callId: 'CALL_TEST_1', status: 'in-progress' })
+      );
+
+      expect(result).toMatchObject({ success: false, code: 'ILLEGAL_STATUS_TRANSITION' });
+      expect(call.callDetails.status).toBe('completed');
+    });
+
+    it('reports events that match no call', async () => {
+      const result = await telephonyService.handleEvent(
+        telephonyService.parseEvent({ callSid: 'FAKE_UNKNOWN', callId: 'CALL_UNKNOWN', status: 'completed' })
+      );
+
+      expect(result).toMatchObject({ success: false, code: 'CALL_NOT_FOUND' });
+    });
+
+    it('counts the time limit from the remaining plan minutes once connected', async () => {
+      call = buildCall({ maxDurationMinutes: 2 });
+
+      await telephonyService.handleEvent(
+        telephonyService.parseEvent({ callId: 'CALL_TEST_1', status: 'in-progress' })
+      );
+
+      const connectedAt = call.callDetails.connectedAt.getTime();
+      expect(call.getRemainingSeconds(new Date(connectedAt + 90 * 1000))).toBe(30);
+      expect(call.getRemainingSeconds(new Date(connectedAt + 5 * 60 * 1000))).toBe(0);
+      expect(buildCall().getRemainingSeconds()).toBeNull();
+    });
+  });
+});